@@ -0,0 +1,22 @@
+-- Run once on databases created before campuses existed (floor underlays keyed by building and floor only).
+-- ddl-auto=update adds the new (campus_id, building_name, floor_id) key but never drops the old
+-- (building_name, floor_id) one, which keeps two campuses from having an underlay for the same building and floor.
+--
+--   psql -d ettiway -f Backend/demo/db/migrations/001-floor-underlays-campus-key.sql
+
+DO $$
+DECLARE
+    old_key text;
+BEGIN
+    SELECT c.conname INTO old_key
+    FROM pg_constraint c
+    JOIN pg_class t ON t.oid = c.conrelid
+    WHERE t.relname = 'floor_underlays'
+      AND c.contype = 'u'
+      AND (SELECT array_agg(a.attname::text ORDER BY a.attname)
+           FROM pg_attribute a
+           WHERE a.attrelid = c.conrelid AND a.attnum = ANY (c.conkey)) = ARRAY['building_name', 'floor_id'];
+    IF old_key IS NOT NULL THEN
+        EXECUTE format('ALTER TABLE floor_underlays DROP CONSTRAINT %I', old_key);
+    END IF;
+END $$;
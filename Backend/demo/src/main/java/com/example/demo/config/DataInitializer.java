@@ -1,6 +1,11 @@
 package com.example.demo.config;
 
+import com.example.demo.entity.Campus;
 import com.example.demo.entity.User;
+import com.example.demo.repository.CampusRepository;
+import com.example.demo.repository.DraftWorkspaceRepository;
+import com.example.demo.repository.FloorUnderlayRepository;
+import com.example.demo.repository.GraphVersionRepository;
 import com.example.demo.repository.UserRepository;
 import org.springframework.boot.CommandLineRunner;
 import org.springframework.context.annotation.Bean;
@@ -25,4 +30,36 @@ public class DataInitializer {
             }
         };
     }
-}
\ No newline at end of file
+
+    // Data saved before campuses existed lives in map_data row 1 and belongs to the ETTI campus.
+    @Bean
+    CommandLineRunner initCampuses(CampusRepository campusRepository,
+                                   GraphVersionRepository graphVersionRepository,
+                                   DraftWorkspaceRepository draftWorkspaceRepository,
+                                   FloorUnderlayRepository floorUnderlayRepository) {
+        // The old (building, floor) unique key on floor_underlays is dropped by db/migrations/001-floor-underlays-campus-key.sql.
+        return args -> {
+            if (!campusRepository.existsById(CampusRepository.DEFAULT_CAMPUS_ID)) {
+                Campus campus = new Campus();
+                campus.setId(CampusRepository.DEFAULT_CAMPUS_ID);
+                campus.setName("Campus ETTI");
+                campus.setDataFile("data/campus.sample.json");
+                campus.setMapDataId(1L);
+                campusRepository.save(campus);
+                System.out.println(">>> Campus implicit creat: " + CampusRepository.DEFAULT_CAMPUS_ID);
+            }
+            graphVersionRepository.findAllByCampusIdIsNull().forEach(version -> {
+                version.setCampusId(CampusRepository.DEFAULT_CAMPUS_ID);
+                graphVersionRepository.save(version);
+            });
+            draftWorkspaceRepository.findAllByCampusIdIsNull().forEach(draft -> {
+                draft.setCampusId(CampusRepository.DEFAULT_CAMPUS_ID);
+                draftWorkspaceRepository.save(draft);
+            });
+            floorUnderlayRepository.findAllByCampusIdIsNull().forEach(underlay -> {
+                underlay.setCampusId(CampusRepository.DEFAULT_CAMPUS_ID);
+                floorUnderlayRepository.save(underlay);
+            });
+        };
+    }
+}
@@ -24,9 +24,11 @@ public SecurityFilterChain filterChain(HttpSecurity http) throws Exception {
         .authorizeHttpRequests(auth -> auth
             
             .requestMatchers("/login.html", "/auth.html", "/api/auth/**",
-                             "/css/**", "/js/**", "/icons/**", "/Icons/**", "/data/**").permitAll()
+                             "/css/**", "/js/**", "/icons/**", "/Icons/**", "/data/**",
+                             "/sw.js", "/manifest.webmanifest").permitAll()
             
             
+            .requestMatchers(HttpMethod.GET, "/api/graph/versions/**").hasRole("ADMIN")
             .requestMatchers(HttpMethod.GET, "/api/graph/**").authenticated()
             .requestMatchers(HttpMethod.POST, "/api/graph/**").hasRole("ADMIN")
             .requestMatchers(HttpMethod.DELETE, "/api/graph/**").hasRole("ADMIN")
@@ -34,8 +36,11 @@ public SecurityFilterChain filterChain(HttpSecurity http) throws Exception {
             
             .requestMatchers(HttpMethod.GET, "/api/indoor/**").authenticated()
             .requestMatchers(HttpMethod.POST, "/api/indoor/**").hasRole("ADMIN")
+            .requestMatchers(HttpMethod.DELETE, "/api/indoor/**").hasRole("ADMIN")
             
            
+            .requestMatchers(HttpMethod.POST, "/api/campuses/**").hasRole("ADMIN")
+            .requestMatchers("/api/drafts/**").hasRole("ADMIN")
             .requestMatchers("/api/admin/**").hasRole("ADMIN")
             
             
@@ -0,0 +1,72 @@
+package com.example.demo.controller;
+
+import com.example.demo.entity.Campus;
+import com.example.demo.repository.CampusRepository;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.http.HttpStatus;
+import org.springframework.http.ResponseEntity;
+import org.springframework.transaction.annotation.Transactional;
+import org.springframework.web.bind.annotation.*;
+
+import java.util.HashMap;
+import java.util.List;
+import java.util.Map;
+import java.util.regex.Pattern;
+import java.util.stream.Collectors;
+
+@RestController
+@RequestMapping("/api/campuses")
+public class CampusController {
+
+    private static final Pattern CAMPUS_ID = Pattern.compile("[a-z0-9-]{1,32}");
+    // Campus files are served from static/data, so only plain file names under data/ are accepted.
+    private static final Pattern DATA_FILE = Pattern.compile("data/[\\w.-]+\\.json");
+
+    @Autowired
+    private CampusRepository campusRepository;
+
+    @GetMapping
+    public ResponseEntity<List<Map<String, Object>>> listCampuses() {
+        List<Map<String, Object>> campuses = campusRepository.findAllByOrderByNameAsc().stream()
+                .map(this::toSummary)
+                .collect(Collectors.toList());
+        return ResponseEntity.ok(campuses);
+    }
+
+    @PostMapping
+    @Transactional
+    public ResponseEntity<?> registerCampus(@RequestBody Map<String, String> data) {
+        String id = data.get("id");
+        String name = data.get("name");
+        String dataFile = data.get("dataFile");
+        if (id == null || !CAMPUS_ID.matcher(id).matches()) {
+            return ResponseEntity.badRequest().body("Campus id must be a lowercase slug (a-z, 0-9, -).");
+        }
+        if (name == null || name.isBlank()) {
+            return ResponseEntity.badRequest().body("Campus name is required.");
+        }
+        if (dataFile == null || !DATA_FILE.matcher(dataFile).matches()) {
+            return ResponseEntity.badRequest().body("Campus data file must look like data/<name>.json.");
+        }
+        if (campusRepository.existsById(id)) {
+            return ResponseEntity.status(HttpStatus.CONFLICT).body("Campus already exists.");
+        }
+
+        Long maxMapDataId = campusRepository.findMaxMapDataId();
+        Campus campus = new Campus();
+        campus.setId(id);
+        campus.setName(name.trim());
+        campus.setDataFile(dataFile);
+        campus.setMapDataId(maxMapDataId != null ? maxMapDataId + 1 : 1L);
+        campusRepository.save(campus);
+        return ResponseEntity.ok(toSummary(campus));
+    }
+
+    private Map<String, Object> toSummary(Campus campus) {
+        Map<String, Object> summary = new HashMap<>();
+        summary.put("id", campus.getId());
+        summary.put("name", campus.getName());
+        summary.put("dataFile", campus.getDataFile());
+        return summary;
+    }
+}
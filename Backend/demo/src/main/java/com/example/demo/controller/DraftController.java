@@ -0,0 +1,291 @@
+package com.example.demo.controller;
+
+import com.example.demo.entity.DraftUnderlay;
+import com.example.demo.entity.DraftWorkspace;
+import com.example.demo.entity.FloorUnderlay;
+import com.example.demo.entity.GraphVersion;
+import com.example.demo.entity.MapData;
+import com.example.demo.repository.CampusRepository;
+import com.example.demo.repository.DraftUnderlayRepository;
+import com.example.demo.repository.DraftWorkspaceRepository;
+import com.example.demo.repository.FloorUnderlayRepository;
+import com.example.demo.repository.GraphVersionRepository;
+import com.example.demo.repository.MapDataRepository;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.http.HttpStatus;
+import org.springframework.http.ResponseEntity;
+import org.springframework.security.core.Authentication;
+import org.springframework.transaction.annotation.Transactional;
+import org.springframework.web.bind.annotation.*;
+
+import java.time.LocalDateTime;
+import java.util.HashMap;
+import java.util.List;
+import java.util.Map;
+import java.util.Optional;
+import java.util.stream.Collectors;
+
+@RestController
+@RequestMapping("/api/drafts")
+public class DraftController {
+
+    private static final String EMPTY_JSON = "{}";
+
+    @Autowired
+    private DraftWorkspaceRepository draftWorkspaceRepository;
+
+    @Autowired
+    private MapDataRepository mapDataRepository;
+
+    @Autowired
+    private GraphVersionRepository graphVersionRepository;
+
+    @Autowired
+    private CampusRepository campusRepository;
+
+    @Autowired
+    private DraftUnderlayRepository draftUnderlayRepository;
+
+    @Autowired
+    private FloorUnderlayRepository floorUnderlayRepository;
+
+    @GetMapping
+    public ResponseEntity<List<Map<String, Object>>> listDrafts(@RequestParam(defaultValue = CampusRepository.DEFAULT_CAMPUS_ID) String campus) {
+        List<Map<String, Object>> drafts = draftWorkspaceRepository.findAllByCampusIdOrderByUpdatedAtDesc(campus).stream()
+                .map(draft -> {
+                    Map<String, Object> summary = new HashMap<>();
+                    summary.put("name", draft.getName());
+                    summary.put("createdBy", draft.getCreatedBy());
+                    summary.put("hasGraph", draft.getGraphJson() != null);
+                    summary.put("hasIndoor", draft.getIndoorJson() != null);
+                    summary.put("updatedAt", draft.getUpdatedAt() != null ? draft.getUpdatedAt().toString() : null);
+                    summary.put("publishedAt", draft.getPublishedAt() != null ? draft.getPublishedAt().toString() : null);
+                    return summary;
+                })
+                .collect(Collectors.toList());
+        return ResponseEntity.ok(drafts);
+    }
+
+    @PostMapping("/{name}/graph")
+    public ResponseEntity<String> saveDraftGraph(@PathVariable String name, @RequestBody String graphJson,
+                                                 @RequestParam(defaultValue = CampusRepository.DEFAULT_CAMPUS_ID) String campus,
+                                                 Authentication authentication) {
+        if (!campusRepository.existsById(campus)) {
+            return ResponseEntity.notFound().build();
+        }
+        DraftWorkspace draft = findOrCreateDraft(name, campus, authentication);
+        if (!campus.equals(draft.getCampusId())) {
+            return ResponseEntity.badRequest().body("Draft belongs to another campus.");
+        }
+        draft.setGraphJson(graphJson);
+        draft.setUpdatedAt(LocalDateTime.now());
+        draftWorkspaceRepository.save(draft);
+        return ResponseEntity.ok("Draft graph saved successfully.");
+    }
+
+    @PostMapping("/{name}/indoor")
+    public ResponseEntity<String> saveDraftIndoor(@PathVariable String name, @RequestBody String indoorJson,
+                                                 @RequestParam(defaultValue = CampusRepository.DEFAULT_CAMPUS_ID) String campus,
+                                                 Authentication authentication) {
+        if (!campusRepository.existsById(campus)) {
+            return ResponseEntity.notFound().build();
+        }
+        DraftWorkspace draft = findOrCreateDraft(name, campus, authentication);
+        if (!campus.equals(draft.getCampusId())) {
+            return ResponseEntity.badRequest().body("Draft belongs to another campus.");
+        }
+        draft.setIndoorJson(indoorJson);
+        draft.setUpdatedAt(LocalDateTime.now());
+        draftWorkspaceRepository.save(draft);
+        return ResponseEntity.ok("Draft indoor map saved successfully.");
+    }
+
+    // Parts the draft has not touched yet fall back to the published data, so a preview always shows a complete map.
+    @GetMapping("/{name}/graph")
+    public ResponseEntity<String> loadDraftGraph(@PathVariable String name,
+                                                 @RequestParam(defaultValue = CampusRepository.DEFAULT_CAMPUS_ID) String campus) {
+        Optional<DraftWorkspace> draftOpt = draftWorkspaceRepository.findByName(name);
+        if (isOtherCampusDraft(draftOpt, campus)) {
+            return ResponseEntity.status(HttpStatus.NOT_FOUND).body("Draft belongs to another campus.");
+        }
+        if (draftOpt.isPresent() && draftOpt.get().getGraphJson() != null) {
+            return ResponseEntity.ok(draftOpt.get().getGraphJson());
+        }
+        String graphJson = findPublishedMapData(campus).map(MapData::getGraphJson).orElse(null);
+        return ResponseEntity.ok(graphJson != null ? graphJson : EMPTY_JSON);
+    }
+
+    @GetMapping("/{name}/indoor")
+    public ResponseEntity<String> loadDraftIndoor(@PathVariable String name,
+                                                  @RequestParam(defaultValue = CampusRepository.DEFAULT_CAMPUS_ID) String campus) {
+        Optional<DraftWorkspace> draftOpt = draftWorkspaceRepository.findByName(name);
+        if (isOtherCampusDraft(draftOpt, campus)) {
+            return ResponseEntity.status(HttpStatus.NOT_FOUND).body("Draft belongs to another campus.");
+        }
+        if (draftOpt.isPresent() && draftOpt.get().getIndoorJson() != null) {
+            return ResponseEntity.ok(draftOpt.get().getIndoorJson());
+        }
+        String indoorJson = findPublishedMapData(campus).map(MapData::getIndoorJson).orElse(null);
+        return ResponseEntity.ok(indoorJson != null ? indoorJson : EMPTY_JSON);
+    }
+
+    // Floors the draft has not touched show the published image; a removal inside the draft hides it.
+    @GetMapping("/{name}/underlay")
+    public ResponseEntity<String> loadDraftUnderlay(@PathVariable String name, @RequestParam String building, @RequestParam Integer floor,
+                                                    @RequestParam(defaultValue = CampusRepository.DEFAULT_CAMPUS_ID) String campus) {
+        Optional<DraftWorkspace> draftOpt = draftWorkspaceRepository.findByName(name);
+        if (isOtherCampusDraft(draftOpt, campus)) {
+            return ResponseEntity.status(HttpStatus.NOT_FOUND).body("Draft belongs to another campus.");
+        }
+        Optional<DraftUnderlay> draftUnderlay = draftUnderlayRepository.findByDraftNameAndBuildingNameAndFloorId(name, building, floor);
+        if (draftUnderlay.isPresent()) {
+            String imageData = draftUnderlay.get().getImageData();
+            return imageData != null ? ResponseEntity.ok(imageData) : ResponseEntity.notFound().build();
+        }
+        return floorUnderlayRepository.findByCampusIdAndBuildingNameAndFloorId(campus, building, floor)
+                .map(underlay -> ResponseEntity.ok(underlay.getImageData()))
+                .orElse(ResponseEntity.notFound().build());
+    }
+
+    @PostMapping("/{name}/underlay")
+    public ResponseEntity<String> saveDraftUnderlay(@PathVariable String name, @RequestParam String building, @RequestParam Integer floor,
+                                                    @RequestBody String imageData,
+                                                    @RequestParam(defaultValue = CampusRepository.DEFAULT_CAMPUS_ID) String campus,
+                                                    Authentication authentication) {
+        return storeDraftUnderlay(name, building, floor, imageData, campus, authentication);
+    }
+
+    @DeleteMapping("/{name}/underlay")
+    public ResponseEntity<String> deleteDraftUnderlay(@PathVariable String name, @RequestParam String building, @RequestParam Integer floor,
+                                                      @RequestParam(defaultValue = CampusRepository.DEFAULT_CAMPUS_ID) String campus,
+                                                      Authentication authentication) {
+        return storeDraftUnderlay(name, building, floor, null, campus, authentication);
+    }
+
+    @PostMapping("/{name}/publish")
+    @Transactional
+    public ResponseEntity<String> publishDraft(@PathVariable String name,
+                                               @RequestParam(defaultValue = CampusRepository.DEFAULT_CAMPUS_ID) String campus,
+                                               Authentication authentication) {
+        Optional<DraftWorkspace> draftOpt = draftWorkspaceRepository.findByName(name);
+        if (draftOpt.isEmpty() || isOtherCampusDraft(draftOpt, campus)) {
+            return ResponseEntity.notFound().build();
+        }
+        DraftWorkspace draft = draftOpt.get();
+        List<DraftUnderlay> underlays = draftUnderlayRepository.findAllByDraftName(name);
+        if (draft.getGraphJson() == null && draft.getIndoorJson() == null && underlays.isEmpty()) {
+            return ResponseEntity.badRequest().body("Draft has no changes to publish.");
+        }
+
+        Optional<Long> mapDataId = campusRepository.findMapDataId(draft.getCampusId());
+        if (mapDataId.isEmpty()) {
+            return ResponseEntity.notFound().build();
+        }
+        MapData mapData = mapDataRepository.findById(mapDataId.get()).orElse(new MapData());
+        mapData.setId(mapDataId.get());
+        if (draft.getGraphJson() != null) {
+            if (graphVersionRepository.countByCampusId(draft.getCampusId()) == 0 && mapData.getGraphJson() != null) {
+                GraphVersion baseline = new GraphVersion();
+                baseline.setCampusId(draft.getCampusId());
+                baseline.setGraphJson(mapData.getGraphJson());
+                baseline.setAction("baseline");
+                baseline.setCreatedAt(mapData.getUpdatedAt() != null ? mapData.getUpdatedAt() : LocalDateTime.now());
+                graphVersionRepository.save(baseline);
+            }
+            mapData.setGraphJson(EMPTY_JSON.equals(draft.getGraphJson()) ? null : draft.getGraphJson());
+
+            GraphVersion version = new GraphVersion();
+            version.setCampusId(draft.getCampusId());
+            version.setGraphJson(draft.getGraphJson());
+            version.setAction("publish");
+            version.setAuthor(authentication != null ? authentication.getName() : null);
+            version.setCreatedAt(LocalDateTime.now());
+            graphVersionRepository.save(version);
+        }
+        if (draft.getIndoorJson() != null) {
+            mapData.setIndoorJson(draft.getIndoorJson());
+        }
+        mapData.setUpdatedAt(LocalDateTime.now());
+        mapDataRepository.save(mapData);
+        publishDraftUnderlays(draft.getCampusId(), underlays);
+
+        draft.setPublishedAt(LocalDateTime.now());
+        draftWorkspaceRepository.save(draft);
+        return ResponseEntity.ok("Draft published successfully.");
+    }
+
+    @DeleteMapping("/{name}")
+    public ResponseEntity<String> deleteDraft(@PathVariable String name,
+                                              @RequestParam(defaultValue = CampusRepository.DEFAULT_CAMPUS_ID) String campus) {
+        Optional<DraftWorkspace> draftOpt = draftWorkspaceRepository.findByName(name);
+        if (isOtherCampusDraft(draftOpt, campus)) {
+            return ResponseEntity.status(HttpStatus.NOT_FOUND).body("Draft belongs to another campus.");
+        }
+        if (draftOpt.isPresent()) {
+            draftUnderlayRepository.deleteAll(draftUnderlayRepository.findAllByDraftName(name));
+            draftWorkspaceRepository.delete(draftOpt.get());
+            return ResponseEntity.ok("Draft deleted successfully.");
+        }
+        return ResponseEntity.ok("No draft found to delete.");
+    }
+
+    // Draft names are global, so a name already taken on another campus must not show that campus's data.
+    private boolean isOtherCampusDraft(Optional<DraftWorkspace> draftOpt, String campus) {
+        return draftOpt.isPresent() && !campus.equals(draftOpt.get().getCampusId());
+    }
+
+    private Optional<MapData> findPublishedMapData(String campus) {
+        return campusRepository.findMapDataId(campus).flatMap(mapDataRepository::findById);
+    }
+
+    private ResponseEntity<String> storeDraftUnderlay(String name, String building, Integer floor, String imageData,
+                                                      String campus, Authentication authentication) {
+        if (!campusRepository.existsById(campus)) {
+            return ResponseEntity.notFound().build();
+        }
+        DraftWorkspace draft = findOrCreateDraft(name, campus, authentication);
+        if (!campus.equals(draft.getCampusId())) {
+            return ResponseEntity.badRequest().body("Draft belongs to another campus.");
+        }
+        draft.setUpdatedAt(LocalDateTime.now());
+        draftWorkspaceRepository.save(draft);
+
+        DraftUnderlay underlay = draftUnderlayRepository.findByDraftNameAndBuildingNameAndFloorId(name, building, floor).orElse(new DraftUnderlay());
+        underlay.setDraftName(name);
+        underlay.setBuildingName(building);
+        underlay.setFloorId(floor);
+        underlay.setImageData(imageData);
+        underlay.setUpdatedAt(LocalDateTime.now());
+        draftUnderlayRepository.save(underlay);
+        return ResponseEntity.ok(imageData != null ? "Draft underlay saved successfully." : "Draft underlay removed successfully.");
+    }
+
+    private void publishDraftUnderlays(String campus, List<DraftUnderlay> underlays) {
+        underlays.forEach(draftUnderlay -> {
+            Optional<FloorUnderlay> published = floorUnderlayRepository.findByCampusIdAndBuildingNameAndFloorId(
+                    campus, draftUnderlay.getBuildingName(), draftUnderlay.getFloorId());
+            if (draftUnderlay.getImageData() == null) {
+                published.ifPresent(floorUnderlayRepository::delete);
+                return;
+            }
+            FloorUnderlay underlay = published.orElse(new FloorUnderlay());
+            underlay.setCampusId(campus);
+            underlay.setBuildingName(draftUnderlay.getBuildingName());
+            underlay.setFloorId(draftUnderlay.getFloorId());
+            underlay.setImageData(draftUnderlay.getImageData());
+            underlay.setUpdatedAt(LocalDateTime.now());
+            floorUnderlayRepository.save(underlay);
+        });
+        draftUnderlayRepository.deleteAll(underlays);
+    }
+
+    private DraftWorkspace findOrCreateDraft(String name, String campus, Authentication authentication) {
+        return draftWorkspaceRepository.findByName(name).orElseGet(() -> {
+            DraftWorkspace draft = new DraftWorkspace();
+            draft.setName(name);
+            draft.setCampusId(campus);
+            draft.setCreatedBy(authentication != null ? authentication.getName() : null);
+            return draft;
+        });
+    }
+}
@@ -1,46 +1,71 @@
 package com.example.demo.controller;
 
 import com.example.demo.entity.MapData;
+import com.example.demo.repository.CampusRepository;
+import com.example.demo.repository.GraphVersionRepository;
 import com.example.demo.repository.MapDataRepository;
 import org.springframework.beans.factory.annotation.Autowired;
 import org.springframework.http.ResponseEntity;
 import org.springframework.web.bind.annotation.*;
 
-import java.time.LocalDateTime;
+import java.util.HashMap;
+import java.util.List;
+import java.util.Map;
 import java.util.Optional;
+import java.util.stream.Collectors;
 
+// Read-only: the published graph changes only through DraftController.publishDraft, which records every version.
+// Restoring a version copies it into a draft, so it is published and versioned like any other edit.
 @RestController
 @RequestMapping("/api/graph")
 public class GraphController {
 
+    private static final String EMPTY_GRAPH = "{}";
+
     @Autowired
     private MapDataRepository mapDataRepository;
 
-    @PostMapping("/save")
-    public ResponseEntity<String> saveGraph(@RequestBody String graphJson) {
-        MapData mapData = mapDataRepository.findById(1L).orElse(new MapData());
-        mapData.setId(1L);
-        mapData.setGraphJson(graphJson);
-        mapData.setUpdatedAt(LocalDateTime.now());
-        mapDataRepository.save(mapData);
-        return ResponseEntity.ok("Graph saved successfully.");
-    }
+    @Autowired
+    private GraphVersionRepository graphVersionRepository;
+
+    @Autowired
+    private CampusRepository campusRepository;
 
     @GetMapping("/load")
-    public ResponseEntity<String> loadGraph() {
-        Optional<MapData> mapDataOpt = mapDataRepository.findById(1L);
+    public ResponseEntity<String> loadGraph(@RequestParam(defaultValue = CampusRepository.DEFAULT_CAMPUS_ID) String campus) {
+        Optional<Long> mapDataId = campusRepository.findMapDataId(campus);
+        if (mapDataId.isEmpty()) {
+            return ResponseEntity.notFound().build();
+        }
+        Optional<MapData> mapDataOpt = mapDataRepository.findById(mapDataId.get());
         if (mapDataOpt.isPresent() && mapDataOpt.get().getGraphJson() != null) {
             return ResponseEntity.ok(mapDataOpt.get().getGraphJson());
         }
-        return ResponseEntity.ok("{}"); 
+        return ResponseEntity.ok(EMPTY_GRAPH); 
     }
 
-    @DeleteMapping("/erase")
-    public ResponseEntity<String> eraseGraph() {
-        if (mapDataRepository.existsById(1L)) {
-            mapDataRepository.deleteById(1L);
-            return ResponseEntity.ok("Graph erased successfully.");
-        }
-        return ResponseEntity.ok("No graph found to erase.");
+    @GetMapping("/versions")
+    public ResponseEntity<List<Map<String, Object>>> listVersions(@RequestParam(defaultValue = CampusRepository.DEFAULT_CAMPUS_ID) String campus) {
+        List<Map<String, Object>> versions = graphVersionRepository.findAllByCampusIdOrderByIdDesc(campus).stream()
+                .map(version -> {
+                    Map<String, Object> summary = new HashMap<>();
+                    summary.put("id", version.getId());
+                    summary.put("author", version.getAuthor());
+                    summary.put("action", version.getAction());
+                    summary.put("restoredFromId", version.getRestoredFromId());
+                    summary.put("createdAt", version.getCreatedAt().toString());
+                    return summary;
+                })
+                .collect(Collectors.toList());
+        return ResponseEntity.ok(versions);
+    }
+
+    @GetMapping("/versions/{id}")
+    public ResponseEntity<String> loadVersion(@PathVariable Long id,
+                                              @RequestParam(defaultValue = CampusRepository.DEFAULT_CAMPUS_ID) String campus) {
+        return graphVersionRepository.findById(id)
+                .filter(version -> campus.equals(version.getCampusId()))
+                .map(version -> ResponseEntity.ok(version.getGraphJson() != null ? version.getGraphJson() : EMPTY_GRAPH))
+                .orElse(ResponseEntity.notFound().build());
     }
-}
\ No newline at end of file
+}
@@ -1,14 +1,16 @@
 package com.example.demo.controller;
 
 import com.example.demo.entity.MapData;
+import com.example.demo.repository.CampusRepository;
+import com.example.demo.repository.FloorUnderlayRepository;
 import com.example.demo.repository.MapDataRepository;
 import org.springframework.beans.factory.annotation.Autowired;
 import org.springframework.http.ResponseEntity;
 import org.springframework.web.bind.annotation.*;
 
-import java.time.LocalDateTime;
 import java.util.Optional;
 
+// Read-only: floor plans and underlay images change only through DraftController.publishDraft.
 @RestController
 @RequestMapping("/api/indoor")
 public class IndoorMapController {
@@ -16,22 +18,30 @@ public class IndoorMapController {
     @Autowired
     private MapDataRepository mapDataRepository;
 
-    @PostMapping("/save")
-    public ResponseEntity<String> saveIndoorMap(@RequestBody String indoorJson) {
-        MapData mapData = mapDataRepository.findById(1L).orElse(new MapData());
-        mapData.setId(1L);
-        mapData.setIndoorJson(indoorJson);
-        mapData.setUpdatedAt(LocalDateTime.now());
-        mapDataRepository.save(mapData);
-        return ResponseEntity.ok("Indoor map saved successfully.");
-    }
+    @Autowired
+    private FloorUnderlayRepository floorUnderlayRepository;
+
+    @Autowired
+    private CampusRepository campusRepository;
 
     @GetMapping("/load")
-    public ResponseEntity<String> loadIndoorMap() {
-        Optional<MapData> mapDataOpt = mapDataRepository.findById(1L);
+    public ResponseEntity<String> loadIndoorMap(@RequestParam(defaultValue = CampusRepository.DEFAULT_CAMPUS_ID) String campus) {
+        Optional<Long> mapDataId = campusRepository.findMapDataId(campus);
+        if (mapDataId.isEmpty()) {
+            return ResponseEntity.notFound().build();
+        }
+        Optional<MapData> mapDataOpt = mapDataRepository.findById(mapDataId.get());
         if (mapDataOpt.isPresent() && mapDataOpt.get().getIndoorJson() != null) {
             return ResponseEntity.ok(mapDataOpt.get().getIndoorJson());
         }
         return ResponseEntity.ok("{}");
     }
+
+    @GetMapping("/underlay")
+    public ResponseEntity<String> loadUnderlay(@RequestParam String building, @RequestParam Integer floor,
+                                               @RequestParam(defaultValue = CampusRepository.DEFAULT_CAMPUS_ID) String campus) {
+        return floorUnderlayRepository.findByCampusIdAndBuildingNameAndFloorId(campus, building, floor)
+                .map(underlay -> ResponseEntity.ok(underlay.getImageData()))
+                .orElse(ResponseEntity.notFound().build());
+    }
 }
@@ -0,0 +1,37 @@
+package com.example.demo.controller;
+
+import com.example.demo.entity.MapData;
+import com.example.demo.repository.CampusRepository;
+import com.example.demo.repository.MapDataRepository;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.http.ResponseEntity;
+import org.springframework.web.bind.annotation.GetMapping;
+import org.springframework.web.bind.annotation.RequestMapping;
+import org.springframework.web.bind.annotation.RequestParam;
+import org.springframework.web.bind.annotation.RestController;
+
+import java.util.HashMap;
+import java.util.Map;
+
+@RestController
+@RequestMapping("/api/meta")
+public class MetaController {
+
+    @Autowired
+    private MapDataRepository mapDataRepository;
+
+    @Autowired
+    private CampusRepository campusRepository;
+
+    // The service worker polls this to know when its cached graph/indoor data is stale.
+    @GetMapping
+    public ResponseEntity<Map<String, Object>> getMeta(@RequestParam(defaultValue = CampusRepository.DEFAULT_CAMPUS_ID) String campus) {
+        Map<String, Object> meta = new HashMap<>();
+        meta.put("updatedAt", campusRepository.findMapDataId(campus)
+                .flatMap(mapDataRepository::findById)
+                .map(MapData::getUpdatedAt)
+                .map(Object::toString)
+                .orElse(null));
+        return ResponseEntity.ok(meta);
+    }
+}
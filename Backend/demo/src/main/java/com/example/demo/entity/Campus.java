@@ -0,0 +1,33 @@
+package com.example.demo.entity;
+
+import jakarta.persistence.*;
+
+@Entity
+@Table(name = "campuses")
+public class Campus {
+    // short slug used in ?campus= and in the API, e.g. "etti"
+    @Id
+    private String id;
+
+    @Column(nullable = false)
+    private String name;
+
+    // static file with the campus boundary, buildings and entrances, relative to the app root
+    @Column(nullable = false)
+    private String dataFile;
+
+    // row of map_data holding this campus's navigation graph and floor plans
+    @Column(nullable = false, unique = true)
+    private Long mapDataId;
+
+    public Campus() {}
+
+    public String getId() { return id; }
+    public void setId(String id) { this.id = id; }
+    public String getName() { return name; }
+    public void setName(String name) { this.name = name; }
+    public String getDataFile() { return dataFile; }
+    public void setDataFile(String dataFile) { this.dataFile = dataFile; }
+    public Long getMapDataId() { return mapDataId; }
+    public void setMapDataId(Long mapDataId) { this.mapDataId = mapDataId; }
+}
@@ -0,0 +1,43 @@
+package com.example.demo.entity;
+
+import jakarta.persistence.*;
+import java.time.LocalDateTime;
+
+// Underlay image uploaded or removed inside a draft; copied onto FloorUnderlay when the draft is published.
+@Entity
+@Table(name = "draft_underlays", uniqueConstraints = @UniqueConstraint(columnNames = {"draftName", "buildingName", "floorId"}))
+public class DraftUnderlay {
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    @Column(nullable = false)
+    private String draftName;
+
+    @Column(nullable = false)
+    private String buildingName;
+
+    @Column(nullable = false)
+    private Integer floorId;
+
+    // null means the draft removes the published underlay of this floor
+    @Column(columnDefinition = "TEXT")
+    private String imageData;
+
+    private LocalDateTime updatedAt;
+
+    public DraftUnderlay() {}
+
+    public Long getId() { return id; }
+    public void setId(Long id) { this.id = id; }
+    public String getDraftName() { return draftName; }
+    public void setDraftName(String draftName) { this.draftName = draftName; }
+    public String getBuildingName() { return buildingName; }
+    public void setBuildingName(String buildingName) { this.buildingName = buildingName; }
+    public Integer getFloorId() { return floorId; }
+    public void setFloorId(Integer floorId) { this.floorId = floorId; }
+    public String getImageData() { return imageData; }
+    public void setImageData(String imageData) { this.imageData = imageData; }
+    public LocalDateTime getUpdatedAt() { return updatedAt; }
+    public void setUpdatedAt(LocalDateTime updatedAt) { this.updatedAt = updatedAt; }
+}
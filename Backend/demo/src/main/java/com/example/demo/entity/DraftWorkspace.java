@@ -0,0 +1,50 @@
+package com.example.demo.entity;
+
+import jakarta.persistence.*;
+import java.time.LocalDateTime;
+
+@Entity
+@Table(name = "draft_workspaces")
+public class DraftWorkspace {
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    @Column(nullable = false, unique = true)
+    private String name;
+
+    // campus whose published data the draft starts from and is published to
+    private String campusId;
+
+    // null means the draft has not touched that part and publishing leaves it as it is
+    @Column(columnDefinition = "TEXT")
+    private String graphJson;
+
+    @Column(columnDefinition = "TEXT")
+    private String indoorJson;
+
+    private String createdBy;
+
+    private LocalDateTime updatedAt;
+
+    private LocalDateTime publishedAt;
+
+    public DraftWorkspace() {}
+
+    public Long getId() { return id; }
+    public void setId(Long id) { this.id = id; }
+    public String getName() { return name; }
+    public void setName(String name) { this.name = name; }
+    public String getCampusId() { return campusId; }
+    public void setCampusId(String campusId) { this.campusId = campusId; }
+    public String getGraphJson() { return graphJson; }
+    public void setGraphJson(String graphJson) { this.graphJson = graphJson; }
+    public String getIndoorJson() { return indoorJson; }
+    public void setIndoorJson(String indoorJson) { this.indoorJson = indoorJson; }
+    public String getCreatedBy() { return createdBy; }
+    public void setCreatedBy(String createdBy) { this.createdBy = createdBy; }
+    public LocalDateTime getUpdatedAt() { return updatedAt; }
+    public void setUpdatedAt(LocalDateTime updatedAt) { this.updatedAt = updatedAt; }
+    public LocalDateTime getPublishedAt() { return publishedAt; }
+    public void setPublishedAt(LocalDateTime publishedAt) { this.publishedAt = publishedAt; }
+}
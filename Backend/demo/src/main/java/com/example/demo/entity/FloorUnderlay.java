@@ -0,0 +1,41 @@
+package com.example.demo.entity;
+
+import jakarta.persistence.*;
+import java.time.LocalDateTime;
+
+@Entity
+@Table(name = "floor_underlays", uniqueConstraints = @UniqueConstraint(columnNames = {"campusId", "buildingName", "floorId"}))
+public class FloorUnderlay {
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    // building names are only unique within a campus
+    private String campusId;
+
+    @Column(nullable = false)
+    private String buildingName;
+
+    @Column(nullable = false)
+    private Integer floorId;
+
+    @Column(columnDefinition = "TEXT")
+    private String imageData;
+
+    private LocalDateTime updatedAt;
+
+    public FloorUnderlay() {}
+
+    public Long getId() { return id; }
+    public void setId(Long id) { this.id = id; }
+    public String getCampusId() { return campusId; }
+    public void setCampusId(String campusId) { this.campusId = campusId; }
+    public String getBuildingName() { return buildingName; }
+    public void setBuildingName(String buildingName) { this.buildingName = buildingName; }
+    public Integer getFloorId() { return floorId; }
+    public void setFloorId(Integer floorId) { this.floorId = floorId; }
+    public String getImageData() { return imageData; }
+    public void setImageData(String imageData) { this.imageData = imageData; }
+    public LocalDateTime getUpdatedAt() { return updatedAt; }
+    public void setUpdatedAt(LocalDateTime updatedAt) { this.updatedAt = updatedAt; }
+}
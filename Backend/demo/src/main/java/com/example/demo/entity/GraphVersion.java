@@ -0,0 +1,45 @@
+package com.example.demo.entity;
+
+import jakarta.persistence.*;
+import java.time.LocalDateTime;
+
+@Entity
+@Table(name = "graph_versions")
+public class GraphVersion {
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    @Column(columnDefinition = "TEXT")
+    private String graphJson;
+
+    private String campusId;
+
+    private String author;
+
+    // save, erase, restore, publish (from a draft) or baseline (the graph that existed before versioning)
+    @Column(nullable = false)
+    private String action;
+
+    private Long restoredFromId;
+
+    @Column(nullable = false)
+    private LocalDateTime createdAt;
+
+    public GraphVersion() {}
+
+    public Long getId() { return id; }
+    public void setId(Long id) { this.id = id; }
+    public String getGraphJson() { return graphJson; }
+    public void setGraphJson(String graphJson) { this.graphJson = graphJson; }
+    public String getCampusId() { return campusId; }
+    public void setCampusId(String campusId) { this.campusId = campusId; }
+    public String getAuthor() { return author; }
+    public void setAuthor(String author) { this.author = author; }
+    public String getAction() { return action; }
+    public void setAction(String action) { this.action = action; }
+    public Long getRestoredFromId() { return restoredFromId; }
+    public void setRestoredFromId(Long restoredFromId) { this.restoredFromId = restoredFromId; }
+    public LocalDateTime getCreatedAt() { return createdAt; }
+    public void setCreatedAt(LocalDateTime createdAt) { this.createdAt = createdAt; }
+}
@@ -0,0 +1,24 @@
+package com.example.demo.repository;
+
+import com.example.demo.entity.Campus;
+import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.data.jpa.repository.Query;
+import org.springframework.stereotype.Repository;
+
+import java.util.List;
+import java.util.Optional;
+
+@Repository
+public interface CampusRepository extends JpaRepository<Campus, String> {
+    // The campus that owned map_data row 1 before campuses existed; requests without ?campus= use it.
+    String DEFAULT_CAMPUS_ID = "etti";
+
+    List<Campus> findAllByOrderByNameAsc();
+
+    @Query("select max(c.mapDataId) from Campus c")
+    Long findMaxMapDataId();
+
+    default Optional<Long> findMapDataId(String campusId) {
+        return findById(campusId).map(Campus::getMapDataId);
+    }
+}
@@ -0,0 +1,14 @@
+package com.example.demo.repository;
+
+import com.example.demo.entity.DraftUnderlay;
+import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.stereotype.Repository;
+
+import java.util.List;
+import java.util.Optional;
+
+@Repository
+public interface DraftUnderlayRepository extends JpaRepository<DraftUnderlay, Long> {
+    Optional<DraftUnderlay> findByDraftNameAndBuildingNameAndFloorId(String draftName, String buildingName, Integer floorId);
+    List<DraftUnderlay> findAllByDraftName(String draftName);
+}
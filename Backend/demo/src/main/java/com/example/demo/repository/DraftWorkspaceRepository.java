@@ -0,0 +1,15 @@
+package com.example.demo.repository;
+
+import com.example.demo.entity.DraftWorkspace;
+import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.stereotype.Repository;
+
+import java.util.List;
+import java.util.Optional;
+
+@Repository
+public interface DraftWorkspaceRepository extends JpaRepository<DraftWorkspace, Long> {
+    Optional<DraftWorkspace> findByName(String name);
+    List<DraftWorkspace> findAllByCampusIdOrderByUpdatedAtDesc(String campusId);
+    List<DraftWorkspace> findAllByCampusIdIsNull();
+}
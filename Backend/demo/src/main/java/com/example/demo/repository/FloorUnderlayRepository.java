@@ -0,0 +1,14 @@
+package com.example.demo.repository;
+
+import com.example.demo.entity.FloorUnderlay;
+import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.stereotype.Repository;
+
+import java.util.List;
+import java.util.Optional;
+
+@Repository
+public interface FloorUnderlayRepository extends JpaRepository<FloorUnderlay, Long> {
+    Optional<FloorUnderlay> findByCampusIdAndBuildingNameAndFloorId(String campusId, String buildingName, Integer floorId);
+    List<FloorUnderlay> findAllByCampusIdIsNull();
+}
@@ -0,0 +1,14 @@
+package com.example.demo.repository;
+
+import com.example.demo.entity.GraphVersion;
+import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.stereotype.Repository;
+
+import java.util.List;
+
+@Repository
+public interface GraphVersionRepository extends JpaRepository<GraphVersion, Long> {
+    List<GraphVersion> findAllByCampusIdOrderByIdDesc(String campusId);
+    List<GraphVersion> findAllByCampusIdIsNull();
+    long countByCampusId(String campusId);
+}
@@ -0,0 +1,126 @@
+const API_CAMPUSES = '/api/campuses';
+const CAMPUS_STORAGE_KEY = 'ettiway.campus';
+const DEFAULT_CAMPUS_ID = 'etti';
+const DEFAULT_CAMPUS_DATA_FILE = 'data/campus.sample.json';
+// Margin around the campus boundary, as a fraction of its size, so edge buildings are not glued to the map border.
+const CAMPUS_BOUNDS_PADDING = 0.05;
+
+let campusRegistry = null;
+let activeMapBounds = MAP_BOUNDS;
+
+function normalizeCampusId(id) {
+    return String(id || '').trim().toLowerCase().replace(/[^a-z0-9-]+/g, '');
+}
+
+/**
+ * Campus the page shows: the ?campus= parameter, otherwise the last campus picked on this browser.
+ * @returns {string}
+ */
+function getCampusId() {
+    const fromUrl = normalizeCampusId(new URLSearchParams(window.location.search).get('campus'));
+    if (fromUrl) return fromUrl;
+    return normalizeCampusId(localStorage.getItem(CAMPUS_STORAGE_KEY)) || DEFAULT_CAMPUS_ID;
+}
+
+function isDefaultCampus() {
+    return getCampusId() === DEFAULT_CAMPUS_ID;
+}
+
+/** Adds ?campus= to an API url so the server reads and writes the active campus's data. */
+function withCampus(url) {
+    return `${url}${url.includes('?') ? '&' : '?'}campus=${encodeURIComponent(getCampusId())}`;
+}
+
+function getCampusUrl(campusId) {
+    const url = new URL(window.location.href);
+    // Drafts and deep links belong to the campus being left.
+    url.search = '';
+    if (isDraftEditMode()) url.searchParams.set('edit', '1');
+    url.searchParams.set('campus', campusId);
+    return url.toString();
+}
+
+/**
+ * Registered campuses, fetched once. Falls back to the default campus alone when the registry cannot be reached.
+ * @returns {Promise<Array<{id: string, name: string, dataFile: string}>>}
+ */
+async function loadCampusRegistry() {
+    if (campusRegistry) return campusRegistry;
+    try {
+        const response = await fetch(API_CAMPUSES);
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        campusRegistry = await response.json();
+    } catch (e) {
+        console.warn('Lista de campusuri nu a putut fi încărcată:', e);
+        campusRegistry = [{ id: DEFAULT_CAMPUS_ID, name: 'Campus ETTI', dataFile: DEFAULT_CAMPUS_DATA_FILE }];
+    }
+    return campusRegistry;
+}
+
+/** @returns {Promise<{id: string, name: string, dataFile: string}|null>} null when the campus is not registered */
+async function getActiveCampus() {
+    const campuses = await loadCampusRegistry();
+    const campusId = getCampusId();
+    return campuses.find(c => c.id === campusId) || null;
+}
+
+function getMapBounds() {
+    return activeMapBounds;
+}
+
+/**
+ * Derives the map bounds from the loaded campus boundary. Campuses without a boundary keep MAP_BOUNDS.
+ * @param {Object} data - contents of the campus data file
+ * @returns {Array} [[south, west], [north, east]]
+ */
+function applyCampusBounds(data) {
+    const boundary = data && data.campus && data.campus.boundary;
+    if (!boundary || boundary.length < 3) {
+        activeMapBounds = MAP_BOUNDS;
+        return activeMapBounds;
+    }
+    const bounds = L.latLngBounds(boundary).pad(CAMPUS_BOUNDS_PADDING);
+    activeMapBounds = [
+        [bounds.getSouth(), bounds.getWest()],
+        [bounds.getNorth(), bounds.getEast()]
+    ];
+    return activeMapBounds;
+}
+
+function switchCampus(campusId) {
+    localStorage.setItem(CAMPUS_STORAGE_KEY, campusId);
+    window.location.href = getCampusUrl(campusId);
+}
+
+async function initCampusSwitcher() {
+    const container = document.getElementById('campus-switcher');
+    const select = document.getElementById('campus-select');
+    if (!container || !select) return;
+    const campuses = await loadCampusRegistry();
+    if (campuses.length < 2) {
+        container.style.display = 'none';
+        return;
+    }
+    select.innerHTML = '';
+    campuses.forEach(campus => {
+        const opt = document.createElement('option');
+        opt.value = campus.id;
+        opt.textContent = campus.name;
+        select.appendChild(opt);
+    });
+    select.value = getCampusId();
+    select.onchange = () => switchCampus(select.value);
+    container.style.display = '';
+}
+
+// A campus remembered on this browser is written into the URL, so shared links and QR codes open the same campus.
+if (!new URLSearchParams(window.location.search).get('campus') && !isDefaultCampus()) {
+    const url = new URL(window.location.href);
+    url.searchParams.set('campus', getCampusId());
+    window.history.replaceState(window.history.state, '', url.toString());
+}
+
+window.getCampusId = getCampusId;
+window.withCampus = withCampus;
+window.getMapBounds = getMapBounds;
+window.switchCampus = switchCampus;
@@ -0,0 +1,357 @@
+const DEEPLINK_KEYS = ['b', 'f', 'room', 'from', 'to', 'start'];
+const QR_MARKER_TYPES = ['1', '2', '3'];
+const DEEPLINK_ROOM_PREFIX = 'room:';
+const QR_CELL_SIZE = 6;
+const QR_MARGIN = 4;
+
+let deepLinkRestoring = false;
+
+function formatDeepLinkLatLng(latlng) {
+    if (!latlng) return null;
+    const { lat, lng } = L.latLng(latlng);
+    return `${lat.toFixed(6)},${lng.toFixed(6)}`;
+}
+
+function parseDeepLinkLatLng(value) {
+    const m = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(value || '');
+    if (!m) return null;
+    const lat = Number(m[1]), lng = Number(m[2]);
+    return isValidCoordinate(lat, lng) ? L.latLng(lat, lng) : null;
+}
+
+/**
+ * Replaces the view part of the URL (b, f, room, from, to) without adding a history entry.
+ * Other parameters (edit, draft, campus) are kept.
+ * @param {Object} state - keys from DEEPLINK_KEYS; empty values are dropped
+ */
+function updateDeepLink(state) {
+    if (deepLinkRestoring) return;
+    const url = new URL(window.location.href);
+    DEEPLINK_KEYS.forEach(key => url.searchParams.delete(key));
+    Object.keys(state).forEach(key => {
+        if (state[key] !== null && state[key] !== undefined && state[key] !== '') url.searchParams.set(key, state[key]);
+    });
+    window.history.replaceState(window.history.state, '', url.toString());
+}
+
+/**
+ * Link to the current view for someone else: only the campus and the view keys (DEEPLINK_KEYS).
+ * Editor state (edit, draft) stays behind, so the link opens the published viewer.
+ */
+function getShareUrl() {
+    const current = new URLSearchParams(window.location.search);
+    const url = new URL(window.location.origin + window.location.pathname);
+    url.searchParams.set('campus', getCampusId());
+    DEEPLINK_KEYS.forEach(key => {
+        if (current.get(key)) url.searchParams.set(key, current.get(key));
+    });
+    return url.toString();
+}
+
+function isTrackingGps() {
+    return typeof watchId !== 'undefined' && watchId !== null && watchId !== 'test_mode';
+}
+
+/** Route links never carry a live GPS fix: whoever opens the link routes from their own position. */
+function updateRouteDeepLink(start, end) {
+    const itinerary = window.activeItinerary;
+    const toRoom = itinerary && !itinerary.arrived;
+    updateDeepLink({
+        b: toRoom ? itinerary.buildingName : null,
+        from: isTrackingGps() ? null : formatDeepLinkLatLng(start),
+        to: toRoom ? DEEPLINK_ROOM_PREFIX + itinerary.room.name : formatDeepLinkLatLng(end)
+    });
+}
+
+function findDeepLinkFloorBuilding(name) {
+    const folded = foldSearchText(name);
+    return Object.keys(window.floorData || {}).find(key => foldSearchText(key) === folded) || null;
+}
+
+function findDeepLinkRoom(roomName, buildingName) {
+    const folded = foldSearchText(roomName);
+    const compact = folded.replace(/ /g, '');
+    const hits = getSearchIndex().filter(e => (e.kind === 'room' || e.kind === 'marker') && (e.text === folded || e.compact === compact));
+    const inBuilding = buildingName ? hits.find(e => foldSearchText(e.payload.room.buildingName) === foldSearchText(buildingName)) : null;
+    const hit = inBuilding || hits.find(e => e.kind === 'room') || hits[0];
+    return hit ? hit.payload.room : null;
+}
+
+/** Named marker of a building, on floor `floorId` or, when it is not given, on any floor. */
+function findIndoorMarker(buildingName, floorId, markerName) {
+    const folded = foldSearchText(markerName);
+    const bData = window.floorData[buildingName];
+    for (const floorObj of (bData && bData.floors) || []) {
+        if (floorId !== null && floorObj.id !== floorId) continue;
+        const feature = ((floorObj.geoJson && floorObj.geoJson.features) || []).find(f =>
+            f.properties && f.properties.markerType && f.properties.name && foldSearchText(f.properties.name) === folded);
+        if (feature) return { floorId: floorObj.id, name: feature.properties.name };
+    }
+    return null;
+}
+
+/** ?start= comes from a QR code posted next to an indoor marker: open that floor with the marker as start point. */
+function restoreDeepLinkStart(buildingName, floorParam, markerName, roomName) {
+    const floorBuilding = findDeepLinkFloorBuilding(buildingName || '');
+    const floorId = floorParam !== null && floorParam !== '' ? Number(floorParam) : null;
+    const start = floorBuilding ? findIndoorMarker(floorBuilding, floorId, markerName) : null;
+    if (!start) {
+        showToast(`Punctul "${markerName}" din codul QR nu a fost găsit.`, 'error');
+        return;
+    }
+    const dest = roomName ? findDeepLinkRoom(roomName, floorBuilding) : null;
+    if (dest && dest.buildingName === floorBuilding) {
+        openIndoorRoute(floorBuilding, start, { floorId: dest.floorIndex, name: dest.roomName });
+        return;
+    }
+    openFloorPlanViewer(floorBuilding, start.floorId, null);
+    const startSelect = document.getElementById('indoor-start-select');
+    if (startSelect) startSelect.value = `${start.floorId}|||${start.name}`;
+    showToast(`Pornești de la ${start.name}. Alege destinația.`, 'info');
+}
+
+async function restoreDeepLinkRoute(from, to, buildingName) {
+    if (to.startsWith(DEEPLINK_ROOM_PREFIX)) {
+        const room = findDeepLinkRoom(to.slice(DEEPLINK_ROOM_PREFIX.length), buildingName);
+        if (!room) {
+            showToast(`Camera din link ("${to.slice(DEEPLINK_ROOM_PREFIX.length)}") nu a fost găsită.`, 'error');
+            return;
+        }
+        await navigateToRoom(room, from);
+        return;
+    }
+    const dest = parseDeepLinkLatLng(to);
+    if (!dest) {
+        showToast('Destinația din link nu este validă.', 'error');
+        return;
+    }
+    window.currentDestinationPoint = dest;
+    const start = from || (typeof userMarker !== 'undefined' && userMarker ? userMarker.getLatLng() : null);
+    if (start) {
+        window.currentStartPoint = start;
+        calculateRouteTest(campusMap, L.featureGroup(), start, dest);
+    } else {
+        campusMap.setView(dest, Math.max(campusMap.getZoom(), 18));
+        await showAppAlert('Conectare GPS în așteptare... Destinația din link e setată. Când poziția va fi activată, ruta se va calcula. Puteți folosi și "Find Me".');
+    }
+}
+
+/**
+ * Restores the view encoded in the URL: a route (from/to), a floor plan (b + f and/or room) or a building (b).
+ * Runs once, after campus data, the graph and the floor plans are loaded.
+ */
+async function restoreDeepLink() {
+    const params = new URLSearchParams(window.location.search);
+    if (!DEEPLINK_KEYS.some(key => params.has(key))) return;
+    await window.indoorDataReady;
+    const buildingName = params.get('b');
+    const roomName = params.get('room');
+    const building = buildingName ? findBuildingByName(buildingName) : null;
+
+    if (params.get('to')) {
+        await restoreDeepLinkRoute(parseDeepLinkLatLng(params.get('from')), params.get('to'), buildingName);
+        return;
+    }
+    if (params.get('start')) {
+        restoreDeepLinkStart(buildingName, params.get('f'), params.get('start'), roomName);
+        return;
+    }
+    if (roomName || params.has('f')) {
+        const room = roomName ? findDeepLinkRoom(roomName, buildingName) : null;
+        const floorBuilding = room ? room.buildingName : findDeepLinkFloorBuilding(buildingName || '');
+        const floorId = params.has('f') ? Number(params.get('f')) : (room ? room.floorIndex : NaN);
+        if (!floorBuilding || Number.isNaN(floorId)) {
+            showToast(roomName ? `Camera "${roomName}" din link nu a fost găsită.` : 'Etajul din link nu a fost găsit.', 'error');
+            return;
+        }
+        openFloorPlanViewer(floorBuilding, floorId, room ? room.roomName : null);
+        return;
+    }
+    if (building) {
+        focusOnBuilding(building);
+        displayBuildingDetails(building);
+    } else {
+        showToast(`Clădirea "${buildingName}" din link nu a fost găsită.`, 'error');
+    }
+}
+
+async function initDeepLink() {
+    deepLinkRestoring = true;
+    try {
+        await restoreDeepLink();
+    } catch (e) {
+        console.error('Link-ul nu a putut fi restaurat:', e);
+    } finally {
+        deepLinkRestoring = false;
+    }
+
+    const shareBtn = document.getElementById('share-link-btn');
+    if (shareBtn) shareBtn.onclick = () => showShareModal();
+    const indoorShareBtn = document.getElementById('indoor-share-btn');
+    if (indoorShareBtn) indoorShareBtn.onclick = () => showShareModal();
+}
+
+function describeDeepLink(params) {
+    const to = params.get('to');
+    if (to) return `Traseu către ${to.startsWith(DEEPLINK_ROOM_PREFIX) ? to.slice(DEEPLINK_ROOM_PREFIX.length) : 'punctul marcat'}`;
+    const parts = [];
+    if (params.get('b')) parts.push(params.get('b'));
+    if (params.get('b') && params.has('f')) parts.push(getIndoorFloorLabel(findDeepLinkFloorBuilding(params.get('b') || '') || params.get('b'), Number(params.get('f'))));
+    if (params.get('room')) parts.push(params.get('room'));
+    return parts.length > 0 ? parts.join(' · ') : 'ETTIway';
+}
+
+/** QR code of a URL as a GIF data URL (qrcode-generator, error correction M). */
+function createQrDataUrl(text) {
+    const qr = qrcode(0, 'M');
+    qr.addData(text);
+    qr.make();
+    return qr.createDataURL(QR_CELL_SIZE, QR_MARGIN);
+}
+
+/**
+ * Opens a print window with one QR poster per page.
+ * @param {Array<{title: string, subtitle: string, url: string}>} posters
+ */
+function printQrPosters(posters) {
+    const win = window.open('', '_blank');
+    if (!win) {
+        showToast('Fereastra de tipărire a fost blocată de browser.', 'error');
+        return;
+    }
+    win.document.write(`<!DOCTYPE html>
+        <html lang="ro"><head><meta charset="UTF-8"><title>ETTIway QR</title>
+        <style>
+            body { font-family: sans-serif; margin: 0; }
+            .poster { height: 100vh; display: flex; flex-direction: column; align-items: center; justify-content: center; text-align: center; page-break-after: always; }
+            .poster:last-child { page-break-after: auto; }
+            .poster h1 { font-size: 32px; margin: 0 0 8px; }
+            .poster h2 { font-size: 20px; font-weight: normal; color: #555; margin: 0 0 24px; }
+            .poster img { width: 60vmin; height: 60vmin; image-rendering: pixelated; }
+            .poster p { font-size: 12px; color: #777; word-break: break-all; max-width: 80vw; }
+        </style></head><body>
+        ${posters.map(p => `
+            <div class="poster">
+                <h1>${escapeHtml(p.title)}</h1>
+                <h2>${escapeHtml(p.subtitle || 'Scanează pentru navigare cu ETTIway')}</h2>
+                <img src="${createQrDataUrl(p.url)}" alt="QR">
+                <p>${escapeHtml(p.url)}</p>
+            </div>
+        `).join('')}
+        </body></html>`);
+    win.document.close();
+    win.onload = () => win.print();
+}
+
+function getMarkerQrUrl(buildingName, floorId, markerName) {
+    const url = new URL(window.location.origin + window.location.pathname);
+    // Printed codes outlive whichever campus the scanning phone used last.
+    url.searchParams.set('campus', getCampusId());
+    url.searchParams.set('b', buildingName.trim());
+    url.searchParams.set('f', floorId);
+    url.searchParams.set('start', markerName);
+    return url.toString();
+}
+
+/**
+ * Prints one QR poster per named entrance / intersection / stairs marker of a building.
+ * @param {string} buildingName
+ * @param {number|null} [floorId] - only this floor; all floors when null
+ */
+function printMarkerQrCodes(buildingName, floorId = null) {
+    const bData = window.floorData[buildingName];
+    const posters = [];
+    const duplicates = [];
+    let unnamed = 0;
+    ((bData && bData.floors) || []).forEach(floorObj => {
+        if (floorId !== null && floorObj.id !== floorId) return;
+        const features = (floorObj.geoJson && floorObj.geoJson.features) || [];
+        findDuplicateMarkerNames(features, QR_MARKER_TYPES).forEach(group => {
+            duplicates.push(`"${group[0].properties.name}" (${getIndoorFloorLabel(buildingName, floorObj.id)})`);
+        });
+        features.forEach(f => {
+            if (!f.properties || !QR_MARKER_TYPES.includes(f.properties.markerType)) return;
+            if (!f.properties.name) {
+                unnamed++;
+                return;
+            }
+            posters.push({
+                title: f.properties.name,
+                subtitle: `${buildingName.trim()} · ${getIndoorFloorLabel(buildingName, floorObj.id)} · ${SEARCH_MARKER_LABELS[f.properties.markerType]} — scanează pentru a porni de aici`,
+                url: getMarkerQrUrl(buildingName, floorObj.id, f.properties.name)
+            });
+        });
+    });
+    // Posters with the same floor and name would all start the route at the first of them.
+    if (duplicates.length > 0) {
+        showCustomAlert(`Redenumește markerele cu nume duplicate înainte de tipărire: ${duplicates.join(', ')}.`);
+        return;
+    }
+    if (posters.length === 0) {
+        showCustomAlert('Nu există markere cu nume (intrări, intersecții, scări) pe ' + (floorId === null ? 'acest corp.' : 'acest etaj.'));
+        return;
+    }
+    if (unnamed > 0) showToast(`${unnamed} markere fără nume au fost omise.`, 'info');
+    printQrPosters(posters);
+}
+
+async function copyToClipboard(text, input) {
+    try {
+        await navigator.clipboard.writeText(text);
+    } catch (e) {
+        // Clipboard API needs HTTPS; fall back to selecting the text field.
+        input.select();
+        if (!document.execCommand('copy')) throw e;
+    }
+}
+
+function showShareModal() {
+    let modal = document.getElementById('share-modal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'share-modal';
+        modal.className = 'custom-prompt-modal';
+        modal.innerHTML = `
+            <div class="custom-prompt-content share-content">
+                <h3 id="share-title"></h3>
+                <input type="text" id="share-url" readonly />
+                <img id="share-qr" class="share-qr" alt="QR" />
+                <div class="custom-prompt-buttons">
+                    <button class="btn-cancel" id="share-close">Închide</button>
+                    <button class="btn-ok" id="share-print">🖨️ QR</button>
+                    <button class="btn-ok" id="share-copy">Copiază link</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        document.getElementById('share-close').onclick = () => { modal.style.display = 'none'; };
+    }
+    const url = getShareUrl();
+    const title = describeDeepLink(new URLSearchParams(window.location.search));
+    const input = document.getElementById('share-url');
+    document.getElementById('share-title').textContent = title;
+    input.value = url;
+    const qr = document.getElementById('share-qr');
+    try {
+        qr.src = createQrDataUrl(url);
+        qr.style.display = '';
+    } catch (e) {
+        console.warn('Codul QR nu a putut fi generat:', e);
+        qr.style.display = 'none';
+    }
+    document.getElementById('share-copy').onclick = async () => {
+        try {
+            await copyToClipboard(url, input);
+            showToast('Link copiat.', 'success');
+        } catch (e) {
+            showToast('Copierea a eșuat; selectează link-ul manual.', 'error');
+        }
+    };
+    document.getElementById('share-print').onclick = () => printQrPosters([{ title, url }]);
+    modal.style.display = 'flex';
+    input.select();
+}
+
+window.updateDeepLink = updateDeepLink;
+window.printQrPosters = printQrPosters;
+window.printMarkerQrCodes = printMarkerQrCodes;
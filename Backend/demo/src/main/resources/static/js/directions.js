@@ -0,0 +1,214 @@
+const DIRECTIONS_LANG_KEY = 'ettiway.directionsLang';
+const TURN_SLIGHT_ANGLE = 20;
+const TURN_ANGLE = 50;
+const TURN_SHARP_ANGLE = 130;
+const ENTRANCE_LANDMARK_RADIUS = 20;
+const BUILDING_LANDMARK_RADIUS = 30;
+
+const DIRECTIONS_TEXT = {
+    ro: {
+        title: 'Indicații',
+        walk: (m) => `mergi ${m} m`,
+        then: 'apoi',
+        toward: 'spre',
+        arrive: 'până la destinație',
+        turns: {
+            slightLeft: 'virează ușor la stânga',
+            left: 'virează la stânga',
+            sharpLeft: 'virează brusc la stânga',
+            slightRight: 'virează ușor la dreapta',
+            right: 'virează la dreapta',
+            sharpRight: 'virează brusc la dreapta',
+            uturn: 'întoarce-te'
+        }
+    },
+    en: {
+        title: 'Directions',
+        walk: (m) => `walk ${m} m`,
+        then: 'then',
+        toward: 'towards',
+        arrive: 'to your destination',
+        turns: {
+            slightLeft: 'bear left',
+            left: 'turn left',
+            sharpLeft: 'turn sharp left',
+            slightRight: 'bear right',
+            right: 'turn right',
+            sharpRight: 'turn sharp right',
+            uturn: 'make a U-turn'
+        }
+    }
+};
+
+let directionsLang = localStorage.getItem(DIRECTIONS_LANG_KEY) || 'ro';
+let currentRoutePath = null;
+let currentRouteSteps = [];
+let activeRouteStepIndex = -1;
+
+function getBearing(from, to) {
+    const toRad = Math.PI / 180;
+    const lat1 = from.lat * toRad, lat2 = to.lat * toRad;
+    const dLng = (to.lng - from.lng) * toRad;
+    const y = Math.sin(dLng) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+    return (Math.atan2(y, x) / toRad + 360) % 360;
+}
+
+function getTurnAngle(inBearing, outBearing) {
+    return ((outBearing - inBearing + 540) % 360) - 180;
+}
+
+function classifyTurn(angle) {
+    const abs = Math.abs(angle);
+    if (abs < TURN_SLIGHT_ANGLE) return null;
+    const side = angle < 0 ? 'Left' : 'Right';
+    if (abs < TURN_ANGLE) return 'slight' + side;
+    if (abs < TURN_SHARP_ANGLE) return side.toLowerCase();
+    if (abs < 170) return 'sharp' + side;
+    return 'uturn';
+}
+
+function findNearbyLandmark(latlng) {
+    const data = window.campusData;
+    if (!data || !latlng) return null;
+    let best = null;
+    (data.entrances || []).forEach(ent => {
+        if (!ent.coordinates || !(ent.name || ent.id)) return;
+        const d = latlng.distanceTo(L.latLng(ent.coordinates[0], ent.coordinates[1]));
+        if (d <= ENTRANCE_LANDMARK_RADIUS && (!best || d < best.distance)) {
+            best = { name: ent.name || ent.id, distance: d };
+        }
+    });
+    if (best) return best.name;
+    (data.buildings || []).forEach(building => {
+        if (!building.name || !building.points || building.points.length < 3) return;
+        const pts = building.points.map(p => ({ lat: p[0], lng: p[1] }));
+        for (let i = 0; i < pts.length; i++) {
+            const proj = projectPointOnSegment(latlng, pts[i], pts[(i + 1) % pts.length]);
+            const d = latlng.distanceTo(L.latLng(proj.lat, proj.lng));
+            if (d <= BUILDING_LANDMARK_RADIUS && (!best || d < best.distance)) {
+                best = { name: building.name.trim(), distance: d };
+            }
+        }
+    });
+    return best ? best.name : null;
+}
+
+function generateRouteSteps(pathCoords) {
+    if (!pathCoords || pathCoords.length < 2) return [];
+    const legs = [];
+    let leg = { startIndex: 0, endIndex: 1, distance: pathCoords[0].distanceTo(pathCoords[1]) };
+    for (let i = 1; i < pathCoords.length - 1; i++) {
+        const a = pathCoords[i - 1], b = pathCoords[i], c = pathCoords[i + 1];
+        if (a.distanceTo(b) === 0 || b.distanceTo(c) === 0) {
+            leg.endIndex = i + 1;
+            leg.distance += b.distanceTo(c);
+            continue;
+        }
+        const turn = classifyTurn(getTurnAngle(getBearing(a, b), getBearing(b, c)));
+        if (turn) {
+            leg.turn = turn;
+            legs.push(leg);
+            leg = { startIndex: i, endIndex: i + 1, distance: 0 };
+        } else {
+            leg.endIndex = i + 1;
+        }
+        leg.distance += b.distanceTo(c);
+    }
+    legs.push(leg);
+
+    return legs.map((l, idx) => {
+        const next = legs[idx + 1];
+        const landmark = next
+            ? (findNearbyLandmark(pathCoords[next.endIndex]) || findNearbyLandmark(pathCoords[l.endIndex]))
+            : findNearbyLandmark(pathCoords[l.endIndex]);
+        return {
+            startIndex: l.startIndex,
+            endIndex: l.endIndex,
+            distance: l.distance,
+            turn: next ? l.turn : null,
+            landmark,
+            text: {
+                ro: formatRouteStep(l, !next, landmark, 'ro'),
+                en: formatRouteStep(l, !next, landmark, 'en')
+            }
+        };
+    });
+}
+
+function formatRouteStep(leg, isLast, landmark, lang) {
+    const t = DIRECTIONS_TEXT[lang];
+    const meters = Math.max(5, Math.round(leg.distance / 5) * 5);
+    let text = t.walk(meters);
+    if (isLast) {
+        text += ` ${t.arrive}`;
+        if (landmark) text += ` (${landmark})`;
+    } else {
+        text += `, ${t.then} ${t.turns[leg.turn]}`;
+        if (landmark) text += ` ${t.toward} ${landmark}`;
+    }
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function showRouteSteps(pathCoords) {
+    currentRoutePath = pathCoords;
+    currentRouteSteps = generateRouteSteps(pathCoords);
+    activeRouteStepIndex = -1;
+    renderRouteSteps();
+}
+
+function renderRouteSteps() {
+    const container = document.getElementById('route-steps');
+    if (!container) return;
+    if (currentRouteSteps.length === 0) {
+        container.style.display = 'none';
+        container.innerHTML = '';
+        return;
+    }
+    container.innerHTML = `
+        <div class="route-steps-header">
+            <h3>${DIRECTIONS_TEXT[directionsLang].title}</h3>
+            <button type="button" class="route-steps-lang" id="route-steps-lang">${directionsLang === 'ro' ? 'EN' : 'RO'}</button>
+        </div>
+        <ol class="route-steps-list">
+            ${currentRouteSteps.map((step, idx) => `
+                <li class="route-step${idx === activeRouteStepIndex ? ' active' : ''}" data-step="${idx}">${escapeHtml(step.text[directionsLang])}</li>
+            `).join('')}
+        </ol>
+    `;
+    container.style.display = 'block';
+    document.getElementById('route-steps-lang').onclick = () => {
+        directionsLang = directionsLang === 'ro' ? 'en' : 'ro';
+        localStorage.setItem(DIRECTIONS_LANG_KEY, directionsLang);
+        renderRouteSteps();
+    };
+}
+
+function updateActiveRouteStep(latlng) {
+    if (!currentRoutePath || currentRouteSteps.length === 0 || !latlng) return;
+    let bestIdx = 0, bestDist = Infinity;
+    currentRouteSteps.forEach((step, idx) => {
+        for (let i = step.startIndex; i < step.endIndex; i++) {
+            const proj = projectPointOnSegment(latlng, currentRoutePath[i], currentRoutePath[i + 1]);
+            const d = latlng.distanceTo(L.latLng(proj.lat, proj.lng));
+            if (d < bestDist) {
+                bestDist = d;
+                bestIdx = idx;
+            }
+        }
+    });
+    if (bestIdx === activeRouteStepIndex) return;
+    activeRouteStepIndex = bestIdx;
+    const container = document.getElementById('route-steps');
+    if (!container) return;
+    container.querySelectorAll('.route-step').forEach(li => {
+        li.classList.toggle('active', Number(li.dataset.step) === bestIdx);
+    });
+}
+
+function clearRouteSteps() {
+    currentRoutePath = null;
+    currentRouteSteps = [];
+    activeRouteStepIndex = -1;
+    renderRouteSteps();
+}
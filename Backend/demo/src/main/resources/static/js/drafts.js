@@ -0,0 +1,185 @@
+const API_DRAFTS = '/api/drafts';
+const DRAFT_STORAGE_KEY = 'ettiway.draft';
+const DEFAULT_DRAFT_NAME = 'draft';
+
+function isDraftEditMode() {
+    return new URLSearchParams(window.location.search).get('edit') === '1';
+}
+
+// Drafts belong to one campus, so the last picked draft and the default name are remembered per campus.
+function getDraftStorageKey() {
+    return isDefaultCampus() ? DRAFT_STORAGE_KEY : `${DRAFT_STORAGE_KEY}.${getCampusId()}`;
+}
+
+function getDefaultDraftName() {
+    return isDefaultCampus() ? DEFAULT_DRAFT_NAME : `${DEFAULT_DRAFT_NAME}-${getCampusId()}`;
+}
+
+function normalizeDraftName(name) {
+    return String(name || '').trim().replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Name of the workspace the page works on: the ?draft= parameter, otherwise (edit mode only)
+ * the last draft picked on this browser. Viewers without ?draft= get null and read published data.
+ * @returns {string|null}
+ */
+function getDraftName() {
+    const fromUrl = normalizeDraftName(new URLSearchParams(window.location.search).get('draft'));
+    if (fromUrl) return fromUrl;
+    if (!isDraftEditMode()) return null;
+    return normalizeDraftName(localStorage.getItem(getDraftStorageKey())) || getDefaultDraftName();
+}
+
+function isDraftPreview() {
+    return !isDraftEditMode() && getDraftName() !== null;
+}
+
+function getDraftEndpoint(part) {
+    return withCampus(`${API_DRAFTS}/${encodeURIComponent(getDraftName())}/${part}`);
+}
+
+function getDraftWorkspaceUrl(name, editMode) {
+    const url = new URL(window.location.href);
+    url.search = '';
+    if (editMode) url.searchParams.set('edit', '1');
+    if (!isDefaultCampus()) url.searchParams.set('campus', getCampusId());
+    url.searchParams.set('draft', name);
+    return url.toString();
+}
+
+function applyDraftGraph(textJSON, drawnItems, editMode) {
+    if (editMode && drawnItems) drawnItems.clearLayers();
+    const geoJSON = textJSON && textJSON.trim() !== '' && textJSON.trim() !== '{}' ? JSON.parse(textJSON) : null;
+    window.navigationData = geoJSON;
+    if (!geoJSON || !geoJSON.features || geoJSON.features.length === 0) {
+        window.routingEngine.reset();
+        return;
+    }
+    window.routingEngine.build(geoJSON);
+    if (editMode && drawnItems) {
+        L.geoJSON(geoJSON, {
+            onEachFeature: (feature, layer) => drawnItems.addLayer(layer)
+        });
+    }
+}
+
+/**
+ * Swaps the published graph / floor plans (already loaded by loadNavigationGraph and loadIndoorData)
+ * for the active draft. Does nothing for regular viewers.
+ */
+async function initDraftWorkspace(mapInstance) {
+    const draftName = getDraftName();
+    if (!draftName) return;
+    const editMode = isDraftEditMode();
+    await window.indoorDataReady;
+    try {
+        const [graphResponse, indoorResponse] = await Promise.all([
+            fetch(getDraftEndpoint('graph')),
+            fetch(getDraftEndpoint('indoor'))
+        ]);
+        if (graphResponse.status === 404 || indoorResponse.status === 404) {
+            showToast(`Ciorna "${draftName}" aparține altui campus. Alege altă ciornă.`, 'error');
+            // Keeps the "Schimbă" button reachable; saving into this draft would be refused anyway.
+            if (editMode) showDraftBanner(draftName, editMode);
+            return;
+        }
+        if (!graphResponse.ok || !indoorResponse.ok) throw new Error('HTTP ' + (graphResponse.ok ? indoorResponse.status : graphResponse.status));
+        applyDraftGraph(await graphResponse.text(), mapInstance && mapInstance.drawnGroup, editMode);
+        const indoorData = await indoorResponse.json();
+        if (indoorData && Object.keys(indoorData).length > 0) window.floorData = indoorData;
+    } catch (e) {
+        console.error(`Ciorna "${draftName}" nu a putut fi încărcată:`, e);
+        showToast(`Ciorna "${draftName}" nu a putut fi încărcată.`, 'error');
+        return;
+    }
+    console.log(`Draft workspace "${draftName}" loaded (${editMode ? 'edit' : 'preview'}).`);
+    refreshGeorefOverlay();
+    showDraftBanner(draftName, editMode);
+}
+
+function showDraftBanner(draftName, editMode) {
+    let banner = document.getElementById('draft-banner');
+    if (!banner) {
+        banner = document.createElement('div');
+        banner.id = 'draft-banner';
+        banner.className = 'draft-banner';
+        document.body.appendChild(banner);
+    }
+    if (editMode) {
+        banner.innerHTML = `
+            <span>Ciornă: <strong>${escapeHtml(draftName)}</strong> · modificările nu sunt publice</span>
+            <button type="button" id="draft-switch-btn">Schimbă</button>
+            <button type="button" id="draft-preview-btn">👁 Previzualizare</button>
+            <button type="button" id="draft-publish-btn" class="draft-publish-btn">🚀 Publică</button>
+        `;
+        document.getElementById('draft-switch-btn').onclick = pickDraftWorkspace;
+        document.getElementById('draft-preview-btn').onclick = () => window.open(getDraftWorkspaceUrl(draftName, false), '_blank');
+        document.getElementById('draft-publish-btn').onclick = () => publishDraft(draftName);
+    } else {
+        banner.innerHTML = `
+            <span>Previzualizare ciornă: <strong>${escapeHtml(draftName)}</strong></span>
+            <button type="button" id="draft-exit-btn">Versiunea publicată</button>
+        `;
+        document.getElementById('draft-exit-btn').onclick = () => {
+            const url = new URL(window.location.href);
+            url.searchParams.delete('draft');
+            window.location.href = url.toString();
+        };
+    }
+    banner.style.display = 'flex';
+}
+
+async function pickDraftWorkspace() {
+    let drafts = [];
+    try {
+        const response = await fetch(withCampus(API_DRAFTS));
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        drafts = await response.json();
+    } catch (e) {
+        console.error('Eroare la încărcarea ciornelor:', e);
+        showToast('Lista de ciorne nu a putut fi încărcată.', 'error');
+        return;
+    }
+    const choices = [{ name: '+ Ciornă nouă' }].concat(drafts.map(d => ({
+        name: `${d.name}${d.publishedAt ? ' (publicată)' : ''} · ${d.createdBy || 'necunoscut'}`,
+        draftName: d.name
+    })));
+    const index = await showAppPrompt('Alege ciorna pe care lucrezi:', choices);
+    if (index === null) return;
+    if (index > 0) {
+        switchDraftWorkspace(choices[index].draftName);
+        return;
+    }
+    showCustomPrompt('Numele ciornei noi (litere, cifre, - sau _):', (value) => {
+        const name = normalizeDraftName(value);
+        if (!name) return;
+        switchDraftWorkspace(name);
+    });
+}
+
+function switchDraftWorkspace(name) {
+    localStorage.setItem(getDraftStorageKey(), name);
+    window.location.href = getDraftWorkspaceUrl(name, true);
+}
+
+async function publishDraft(draftName) {
+    const confirmed = await showAppConfirm(`Publici ciorna "${draftName}"? Graful și planurile salvate în ea devin vizibile tuturor utilizatorilor.`);
+    if (!confirmed) return;
+    try {
+        const response = await fetch(withCampus(`${API_DRAFTS}/${encodeURIComponent(draftName)}/publish`), { method: 'POST' });
+        if (response.status === 400) {
+            showToast('Ciorna nu conține modificări salvate.', 'info');
+            return;
+        }
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+    } catch (e) {
+        console.error('Eroare la publicare:', e);
+        showToast('Publicarea a eșuat.', 'error');
+        return;
+    }
+    showToast(`Ciorna "${draftName}" a fost publicată.`, 'success');
+}
+
+window.getDraftName = getDraftName;
+window.isDraftPreview = isDraftPreview;
@@ -0,0 +1,404 @@
+const UNDERLAY_API = '/api/indoor/underlay';
+const UNDERLAY_MAX_PIXELS = 2400;
+const UNDERLAY_DEFAULT_OPACITY = 0.5;
+const PDFJS_SRC = 'https://unpkg.com/pdfjs-dist@3.11.174/build/pdf.min.js';
+const PDFJS_WORKER_SRC = 'https://unpkg.com/pdfjs-dist@3.11.174/build/pdf.worker.min.js';
+
+let underlayOverlay = null;
+let underlayHandles = null;
+let underlayImageCache = {};
+let scaleToolState = null;
+
+/**
+ * L.ImageOverlay that keeps a CSS rotation (degrees, around the image centre)
+ * on top of the translate Leaflet sets on every reset and zoom animation.
+ */
+const RotatedImageOverlay = L.ImageOverlay.extend({
+    options: { rotation: 0 },
+
+    setRotation(rotation) {
+        this.options.rotation = rotation;
+        this._applyRotation();
+        return this;
+    },
+
+    _reset() {
+        L.ImageOverlay.prototype._reset.call(this);
+        this._applyRotation();
+    },
+
+    _animateZoom(e) {
+        L.ImageOverlay.prototype._animateZoom.call(this, e);
+        this._applyRotation();
+    },
+
+    _applyRotation() {
+        if (!this._image) return;
+        this._image.style.transformOrigin = 'center center';
+        this._image.style.transform = this._image.style.transform.replace(/\s*rotate\([^)]*\)/, '')
+            + ` rotate(${this.options.rotation || 0}deg)`;
+    }
+});
+
+function underlayCacheKey(buildingName, floorId) {
+    return `${buildingName}|||${floorId}`;
+}
+
+function getUnderlayFloor(buildingName, floorId) {
+    const bData = window.floorData[buildingName];
+    return bData && bData.floors ? bData.floors.find(f => f.id == floorId) : null;
+}
+
+function loadScriptOnce(src) {
+    const existing = document.querySelector(`script[src="${src}"]`);
+    if (existing && existing.dataset.loaded) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+        const script = existing || document.createElement('script');
+        script.addEventListener('load', () => {
+            script.dataset.loaded = '1';
+            resolve();
+        });
+        script.addEventListener('error', () => reject(new Error(`Nu am putut încărca ${src}`)));
+        if (!existing) {
+            script.src = src;
+            document.head.appendChild(script);
+        }
+    });
+}
+
+function readFileAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+function loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('Imagine invalidă'));
+        img.src = src;
+    });
+}
+
+async function rasterToDataUrl(file) {
+    const dataUrl = await readFileAsDataUrl(file);
+    const img = await loadImage(dataUrl);
+    const width = img.naturalWidth, height = img.naturalHeight;
+    if (file.type === 'image/svg+xml' || Math.max(width, height) <= UNDERLAY_MAX_PIXELS) {
+        return { dataUrl, width, height };
+    }
+    const ratio = UNDERLAY_MAX_PIXELS / Math.max(width, height);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+    return { dataUrl: canvas.toDataURL('image/png'), width: canvas.width, height: canvas.height };
+}
+
+async function pdfPageToDataUrl(file, pageNumber) {
+    await loadScriptOnce(PDFJS_SRC);
+    window.pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_SRC;
+    const pdf = await window.pdfjsLib.getDocument({ data: await file.arrayBuffer() }).promise;
+    const page = await pdf.getPage(Math.min(Math.max(1, pageNumber), pdf.numPages));
+    const base = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: UNDERLAY_MAX_PIXELS / Math.max(base.width, base.height) });
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(viewport.width);
+    canvas.height = Math.round(viewport.height);
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+    return { dataUrl: canvas.toDataURL('image/png'), width: canvas.width, height: canvas.height };
+}
+
+function fitUnderlayBounds(width, height, floorBounds) {
+    const [[south, west], [north, east]] = floorBounds;
+    const scale = Math.min((east - west) / width, (north - south) / height);
+    const w = width * scale, h = height * scale;
+    const cx = (west + east) / 2, cy = (south + north) / 2;
+    return [[cy - h / 2, cx - w / 2], [cy + h / 2, cx + w / 2]];
+}
+
+/** Drafts keep their own underlay images until published; everyone else reads the published ones. */
+function getUnderlayUrl(buildingName, floorId) {
+    const query = `?building=${encodeURIComponent(buildingName)}&floor=${floorId}`;
+    return getDraftName() ? getDraftEndpoint(`underlay${query}`) : withCampus(UNDERLAY_API + query);
+}
+
+async function fetchUnderlayImage(buildingName, floorId) {
+    const key = underlayCacheKey(buildingName, floorId);
+    if (underlayImageCache[key]) return underlayImageCache[key];
+    const response = await fetch(getUnderlayUrl(buildingName, floorId));
+    if (!response.ok) return null;
+    underlayImageCache[key] = await response.text();
+    return underlayImageCache[key];
+}
+
+function ensureUnderlayPane() {
+    if (!indoorMap.getPane('underlayPane')) {
+        const pane = indoorMap.createPane('underlayPane');
+        pane.style.zIndex = 350;
+        pane.style.pointerEvents = 'none';
+    }
+}
+
+function removeUnderlay() {
+    disableUnderlayAlignment();
+    cancelScaleTool();
+    if (underlayOverlay) {
+        indoorMap.removeLayer(underlayOverlay);
+        underlayOverlay = null;
+    }
+}
+
+async function renderFloorUnderlay(buildingName, floorId) {
+    removeUnderlay();
+    const floorObj = getUnderlayFloor(buildingName, floorId);
+    syncUnderlayControls(floorObj);
+    if (!floorObj || !floorObj.underlay) return;
+    let image = null;
+    try {
+        image = await fetchUnderlayImage(buildingName, floorId);
+    } catch (e) {
+        console.warn('Nu am putut încărca planul de fundal:', e);
+    }
+    if (!image || currentIndoorBuilding !== buildingName || currentIndoorFloor != floorId) return;
+    ensureUnderlayPane();
+    underlayOverlay = new RotatedImageOverlay(image, floorObj.underlay.bounds, {
+        pane: 'underlayPane',
+        opacity: floorObj.underlay.opacity,
+        rotation: floorObj.underlay.rotation || 0,
+        interactive: false
+    }).addTo(indoorMap);
+}
+
+async function uploadFloorUnderlay(file) {
+    const buildingName = currentIndoorBuilding, floorId = currentIndoorFloor;
+    const floorObj = getUnderlayFloor(buildingName, floorId);
+    if (!floorObj || !file) return;
+
+    let image;
+    try {
+        if (file.type === 'application/pdf') {
+            const page = await new Promise(resolve => showCustomPrompt("Pagina din PDF (1, 2, ...):", resolve));
+            if (page === null || page === undefined) return;
+            image = await pdfPageToDataUrl(file, parseInt(page, 10) || 1);
+        } else {
+            image = await rasterToDataUrl(file);
+        }
+    } catch (e) {
+        console.error('Eroare la citirea planului:', e);
+        showCustomAlert("Fișierul nu a putut fi citit. Sunt acceptate PNG, JPG, SVG și PDF.");
+        return;
+    }
+
+    try {
+        const response = await fetch(getUnderlayUrl(buildingName, floorId), {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: image.dataUrl
+        });
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+    } catch (e) {
+        console.error('Eroare la salvarea planului de fundal:', e);
+        showCustomAlert("Eroare la salvarea planului de fundal.");
+        return;
+    }
+    underlayImageCache[underlayCacheKey(buildingName, floorId)] = image.dataUrl;
+    floorObj.underlay = {
+        bounds: fitUnderlayBounds(image.width, image.height, floorObj.bounds || [[0, 0], [1000, 1000]]),
+        rotation: 0,
+        opacity: UNDERLAY_DEFAULT_OPACITY
+    };
+    await renderFloorUnderlay(buildingName, floorId);
+    showToast('Planul de fundal a fost încărcat. Folosește "Aliniază" și apoi "Save Plan".', 'success');
+}
+
+async function deleteFloorUnderlay() {
+    const buildingName = currentIndoorBuilding, floorId = currentIndoorFloor;
+    const floorObj = getUnderlayFloor(buildingName, floorId);
+    if (!floorObj || !floorObj.underlay) return;
+    try {
+        const response = await fetch(getUnderlayUrl(buildingName, floorId), { method: 'DELETE' });
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+    } catch (e) {
+        console.error('Eroare la ștergerea planului de fundal:', e);
+        showCustomAlert("Eroare la ștergerea planului de fundal.");
+        return;
+    }
+    delete underlayImageCache[underlayCacheKey(buildingName, floorId)];
+    delete floorObj.underlay;
+    removeUnderlay();
+    syncUnderlayControls(floorObj);
+}
+
+function setUnderlayOpacity(value) {
+    const floorObj = getUnderlayFloor(currentIndoorBuilding, currentIndoorFloor);
+    if (!floorObj || !floorObj.underlay) return;
+    floorObj.underlay.opacity = value;
+    if (underlayOverlay) underlayOverlay.setOpacity(value);
+}
+
+function createHandleIcon(symbol) {
+    return L.divIcon({ className: 'underlay-handle', html: `<div>${symbol}</div>`, iconSize: [22, 22], iconAnchor: [11, 11] });
+}
+
+function enableUnderlayAlignment() {
+    const floorObj = getUnderlayFloor(currentIndoorBuilding, currentIndoorFloor);
+    if (!underlayOverlay || !floorObj || !floorObj.underlay) return;
+    disableUnderlayAlignment();
+    const underlay = floorObj.underlay;
+
+    function geometry() {
+        const b = L.latLngBounds(underlay.bounds);
+        return { center: b.getCenter(), halfW: (b.getEast() - b.getWest()) / 2, halfH: (b.getNorth() - b.getSouth()) / 2 };
+    }
+    function rotateOffset(dx, dy) {
+        const rad = -(underlay.rotation || 0) * Math.PI / 180;
+        return [dx * Math.cos(rad) - dy * Math.sin(rad), dx * Math.sin(rad) + dy * Math.cos(rad)];
+    }
+    function handlePositions() {
+        const { center, halfW, halfH } = geometry();
+        const [cx, cy] = rotateOffset(halfW, halfH);
+        const [rx, ry] = rotateOffset(0, halfH * 1.15);
+        return {
+            move: center,
+            scale: L.latLng(center.lat + cy, center.lng + cx),
+            rotate: L.latLng(center.lat + ry, center.lng + rx)
+        };
+    }
+    function apply(center, halfW, halfH) {
+        underlay.bounds = [[center.lat - halfH, center.lng - halfW], [center.lat + halfH, center.lng + halfW]];
+        underlayOverlay.setBounds(L.latLngBounds(underlay.bounds));
+        underlayOverlay.setRotation(underlay.rotation || 0);
+    }
+    function refreshHandles(except) {
+        const pos = handlePositions();
+        Object.keys(pos).forEach(name => {
+            if (name !== except) underlayHandles[name].setLatLng(pos[name]);
+        });
+    }
+
+    const pos = handlePositions();
+    underlayHandles = {
+        move: L.marker(pos.move, { draggable: true, icon: createHandleIcon('✥') }),
+        scale: L.marker(pos.scale, { draggable: true, icon: createHandleIcon('⤡') }),
+        rotate: L.marker(pos.rotate, { draggable: true, icon: createHandleIcon('⟳') })
+    };
+    underlayHandles.move.on('drag', (e) => {
+        const { halfW, halfH } = geometry();
+        apply(e.target.getLatLng(), halfW, halfH);
+        refreshHandles('move');
+    });
+    underlayHandles.scale.on('drag', (e) => {
+        const { center, halfW, halfH } = geometry();
+        const p = e.target.getLatLng();
+        const diagonal = Math.hypot(halfW, halfH);
+        const factor = Math.max(0.05, Math.hypot(p.lng - center.lng, p.lat - center.lat) / diagonal);
+        apply(center, halfW * factor, halfH * factor);
+        refreshHandles('scale');
+    });
+    underlayHandles.rotate.on('drag', (e) => {
+        const { center } = geometry();
+        const p = e.target.getLatLng();
+        underlay.rotation = Math.round(Math.atan2(p.lng - center.lng, p.lat - center.lat) * 180 / Math.PI * 10) / 10;
+        underlayOverlay.setRotation(underlay.rotation);
+        refreshHandles('rotate');
+    });
+    Object.values(underlayHandles).forEach(handle => handle.addTo(indoorMap));
+}
+
+function disableUnderlayAlignment() {
+    if (!underlayHandles) return;
+    Object.values(underlayHandles).forEach(handle => handle.remove());
+    underlayHandles = null;
+}
+
+function toggleUnderlayAlignment() {
+    if (underlayHandles) {
+        disableUnderlayAlignment();
+    } else {
+        enableUnderlayAlignment();
+    }
+    syncUnderlayControls(getUnderlayFloor(currentIndoorBuilding, currentIndoorFloor));
+}
+
+function startScaleTool() {
+    if (!indoorMap) return;
+    cancelScaleTool();
+    indoorMap.pm.disableDraw();
+    scaleToolState = { points: [], layer: L.layerGroup().addTo(indoorMap) };
+    indoorMap.on('click', handleScaleToolClick);
+    showToast('Apasă pe cele două capete ale unei distanțe cunoscute (ex. un perete).', 'info');
+}
+
+function handleScaleToolClick(e) {
+    if (!scaleToolState) return;
+    scaleToolState.points.push(e.latlng);
+    L.circleMarker(e.latlng, { radius: 5, color: '#e67e22' }).addTo(scaleToolState.layer);
+    if (scaleToolState.points.length < 2) return;
+
+    const [a, b] = scaleToolState.points;
+    L.polyline([a, b], { color: '#e67e22', weight: 3, dashArray: '6, 6' }).addTo(scaleToolState.layer);
+    indoorMap.off('click', handleScaleToolClick);
+    const units = euclideanDistance(a, b);
+    showCustomPrompt("Câți metri reprezintă linia trasată?", (value) => {
+        const meters = parseFloat(String(value || '').replace(',', '.'));
+        const floorObj = getUnderlayFloor(currentIndoorBuilding, currentIndoorFloor);
+        cancelScaleTool();
+        if (!floorObj || !(meters > 0) || units === 0) return;
+        floorObj.metersPerUnit = meters / units;
+        showToast(`Scară setată: 1 unitate = ${floorObj.metersPerUnit.toFixed(3)} m. Apasă "Save Plan".`, 'success');
+    });
+}
+
+function cancelScaleTool() {
+    if (!scaleToolState) return;
+    indoorMap.off('click', handleScaleToolClick);
+    scaleToolState.layer.remove();
+    scaleToolState = null;
+}
+
+function syncUnderlayControls(floorObj) {
+    const hasUnderlay = !!(floorObj && floorObj.underlay);
+    const opacity = document.getElementById('underlay-opacity');
+    if (opacity) {
+        opacity.disabled = !hasUnderlay;
+        opacity.value = hasUnderlay ? floorObj.underlay.opacity : UNDERLAY_DEFAULT_OPACITY;
+    }
+    const alignBtn = document.getElementById('underlay-align-btn');
+    if (alignBtn) {
+        alignBtn.disabled = !hasUnderlay;
+        alignBtn.classList.toggle('active', !!underlayHandles);
+    }
+    const removeBtn = document.getElementById('underlay-remove-btn');
+    if (removeBtn) removeBtn.disabled = !hasUnderlay;
+    const scaleInfo = document.getElementById('underlay-scale-info');
+    if (scaleInfo) {
+        scaleInfo.textContent = floorObj && floorObj.metersPerUnit
+            ? `1 u = ${floorObj.metersPerUnit.toFixed(3)} m`
+            : 'scară nesetată';
+    }
+}
+
+function setUnderlayControlsVisible(visible) {
+    const controls = document.getElementById('indoor-underlay-controls');
+    if (!controls) return;
+    controls.style.display = visible ? 'flex' : 'none';
+    if (!visible) {
+        disableUnderlayAlignment();
+        cancelScaleTool();
+        return;
+    }
+    document.getElementById('underlay-file-input').onchange = (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        uploadFloorUnderlay(file);
+    };
+    document.getElementById('underlay-opacity').oninput = (e) => setUnderlayOpacity(parseFloat(e.target.value));
+    document.getElementById('underlay-align-btn').onclick = toggleUnderlayAlignment;
+    document.getElementById('underlay-scale-btn').onclick = startScaleTool;
+    document.getElementById('underlay-remove-btn').onclick = deleteFloorUnderlay;
+}
@@ -0,0 +1,197 @@
+const GEOREF_OVERLAY_MIN_ZOOM = 19;
+const GEOREF_POINT_COUNT = 3;
+const GEOREF_POINT_COLORS = ['#e74c3c', '#27ae60', '#2980b9'];
+
+let georefSession = null;
+let georefOverlayLayer = null;
+
+/**
+ * Solves the affine transform mapping three indoor points onto three map points:
+ * lat = a*x + b*y + c, lng = d*x + e*y + f (x = indoor lng, y = indoor lat).
+ * @param {Array<{lat:number, lng:number}>} src - indoor (CRS.Simple) points
+ * @param {Array<{lat:number, lng:number}>} dst - WGS84 points
+ * @returns {number[]|null} [a, b, c, d, e, f], or null if the indoor points are collinear
+ */
+function solveAffineTransform(src, dst) {
+    const [p1, p2, p3] = src;
+    const det = p1.lng * (p2.lat - p3.lat) - p1.lat * (p2.lng - p3.lng) + (p2.lng * p3.lat - p3.lng * p2.lat);
+    if (Math.abs(det) < 1e-9) return null;
+
+    function solve(v1, v2, v3) {
+        const a = (v1 * (p2.lat - p3.lat) - p1.lat * (v2 - v3) + (v2 * p3.lat - v3 * p2.lat)) / det;
+        const b = (p1.lng * (v2 - v3) - v1 * (p2.lng - p3.lng) + (p2.lng * v3 - p3.lng * v2)) / det;
+        const c = (p1.lng * (p2.lat * v3 - p3.lat * v2) - p1.lat * (p2.lng * v3 - p3.lng * v2) + v1 * (p2.lng * p3.lat - p3.lng * p2.lat)) / det;
+        return [a, b, c];
+    }
+    return solve(dst[0].lat, dst[1].lat, dst[2].lat).concat(solve(dst[0].lng, dst[1].lng, dst[2].lng));
+}
+
+function applyGeoref(georef, point) {
+    const [a, b, c, d, e, f] = georef.matrix;
+    return L.latLng(a * point.lng + b * point.lat + c, d * point.lng + e * point.lat + f);
+}
+
+function computeGeorefMetersPerUnit(src, dst) {
+    let indoor = 0, world = 0;
+    for (let i = 0; i < src.length; i++) {
+        const j = (i + 1) % src.length;
+        indoor += euclideanDistance(src[i], src[j]);
+        world += haversineDistance(dst[i], dst[j]);
+    }
+    return indoor > 0 ? world / indoor : null;
+}
+
+function getFloorGeoref(buildingName, floorId) {
+    const bData = window.floorData && window.floorData[buildingName];
+    const floorObj = bData && bData.floors ? bData.floors.find(f => f.id === floorId) : null;
+    return (floorObj && floorObj.georef) || null;
+}
+
+function showGeorefBanner(message) {
+    let banner = document.getElementById('georef-banner');
+    if (!banner) {
+        banner = document.createElement('div');
+        banner.id = 'georef-banner';
+        banner.className = 'georef-banner';
+        document.body.appendChild(banner);
+    }
+    banner.innerHTML = `<span>${escapeHtml(message)}</span><button type="button" id="georef-cancel-btn">Anulează</button>`;
+    banner.style.display = 'flex';
+    document.getElementById('georef-cancel-btn').onclick = cancelFloorGeoreference;
+}
+
+function hideGeorefBanner() {
+    const banner = document.getElementById('georef-banner');
+    if (banner) banner.style.display = 'none';
+}
+
+function createGeorefPointMarker(latlng, index) {
+    return L.marker(latlng, {
+        icon: L.divIcon({
+            className: 'georef-point',
+            html: `<div style="background-color: ${GEOREF_POINT_COLORS[index]};">${index + 1}</div>`,
+            iconSize: [24, 24],
+            iconAnchor: [12, 12]
+        })
+    });
+}
+
+function startFloorGeoreference(buildingName, floorId) {
+    if (!indoorMap || !campusMap) return;
+    cancelFloorGeoreference();
+    indoorMap.pm.disableDraw();
+    indoorMap.pm.disableGlobalEditMode();
+    georefSession = {
+        buildingName,
+        floorId,
+        indoorPoints: [],
+        mapPoints: [],
+        indoorMarkers: L.layerGroup().addTo(indoorMap),
+        mapMarkers: L.layerGroup().addTo(campusMap)
+    };
+    indoorMap.on('click', handleGeorefIndoorClick);
+    showGeorefBanner(`Pasul 1/2: alege ${GEOREF_POINT_COUNT} puncte de control pe plan (colțuri ușor de recunoscut).`);
+}
+
+function handleGeorefIndoorClick(e) {
+    if (!georefSession) return;
+    const index = georefSession.indoorPoints.length;
+    georefSession.indoorPoints.push(e.latlng);
+    createGeorefPointMarker(e.latlng, index).addTo(georefSession.indoorMarkers);
+    if (georefSession.indoorPoints.length < GEOREF_POINT_COUNT) return;
+
+    indoorMap.off('click', handleGeorefIndoorClick);
+    const modal = document.getElementById('indoor-modal');
+    if (modal) modal.style.display = 'none';
+    document.body.classList.remove('indoor-open');
+    campusMap.on('click', handleGeorefMapClick);
+    showGeorefBanner(`Pasul 2/2: apasă pe hartă aceleași ${GEOREF_POINT_COUNT} puncte, în aceeași ordine (1, 2, 3).`);
+}
+
+function handleGeorefMapClick(e) {
+    if (!georefSession) return;
+    L.DomEvent.stop(e);
+    const index = georefSession.mapPoints.length;
+    georefSession.mapPoints.push(e.latlng);
+    createGeorefPointMarker(e.latlng, index).addTo(georefSession.mapMarkers);
+    if (georefSession.mapPoints.length < GEOREF_POINT_COUNT) return;
+
+    const session = georefSession;
+    const matrix = solveAffineTransform(session.indoorPoints, session.mapPoints);
+    cancelFloorGeoreference();
+    if (!matrix) {
+        showCustomAlert("Punctele de pe plan sunt coliniare. Alege trei puncte care formează un triunghi.");
+        return;
+    }
+    const bData = window.floorData[session.buildingName];
+    const floorObj = bData.floors.find(f => f.id === session.floorId);
+    floorObj.georef = {
+        indoor: session.indoorPoints.map(p => [p.lat, p.lng]),
+        world: session.mapPoints.map(p => [p.lat, p.lng]),
+        matrix,
+        metersPerUnit: computeGeorefMetersPerUnit(session.indoorPoints, session.mapPoints)
+    };
+    console.log(`Georef ${session.buildingName} / ${session.floorId}:`, floorObj.georef);
+    refreshGeorefOverlay();
+    saveIndoorDataToDatabase();
+}
+
+function cancelFloorGeoreference() {
+    hideGeorefBanner();
+    if (!georefSession) return;
+    indoorMap.off('click', handleGeorefIndoorClick);
+    campusMap.off('click', handleGeorefMapClick);
+    georefSession.indoorMarkers.remove();
+    georefSession.mapMarkers.remove();
+    georefSession = null;
+    const modal = document.getElementById('indoor-modal');
+    if (modal && modal.classList.contains('open')) {
+        modal.style.display = 'flex';
+        document.body.classList.add('indoor-open');
+    }
+}
+
+function georefFeatureLayer(feature, georef) {
+    const toWorld = ([x, y]) => applyGeoref(georef, { lat: y, lng: x });
+    const g = feature.geometry;
+    if (g.type === 'Polygon') return L.polygon(g.coordinates.map(ring => ring.map(toWorld)));
+    if (g.type === 'MultiPolygon') return L.polygon(g.coordinates.map(poly => poly.map(ring => ring.map(toWorld))));
+    return null;
+}
+
+function refreshGeorefOverlay() {
+    if (!campusMap) return;
+    if (!georefOverlayLayer) georefOverlayLayer = L.layerGroup().addTo(campusMap);
+    georefOverlayLayer.clearLayers();
+    if (campusMap.getZoom() < GEOREF_OVERLAY_MIN_ZOOM || !window.floorData) return;
+
+    Object.keys(window.floorData).forEach(buildingName => {
+        const bData = window.floorData[buildingName];
+        if (!bData || !bData.floors) return;
+        const floorObj = bData.floors
+            .filter(f => f.georef && f.geoJson && f.geoJson.features)
+            .sort((a, b) => a.id - b.id)[0];
+        if (!floorObj) return;
+        floorObj.geoJson.features.forEach(feature => {
+            if (!feature.geometry || !feature.properties || !feature.properties.name) return;
+            const layer = georefFeatureLayer(feature, floorObj.georef);
+            if (!layer) return;
+            const roomName = feature.properties.name;
+            layer.setStyle({ color: '#8e44ad', weight: 1, fillColor: '#d2b4de', fillOpacity: 0.5 });
+            layer.bindTooltip(roomName, { direction: 'center', className: 'room-tooltip' });
+            layer.on('click', (e) => {
+                L.DomEvent.stop(e);
+                openFloorPlanViewer(buildingName, floorObj.id, roomName);
+            });
+            georefOverlayLayer.addLayer(layer);
+        });
+    });
+}
+
+function initGeorefOverlay() {
+    if (!campusMap) return;
+    campusMap.on('zoomend', refreshGeorefOverlay);
+    refreshGeorefOverlay();
+}
+
+window.startFloorGeoreference = startFloorGeoreference;
@@ -1,5 +1,4 @@
 ﻿
-const API_SAVE_ENDPOINT = '/api/graph/save';
 const API_LOAD_ENDPOINT = '/api/graph/load';
 function initGraphEditor(map, drawnItems) {
     const params = new URLSearchParams(window.location.search);
@@ -26,8 +25,25 @@ function initGraphEditor(map, drawnItems) {
         removalMode: true
     });
     addCustomControls(map, drawnItems);
+    map.on('pm:create', (e) => {
+        if (e.shape === 'Line') editEdgeAttributes(e.layer);
+    });
+    drawnItems.on('click', (e) => {
+        if (!(e.layer instanceof L.Polyline) || e.layer instanceof L.Polygon) return;
+        if (window.isTestMode) return;
+        if (map.pm.globalEditModeEnabled() || map.pm.globalDragModeEnabled() || map.pm.globalRemovalModeEnabled()) return;
+        editEdgeAttributes(e.layer);
+    });
     console.log("Graph Editor Initialized");
 }
+function editEdgeAttributes(layer) {
+    layer.feature = layer.feature || { type: 'Feature', properties: {} };
+    layer.feature.properties = layer.feature.properties || {};
+    showEdgeAttributesPrompt(layer.feature.properties, (attrs) => {
+        if (!attrs) return;
+        Object.assign(layer.feature.properties, attrs);
+    });
+}
 function addCustomControls(map, drawnItems) {
     const Control = L.Control.extend({
         options: { position: 'topright' },
@@ -45,23 +61,44 @@ function addCustomControls(map, drawnItems) {
             loadBtn.innerText = '📂 Load Graph';
             loadBtn.className = 'admin-btn';
             loadBtn.onclick = () => loadGraph(drawnItems);
+            const exportBtn = document.createElement('button');
+            exportBtn.innerText = '📦 Export Layers';
+            exportBtn.className = 'admin-btn';
+            exportBtn.onclick = () => exportLayersZip();
+            const historyBtn = document.createElement('button');
+            historyBtn.innerText = '🕘 History';
+            historyBtn.className = 'admin-btn';
+            historyBtn.onclick = () => openGraphHistory(map, drawnItems);
+            const validateBtn = document.createElement('button');
+            validateBtn.innerText = '✅ Validate';
+            validateBtn.className = 'admin-btn';
+            validateBtn.onclick = () => openGraphValidation(map, drawnItems);
             container.appendChild(eraseBtn);
             container.appendChild(saveBtn);
             container.appendChild(loadBtn);
+            container.appendChild(exportBtn);
+            container.appendChild(historyBtn);
+            container.appendChild(validateBtn);
             return container;
         }
     });
     map.addControl(new Control());
 }
 async function eraseGraph(drawnItems) {
-    if (!confirm('Ești sigur că vrei să ștergi permanent întregul graf din baza de date? Această acțiune este ireversibilă!')) {
+    if (!confirm('Ești sigur că vrei să ștergi întregul graf? Versiunea curentă rămâne în istoric și poate fi restaurată.')) {
         return;
     }
     drawnItems.clearLayers();
+    window.navigationData = null;
+    window.routingEngine.reset();
     try {
-        const response = await fetch('/api/graph/erase', { method: 'DELETE' });
+        const response = await fetch(getDraftEndpoint('graph'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: '{}'
+        });
         if (response.ok) {
-            showToast('Graful a fost șters complet cu succes!', 'success');
+            showToast(`Graful a fost șters din ciorna "${getDraftName()}". Publică ciorna pentru a-l elimina de pe hartă.`, 'success');
         } else {
             showToast('Graful a fost șters cu succes, dar am primit un avertisment (' + response.status + ') de la server.', 'warning');
         }
@@ -84,14 +121,20 @@ async function saveGraph(drawnItems) {
             return;
         }
     }
+    const issues = validateGraph(geoJSON, (window.campusData && window.campusData.entrances) || []);
+    if (issues.length > 0 && !confirm(`Validarea a găsit ${issues.length} probleme în graf (linii neconectate, duplicate sau intrări izolate). Salvezi oricum? Folosește "Validate" pentru detalii.`)) {
+        return;
+    }
     try {
-        const response = await fetch(API_SAVE_ENDPOINT, {
+        const response = await fetch(getDraftEndpoint('graph'), {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(geoJSON)
         });
         if (response.ok) {
-            showToast('Succes! Graful a fost salvat în baza de date.', 'success');
+            window.navigationData = geoJSON;
+            window.routingEngine.build(geoJSON);
+            showToast(`Graful a fost salvat în ciorna "${getDraftName()}".`, 'success');
         } else {
             showToast('Eroare la server (' + response.status + '). Funcția fallback: descărcare locală.', 'error');
             downloadJSON(geoJSON, 'graph_backup.json'); 
@@ -104,7 +147,7 @@ async function saveGraph(drawnItems) {
 async function loadGraph(drawnItems) {
     const isEditMode = new URLSearchParams(window.location.search).get('edit') === '1';
     try {
-        const response = await fetch(API_LOAD_ENDPOINT);
+        const response = await fetch(isEditMode ? getDraftEndpoint('graph') : withCampus(API_LOAD_ENDPOINT));
         if (response.ok) {
             const textJSON = await response.text();
             if (isEditMode && drawnItems) {
@@ -112,11 +155,13 @@ async function loadGraph(drawnItems) {
             }
             if (!textJSON || textJSON.trim() === '{}' || textJSON.trim() === '') {
                 window.navigationData = null;
+                window.routingEngine.reset();
                 if (isEditMode) showToast('Nu există graf salvat (Harta este goală).', 'info');
                 return;
             }
             const geoJSON = JSON.parse(textJSON);
             window.navigationData = geoJSON;
+            window.routingEngine.reset();
             if (!geoJSON || Object.keys(geoJSON).length === 0 || (geoJSON.features && geoJSON.features.length === 0)) {
                 if (isEditMode) showToast('Nu există elemente în graful salvat anterior.', 'info');
                 return;
@@ -127,7 +172,7 @@ async function loadGraph(drawnItems) {
                         if (drawnItems) drawnItems.addLayer(layer);
                     }
                 });
-                showToast('Graful a fost încărcat din baza de date!', 'success');
+                showToast(`Graful a fost încărcat din ciorna "${getDraftName()}".`, 'success');
             } else {
                 console.log('Graful a fost încărcat în memorie (navigationData), dar este ascuns pe hartă.');
             }
@@ -0,0 +1,197 @@
+const API_GRAPH_VERSIONS = '/api/graph/versions';
+const GRAPH_HISTORY_ACTIONS = {
+    save: 'Salvare',
+    erase: 'Ștergere',
+    restore: 'Restaurare',
+    publish: 'Publicare',
+    baseline: 'Versiune inițială'
+};
+
+let graphHistoryMap = null;
+let graphHistoryDrawnItems = null;
+let graphHistoryVersions = [];
+let graphHistorySelectedId = null;
+let graphDiffLayer = null;
+let graphVersionCache = {};
+
+function getGraphEdgeKeys(geoJSON) {
+    const edges = new Map();
+    extractSegments(geoJSON).forEach(seg => {
+        const k1 = getCoordKey(seg.a.lat, seg.a.lng);
+        const k2 = getCoordKey(seg.b.lat, seg.b.lng);
+        if (k1 === k2) return;
+        const key = k1 < k2 ? `${k1}|${k2}` : `${k2}|${k1}`;
+        edges.set(key, [seg.a, seg.b]);
+    });
+    return edges;
+}
+
+/**
+ * Edge-level diff between two graph GeoJSONs.
+ * @returns {{added: Array, removed: Array}} segments present only in `next` / only in `prev`
+ */
+function diffGraphs(prev, next) {
+    const prevEdges = getGraphEdgeKeys(prev);
+    const nextEdges = getGraphEdgeKeys(next);
+    const added = [], removed = [];
+    nextEdges.forEach((seg, key) => { if (!prevEdges.has(key)) added.push(seg); });
+    prevEdges.forEach((seg, key) => { if (!nextEdges.has(key)) removed.push(seg); });
+    return { added, removed };
+}
+
+async function fetchGraphVersion(id) {
+    if (graphVersionCache[id]) return graphVersionCache[id];
+    const response = await fetch(withCampus(`${API_GRAPH_VERSIONS}/${id}`));
+    if (!response.ok) throw new Error('HTTP ' + response.status);
+    graphVersionCache[id] = JSON.parse(await response.text());
+    return graphVersionCache[id];
+}
+
+function getGraphHistoryPanel() {
+    let panel = document.getElementById('graph-history-panel');
+    if (panel) return panel;
+    panel = document.createElement('div');
+    panel.id = 'graph-history-panel';
+    panel.className = 'graph-history-panel';
+    panel.innerHTML = `
+        <div class="graph-history-header">
+            <h3>Istoric graf</h3>
+            <span class="close-modal" id="graph-history-close">&times;</span>
+        </div>
+        <label class="graph-history-compare">
+            Compară cu
+            <select id="graph-history-compare">
+                <option value="previous">versiunea anterioară</option>
+                <option value="current">graful de pe hartă</option>
+            </select>
+        </label>
+        <div class="graph-history-legend">
+            <span class="graph-diff-added">■ adăugate</span>
+            <span class="graph-diff-removed">■ eliminate</span>
+            <span id="graph-history-diff-count"></span>
+        </div>
+        <ul id="graph-history-list" class="graph-history-list"></ul>
+        <button type="button" class="admin-btn" id="graph-history-restore" disabled>Restaurează în ciornă</button>
+    `;
+    document.body.appendChild(panel);
+    document.getElementById('graph-history-close').onclick = closeGraphHistory;
+    document.getElementById('graph-history-compare').onchange = () => {
+        if (graphHistorySelectedId !== null) selectGraphVersion(graphHistorySelectedId);
+    };
+    document.getElementById('graph-history-restore').onclick = () => restoreGraphVersion(graphHistorySelectedId);
+    return panel;
+}
+
+async function openGraphHistory(map, drawnItems) {
+    graphHistoryMap = map;
+    graphHistoryDrawnItems = drawnItems;
+    const panel = getGraphHistoryPanel();
+    panel.style.display = 'flex';
+    const list = document.getElementById('graph-history-list');
+    list.innerHTML = '<li class="info-text">Se încarcă...</li>';
+    try {
+        const response = await fetch(withCampus(API_GRAPH_VERSIONS));
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        graphHistoryVersions = await response.json();
+    } catch (e) {
+        console.error('Eroare la încărcarea istoricului:', e);
+        list.innerHTML = '<li class="info-text">Istoricul nu a putut fi încărcat.</li>';
+        return;
+    }
+    renderGraphHistoryList();
+}
+
+function renderGraphHistoryList() {
+    const list = document.getElementById('graph-history-list');
+    if (graphHistoryVersions.length === 0) {
+        list.innerHTML = '<li class="info-text">Nu există versiuni salvate.</li>';
+        return;
+    }
+    list.innerHTML = graphHistoryVersions.map(v => `
+        <li class="graph-history-item${v.id === graphHistorySelectedId ? ' active' : ''}" data-id="${v.id}">
+            <strong>#${v.id} ${GRAPH_HISTORY_ACTIONS[v.action] || escapeHtml(v.action)}${v.restoredFromId ? ` (din #${v.restoredFromId})` : ''}</strong>
+            <span>${new Date(v.createdAt).toLocaleString('ro-RO')} · ${escapeHtml(v.author || 'necunoscut')}</span>
+        </li>
+    `).join('');
+    list.querySelectorAll('.graph-history-item').forEach(item => {
+        item.onclick = () => selectGraphVersion(Number(item.dataset.id));
+    });
+}
+
+async function selectGraphVersion(id) {
+    graphHistorySelectedId = id;
+    renderGraphHistoryList();
+    const restoreBtn = document.getElementById('graph-history-restore');
+    restoreBtn.disabled = true;
+
+    const compare = document.getElementById('graph-history-compare').value;
+    const idx = graphHistoryVersions.findIndex(v => v.id === id);
+    let base, selected;
+    try {
+        selected = await fetchGraphVersion(id);
+        if (compare === 'current') {
+            base = graphHistoryDrawnItems.toGeoJSON();
+        } else {
+            const previous = graphHistoryVersions[idx + 1];
+            base = previous ? await fetchGraphVersion(previous.id) : {};
+        }
+    } catch (e) {
+        console.error('Eroare la încărcarea versiunii:', e);
+        showToast('Versiunea nu a putut fi încărcată.', 'error');
+        return;
+    }
+    if (graphHistorySelectedId !== id) return;
+
+    const { added, removed } = diffGraphs(base, selected);
+    showGraphDiff(added, removed);
+    document.getElementById('graph-history-diff-count').textContent = `+${added.length} / −${removed.length}`;
+    restoreBtn.disabled = false;
+}
+
+function showGraphDiff(added, removed) {
+    if (!graphDiffLayer) graphDiffLayer = L.featureGroup();
+    graphDiffLayer.clearLayers();
+    if (!graphHistoryMap.hasLayer(graphDiffLayer)) graphDiffLayer.addTo(graphHistoryMap);
+    removed.forEach(seg => L.polyline(seg, { color: '#e74c3c', weight: 6, opacity: 0.85, dashArray: '8, 6' }).addTo(graphDiffLayer));
+    added.forEach(seg => L.polyline(seg, { color: '#27ae60', weight: 6, opacity: 0.85 }).addTo(graphDiffLayer));
+    if (graphDiffLayer.getLayers().length > 0) {
+        graphHistoryMap.fitBounds(graphDiffLayer.getBounds(), { padding: [40, 40], maxZoom: 19 });
+    }
+}
+
+/**
+ * Copies a version into the active draft. Like any other edit it reaches the published map only when the draft is published.
+ */
+async function restoreGraphVersion(id) {
+    if (id === null) return;
+    if (!confirm(`Restaurezi versiunea #${id} în ciorna "${getDraftName()}"? Harta publicată se schimbă abia după publicarea ciornei.`)) return;
+    try {
+        const graph = await fetchGraphVersion(id);
+        const response = await fetch(getDraftEndpoint('graph'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(graph)
+        });
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+    } catch (e) {
+        console.error('Eroare la restaurare:', e);
+        showToast('Restaurarea a eșuat.', 'error');
+        return;
+    }
+    await loadGraph(graphHistoryDrawnItems);
+    if (window.navigationData && window.navigationData.features && window.navigationData.features.length > 0) {
+        window.routingEngine.build(window.navigationData);
+    }
+    showToast(`Versiunea #${id} a fost restaurată în ciorna "${getDraftName()}". Publică ciorna pentru a o pune pe hartă.`, 'success');
+    graphHistorySelectedId = null;
+    if (graphDiffLayer) graphDiffLayer.clearLayers();
+    document.getElementById('graph-history-diff-count').textContent = '';
+    document.getElementById('graph-history-restore').disabled = true;
+}
+
+function closeGraphHistory() {
+    const panel = document.getElementById('graph-history-panel');
+    if (panel) panel.style.display = 'none';
+    if (graphDiffLayer) graphDiffLayer.remove();
+    graphHistorySelectedId = null;
+}
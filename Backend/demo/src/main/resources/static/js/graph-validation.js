@@ -0,0 +1,422 @@
+const GRAPH_NEAR_MISS_DISTANCE = 3;
+const GRAPH_ENTRANCE_MAX_DISTANCE = 15;
+// Fixing a batch can uncover new issues of the same type (e.g. loose ends hidden by a duplicate), hence a few passes.
+const GRAPH_VALIDATION_MAX_FIX_PASSES = 5;
+const GRAPH_ISSUE_TYPES = {
+    component: { label: 'Componente deconectate', color: '#e67e22' },
+    nearMiss: { label: 'Capete libere aproape de rețea', color: '#e74c3c', fixLabel: 'Lipește capetele' },
+    duplicate: { label: 'Linii duplicate', color: '#8e44ad', fixLabel: 'Unește duplicatele' },
+    entrance: { label: 'Intrări neconectate', color: '#2980b9', fixLabel: 'Conectează intrările' }
+};
+
+let graphValidationMap = null;
+let graphValidationDrawnItems = null;
+let graphValidationLayer = null;
+let graphValidationIssues = [];
+
+function collectGraphLines(geoJSON) {
+    const lines = [];
+    if (!geoJSON || !geoJSON.features) return lines;
+    geoJSON.features.forEach((feature, featureIndex) => {
+        const g = feature.geometry;
+        if (!g) return;
+        const parts = g.type === 'LineString' ? [g.coordinates] : g.type === 'MultiLineString' ? g.coordinates : [];
+        parts.forEach((coords, lineIndex) => {
+            lines.push({ featureIndex, lineIndex, points: coords.map(([lng, lat]) => ({ lat, lng })) });
+        });
+    });
+    return lines;
+}
+
+function collectGraphSegments(lines) {
+    const segments = [];
+    lines.forEach(line => {
+        for (let i = 0; i < line.points.length - 1; i++) {
+            segments.push({ a: line.points[i], b: line.points[i + 1], featureIndex: line.featureIndex, lineIndex: line.lineIndex, segmentIndex: i });
+        }
+    });
+    return segments;
+}
+
+function distanceToSegment(p, seg) {
+    const proj = projectPointOnSegment(p, seg.a, seg.b);
+    return { point: proj, distance: haversineDistance(p, proj) };
+}
+
+function getGraphComponents(graph) {
+    const seen = new Set();
+    const components = [];
+    Object.keys(graph).forEach(start => {
+        if (seen.has(start)) return;
+        const keys = [];
+        const stack = [start];
+        seen.add(start);
+        while (stack.length > 0) {
+            const key = stack.pop();
+            keys.push(key);
+            graph[key].forEach(edge => {
+                if (seen.has(edge.node)) return;
+                seen.add(edge.node);
+                stack.push(edge.node);
+            });
+        }
+        components.push(keys);
+    });
+    return components.sort((a, b) => b.length - a.length);
+}
+
+function findDuplicateSegments(segments) {
+    const tolerance = SNAP_TOLERANCE / METERS_PER_DEGREE_LAT * 2;
+    const covered = new Set();
+    const duplicates = [];
+    const bbox = segments.map(s => ({
+        minLat: Math.min(s.a.lat, s.b.lat) - tolerance, maxLat: Math.max(s.a.lat, s.b.lat) + tolerance,
+        minLng: Math.min(s.a.lng, s.b.lng) - tolerance, maxLng: Math.max(s.a.lng, s.b.lng) + tolerance
+    }));
+    const liesOn = (inner, outer) =>
+        distanceToSegment(inner.a, outer).distance <= SNAP_TOLERANCE &&
+        distanceToSegment(inner.b, outer).distance <= SNAP_TOLERANCE;
+
+    for (let i = 0; i < segments.length; i++) {
+        if (haversineDistance(segments[i].a, segments[i].b) <= SNAP_TOLERANCE) continue;
+        for (let j = i + 1; j < segments.length; j++) {
+            if (covered.has(i)) break;
+            if (covered.has(j)) continue;
+            const bi = bbox[i], bj = bbox[j];
+            if (bi.maxLat < bj.minLat || bj.maxLat < bi.minLat || bi.maxLng < bj.minLng || bj.maxLng < bi.minLng) continue;
+            if (haversineDistance(segments[j].a, segments[j].b) <= SNAP_TOLERANCE) continue;
+            const redundant = liesOn(segments[j], segments[i]) ? j : liesOn(segments[i], segments[j]) ? i : null;
+            if (redundant === null) continue;
+            covered.add(redundant);
+            duplicates.push(segments[redundant]);
+        }
+    }
+    return duplicates;
+}
+
+/**
+ * Topology lint for the navigation graph, using the same node snapping as the router.
+ * @param {Object} geoJSON - graph as saved by graph-editor.js
+ * @param {Array} [entrances] - campusData.entrances ({name, coordinates: [lat, lng]})
+ * @returns {Array<Object>} issues: {type, latlng, message, ...fix data}
+ */
+function validateGraph(geoJSON, entrances = []) {
+    const { graph, nodesMap } = buildGraphFromGeoJSON(geoJSON);
+    const issues = [];
+    if (Object.keys(graph).length === 0) return issues;
+
+    const components = getGraphComponents(graph);
+    const componentOf = {};
+    components.forEach((keys, index) => keys.forEach(key => { componentOf[key] = index; }));
+    components.slice(1).forEach(keys => {
+        issues.push({
+            type: 'component',
+            latlng: nodesMap[keys[0]],
+            message: `Componentă deconectată de restul grafului (${keys.length} noduri).`
+        });
+    });
+
+    const lines = collectGraphLines(geoJSON);
+    const segments = collectGraphSegments(lines);
+    const nodeGrid = createSpatialGrid(GRAPH_NEAR_MISS_DISTANCE);
+    Object.keys(nodesMap).forEach(key => nodeGrid.insert(key, nodesMap[key]));
+    const reported = new Set();
+    const duplicates = findDuplicateSegments(segments);
+    // Loose ends of a duplicate lie on the line they overlap; merging the duplicate handles them.
+    const isDuplicateEnd = node => duplicates.some(seg =>
+        haversineDistance(seg.a, node) <= SNAP_TOLERANCE || haversineDistance(seg.b, node) <= SNAP_TOLERANCE);
+
+    Object.keys(graph).forEach(key => {
+        if (graph[key].length !== 1 || reported.has(key)) return;
+        const node = nodesMap[key];
+        if (isDuplicateEnd(node)) return;
+        const neighbour = graph[key][0].node;
+        let best = null;
+        nodeGrid.query(node, GRAPH_NEAR_MISS_DISTANCE).forEach(hit => {
+            if (hit.key === key || hit.key === neighbour) return;
+            if (!best || hit.distance < best.distance) best = { target: nodesMap[hit.key], targetKey: hit.key, distance: hit.distance };
+        });
+        segments.forEach(seg => {
+            if (haversineDistance(seg.a, node) <= SNAP_TOLERANCE || haversineDistance(seg.b, node) <= SNAP_TOLERANCE) return;
+            const hit = distanceToSegment(node, seg);
+            if (hit.distance > GRAPH_NEAR_MISS_DISTANCE) return;
+            if (!best || hit.distance < best.distance - SNAP_TOLERANCE) best = { target: hit.point, segment: seg, distance: hit.distance };
+        });
+        if (!best) return;
+        reported.add(key);
+        if (best.targetKey) reported.add(best.targetKey);
+        issues.push({
+            type: 'nearMiss',
+            latlng: node,
+            target: best.target,
+            segment: best.segment || null,
+            message: `Capăt liber la ${best.distance.toFixed(1)} m de rețea, nelegat.`
+        });
+    });
+
+    duplicates.forEach(seg => {
+        issues.push({
+            type: 'duplicate',
+            latlng: { lat: (seg.a.lat + seg.b.lat) / 2, lng: (seg.a.lng + seg.b.lng) / 2 },
+            segment: seg,
+            message: 'Segment suprapus peste altă linie.'
+        });
+    });
+
+    const mainGraph = {};
+    components[0].forEach(key => { mainGraph[key] = graph[key]; });
+    (entrances || []).forEach(ent => {
+        if (!ent.coordinates || !isValidCoordinate(ent.coordinates[0], ent.coordinates[1])) return;
+        const point = L.latLng(ent.coordinates[0], ent.coordinates[1]);
+        const nearest = findNearestPointOnGraph(point, graph, nodesMap);
+        if (nearest && nearest.distance <= GRAPH_ENTRANCE_MAX_DISTANCE && componentOf[nearest.k1] === 0) return;
+        const target = findNearestPointOnGraph(point, mainGraph, nodesMap);
+        const name = ent.name || ent.id;
+        issues.push({
+            type: 'entrance',
+            latlng: point,
+            target: target ? target.snapped : null,
+            message: nearest && nearest.distance <= GRAPH_ENTRANCE_MAX_DISTANCE
+                ? `Intrarea "${name}" duce într-o componentă deconectată.`
+                : `Intrarea "${name}" este la ${nearest ? Math.round(nearest.distance) : '?'} m de graf.`
+        });
+    });
+    return issues;
+}
+
+function getValidationLayers(drawnItems) {
+    return drawnItems.getLayers().filter(layer => layer instanceof L.Polyline && !(layer instanceof L.Polygon));
+}
+
+function getValidationGeoJSON(layers) {
+    return { type: 'FeatureCollection', features: layers.map(layer => layer.toGeoJSON()) };
+}
+
+function getLayerLines(layer) {
+    const latlngs = layer.getLatLngs();
+    return L.LineUtil.isFlat(latlngs) ? [latlngs] : latlngs;
+}
+
+function setLayerLines(layer, lines, wasFlat) {
+    layer.setLatLngs(wasFlat ? lines[0] : lines);
+}
+
+function createLineFromLayer(layer, latlngs) {
+    const line = L.polyline(latlngs, layer.options);
+    line.feature = JSON.parse(JSON.stringify(layer.feature || { type: 'Feature', properties: {} }));
+    return line;
+}
+
+function insertLayerVertex(layer, lineIndex, segmentIndex, latlng) {
+    const wasFlat = L.LineUtil.isFlat(layer.getLatLngs());
+    const lines = getLayerLines(layer);
+    lines[lineIndex].splice(segmentIndex + 1, 0, L.latLng(latlng.lat, latlng.lng));
+    setLayerLines(layer, lines, wasFlat);
+}
+
+function moveLayerEndpoint(layers, from, to) {
+    layers.forEach(layer => {
+        const wasFlat = L.LineUtil.isFlat(layer.getLatLngs());
+        const lines = getLayerLines(layer);
+        let moved = false;
+        lines.forEach(line => line.forEach((vertex, i) => {
+            if (haversineDistance(vertex, from) > SNAP_TOLERANCE) return;
+            line[i] = L.latLng(to.lat, to.lng);
+            moved = true;
+        }));
+        if (moved) setLayerLines(layer, lines, wasFlat);
+    });
+}
+
+function removeLayerSegment(drawnItems, layer, lineIndex, segmentIndex) {
+    const wasFlat = L.LineUtil.isFlat(layer.getLatLngs());
+    const lines = getLayerLines(layer);
+    const line = lines[lineIndex];
+    const parts = [line.slice(0, segmentIndex + 1), line.slice(segmentIndex + 1)].filter(part => part.length >= 2);
+    const remaining = lines.slice(0, lineIndex).concat(parts, lines.slice(lineIndex + 1));
+    if (remaining.length === 0) {
+        drawnItems.removeLayer(layer);
+    } else if (wasFlat) {
+        layer.setLatLngs(remaining[0]);
+        if (remaining[1]) drawnItems.addLayer(createLineFromLayer(layer, remaining[1]));
+    } else {
+        layer.setLatLngs(remaining);
+    }
+}
+
+function findLayerSegmentAt(layers, latlng) {
+    const segments = collectGraphSegments(collectGraphLines(getValidationGeoJSON(layers)));
+    let best = null;
+    segments.forEach(seg => {
+        const { distance } = distanceToSegment(latlng, seg);
+        if (!best || distance < best.distance) best = { segment: seg, distance };
+    });
+    return best && best.distance <= SNAP_TOLERANCE ? best.segment : null;
+}
+
+function applyGraphFix(drawnItems, issue) {
+    const layers = getValidationLayers(drawnItems);
+    if (issue.type === 'nearMiss') {
+        moveLayerEndpoint(layers, issue.latlng, issue.target);
+        if (issue.segment) insertLayerVertex(layers[issue.segment.featureIndex], issue.segment.lineIndex, issue.segment.segmentIndex, issue.target);
+        return true;
+    }
+    if (issue.type === 'duplicate') {
+        removeLayerSegment(drawnItems, layers[issue.segment.featureIndex], issue.segment.lineIndex, issue.segment.segmentIndex);
+        return true;
+    }
+    if (issue.type === 'entrance' && issue.target) {
+        const segment = findLayerSegmentAt(layers, issue.target);
+        if (segment) insertLayerVertex(layers[segment.featureIndex], segment.lineIndex, segment.segmentIndex, issue.target);
+        const connector = L.polyline([issue.latlng, issue.target]);
+        connector.feature = { type: 'Feature', properties: {} };
+        drawnItems.addLayer(connector);
+        return true;
+    }
+    return false;
+}
+
+function isGraphIssueFixable(issue) {
+    return issue.type === 'nearMiss' || issue.type === 'duplicate' || (issue.type === 'entrance' && !!issue.target);
+}
+
+function runGraphValidation() {
+    const layers = getValidationLayers(graphValidationDrawnItems);
+    const entrances = (window.campusData && window.campusData.entrances) || [];
+    graphValidationIssues = validateGraph(getValidationGeoJSON(layers), entrances);
+    renderGraphValidation();
+    return graphValidationIssues;
+}
+
+function getGraphValidationPanel() {
+    let panel = document.getElementById('graph-validation-panel');
+    if (panel) return panel;
+    panel = document.createElement('div');
+    panel.id = 'graph-validation-panel';
+    panel.className = 'graph-history-panel graph-validation-panel';
+    panel.innerHTML = `
+        <div class="graph-history-header">
+            <h3>Validare graf</h3>
+            <span class="close-modal" id="graph-validation-close">&times;</span>
+        </div>
+        <div id="graph-validation-summary" class="graph-validation-summary"></div>
+        <ul id="graph-validation-list" class="graph-history-list"></ul>
+        <button type="button" class="admin-btn" id="graph-validation-rerun">Revalidează</button>
+    `;
+    document.body.appendChild(panel);
+    document.getElementById('graph-validation-close').onclick = closeGraphValidation;
+    document.getElementById('graph-validation-rerun').onclick = runGraphValidation;
+    return panel;
+}
+
+function openGraphValidation(map, drawnItems) {
+    graphValidationMap = map;
+    graphValidationDrawnItems = drawnItems;
+    getGraphValidationPanel().style.display = 'flex';
+    const issues = runGraphValidation();
+    showToast(issues.length === 0 ? 'Graful nu are probleme de topologie.' : `Validare: ${issues.length} probleme găsite.`, issues.length === 0 ? 'success' : 'warning');
+}
+
+function renderGraphValidation() {
+    if (!graphValidationLayer) graphValidationLayer = L.featureGroup();
+    graphValidationLayer.clearLayers();
+    if (!graphValidationMap.hasLayer(graphValidationLayer)) graphValidationLayer.addTo(graphValidationMap);
+
+    const counts = {};
+    graphValidationIssues.forEach(issue => { counts[issue.type] = (counts[issue.type] || 0) + 1; });
+    const summary = document.getElementById('graph-validation-summary');
+    summary.innerHTML = Object.keys(counts).length === 0
+        ? '<span class="info-text">Nicio problemă găsită.</span>'
+        : Object.keys(counts).map(type => `
+            <div class="graph-validation-row">
+                <span style="color: ${GRAPH_ISSUE_TYPES[type].color};">● ${GRAPH_ISSUE_TYPES[type].label}: ${counts[type]}</span>
+                ${GRAPH_ISSUE_TYPES[type].fixLabel ? `<button type="button" class="graph-validation-fix" data-type="${type}">${GRAPH_ISSUE_TYPES[type].fixLabel}</button>` : ''}
+            </div>
+        `).join('');
+    summary.querySelectorAll('.graph-validation-fix').forEach(btn => {
+        btn.onclick = () => fixAllGraphIssues(btn.dataset.type);
+    });
+
+    const list = document.getElementById('graph-validation-list');
+    list.innerHTML = graphValidationIssues.map((issue, index) => `
+        <li class="graph-history-item" data-index="${index}">
+            <strong style="color: ${GRAPH_ISSUE_TYPES[issue.type].color};">${GRAPH_ISSUE_TYPES[issue.type].label}</strong>
+            <span>${escapeHtml(issue.message)}</span>
+        </li>
+    `).join('');
+
+    const markers = graphValidationIssues.map((issue, index) => {
+        const marker = L.circleMarker(issue.latlng, {
+            radius: 9, color: 'white', weight: 2,
+            fillColor: GRAPH_ISSUE_TYPES[issue.type].color, fillOpacity: 0.9
+        });
+        if (issue.target) {
+            L.polyline([issue.latlng, issue.target], { color: GRAPH_ISSUE_TYPES[issue.type].color, weight: 2, dashArray: '4, 4' }).addTo(graphValidationLayer);
+        }
+        const popup = document.createElement('div');
+        popup.innerHTML = `<p>${escapeHtml(issue.message)}</p>`;
+        if (isGraphIssueFixable(issue)) {
+            const fixBtn = document.createElement('button');
+            fixBtn.className = 'admin-btn';
+            fixBtn.textContent = 'Repară';
+            fixBtn.onclick = () => fixGraphIssue(index);
+            popup.appendChild(fixBtn);
+        }
+        marker.bindPopup(popup);
+        marker.addTo(graphValidationLayer);
+        return marker;
+    });
+    list.querySelectorAll('.graph-history-item').forEach(item => {
+        item.onclick = () => {
+            const marker = markers[Number(item.dataset.index)];
+            graphValidationMap.setView(marker.getLatLng(), Math.max(graphValidationMap.getZoom(), 19));
+            marker.openPopup();
+        };
+    });
+}
+
+function fixGraphIssue(index) {
+    const issue = graphValidationIssues[index];
+    if (!issue || !applyGraphFix(graphValidationDrawnItems, issue)) return;
+    graphValidationMap.closePopup();
+    runGraphValidation();
+    showToast('Problemă reparată. Salvează graful pentru a păstra modificarea.', 'success');
+}
+
+/**
+ * Order in which one validation pass can be fixed without revalidating: a fix only shifts the indices of its own
+ * segment and the ones after it (removed layers shift later layers, split lines add layers at the end),
+ * so issues are applied from the last segment backwards. Vertices inserted into the same segment go farthest first,
+ * which leaves them in order along the line. Issues without a segment are located by position and go last.
+ */
+function compareGraphIssuesForFix(a, b) {
+    const sa = a.segment, sb = b.segment;
+    if (!sa || !sb) return (sa ? -1 : 0) + (sb ? 1 : 0);
+    return (sb.featureIndex - sa.featureIndex)
+        || (sb.lineIndex - sa.lineIndex)
+        || (sb.segmentIndex - sa.segmentIndex)
+        || (haversineDistance(sb.a, b.target || b.latlng) - haversineDistance(sa.a, a.target || a.latlng));
+}
+
+function fixAllGraphIssues(type) {
+    let fixed = 0;
+    let issues = runGraphValidation();
+    for (let pass = 0; pass < GRAPH_VALIDATION_MAX_FIX_PASSES; pass++) {
+        const batch = issues.filter(issue => issue.type === type && isGraphIssueFixable(issue)).sort(compareGraphIssuesForFix);
+        if (batch.length === 0) break;
+        batch.forEach(issue => {
+            if (applyGraphFix(graphValidationDrawnItems, issue)) fixed++;
+        });
+        issues = runGraphValidation();
+    }
+    showToast(`${fixed} probleme reparate. Salvează graful pentru a păstra modificările.`, fixed > 0 ? 'success' : 'info');
+}
+
+function closeGraphValidation() {
+    const panel = document.getElementById('graph-validation-panel');
+    if (panel) panel.style.display = 'none';
+    if (graphValidationLayer) graphValidationLayer.remove();
+    graphValidationIssues = [];
+}
+
+window.validateGraph = validateGraph;
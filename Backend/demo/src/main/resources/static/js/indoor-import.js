@@ -0,0 +1,270 @@
+const QGIS_IMPORT_MARGIN = 0.05;
+const QGIS_STAIRS_GROUP_TOLERANCE = 0.02;
+const QGIS_DEFAULT_FLOOR_BOUNDS = [[0, 0], [1000, 1000]];
+
+const QGIS_LAYER_ALIASES = {
+    rooms: ['rooms', 'camere', 'sali'],
+    doors: ['doors', 'usi', 'intrari'],
+    stairs: ['stairs', 'scari'],
+    corridors: ['holuri', 'corridors', 'coridoare']
+};
+
+function detectQgisLayer(collection, fileName) {
+    const candidates = [collection.name, fileName.replace(/\.(geo)?json$/i, '')]
+        .filter(Boolean)
+        .map(n => n.trim().toLowerCase());
+    for (const candidate of candidates) {
+        for (const layer of Object.keys(QGIS_LAYER_ALIASES)) {
+            if (QGIS_LAYER_ALIASES[layer].includes(candidate)) return layer;
+        }
+    }
+    const first = (collection.features || []).find(f => f.geometry);
+    if (!first) return null;
+    const props = first.properties || {};
+    const type = first.geometry.type;
+    if (type === 'Polygon' || type === 'MultiPolygon') return 'rooms';
+    if (type === 'LineString' || type === 'MultiLineString') return 'corridors';
+    if (props.room_id !== undefined || props.corr_id !== undefined) return 'doors';
+    if (props.connects !== undefined) return 'stairs';
+    return null;
+}
+
+function getQgisFeatureLevel(props) {
+    const level = props.level !== undefined && props.level !== null ? props.level : props.etaj;
+    const parsed = parseInt(level, 10);
+    return isNaN(parsed) ? 0 : parsed;
+}
+
+function forEachCoordinate(coords, fn) {
+    if (typeof coords[0] === 'number') {
+        fn(coords);
+        return;
+    }
+    coords.forEach(c => forEachCoordinate(c, fn));
+}
+
+function mapCoordinates(coords, fn) {
+    if (typeof coords[0] === 'number') return fn(coords);
+    return coords.map(c => mapCoordinates(c, fn));
+}
+
+function computeQgisImportTransform(layers, floorBounds) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    layers.forEach(({ collection }) => {
+        collection.features.forEach(feature => {
+            if (!feature.geometry) return;
+            forEachCoordinate(feature.geometry.coordinates, ([x, y]) => {
+                minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+                minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+            });
+        });
+    });
+    if (minX === Infinity) return null;
+
+    const [[south, west], [north, east]] = floorBounds;
+    const width = east - west, height = north - south;
+    const usableW = width * (1 - 2 * QGIS_IMPORT_MARGIN);
+    const usableH = height * (1 - 2 * QGIS_IMPORT_MARGIN);
+    const spanX = Math.max(maxX - minX, 1e-9), spanY = Math.max(maxY - minY, 1e-9);
+    const scale = Math.min(usableW / spanX, usableH / spanY);
+    return {
+        scale,
+        offsetX: west + (width - spanX * scale) / 2 - minX * scale,
+        offsetY: south + (height - spanY * scale) / 2 - minY * scale,
+        sourceSpan: Math.max(spanX, spanY)
+    };
+}
+
+function ensureImportFloor(bData, level) {
+    let floorObj = bData.floors.find(f => f.id === level);
+    if (floorObj) return floorObj;
+    for (let i = bData.floors.length; i <= level; i++) {
+        bData.floors.push({ id: i, label: `Etaj ${i}` });
+    }
+    bData.count = bData.floors.length;
+    return bData.floors.find(f => f.id === level);
+}
+
+function buildImportedFeature(layer, feature, transform) {
+    const source = Object.assign({ layer }, feature.properties || {});
+    const geometry = {
+        type: feature.geometry.type,
+        coordinates: mapCoordinates(feature.geometry.coordinates, ([x, y]) => [
+            x * transform.scale + transform.offsetX,
+            y * transform.scale + transform.offsetY
+        ])
+    };
+    const props = { qgis: source };
+
+    if (layer === 'rooms') {
+        props.name = source.name || source.ID || `Camera ${source.fid}`;
+        // Doors point at rooms by this ID (room_id), not by the display name.
+        if (source.ID !== undefined && source.ID !== null && source.ID !== '') props.code = String(source.ID);
+        if (source.type) props.type = source.type;
+    } else if (layer === 'doors') {
+        props.name = source.id || `Usa ${source.fid}`;
+        props.markerType = source.type === 'intersectie' ? '2' : '1';
+        if (source.room_id) props.room = source.room_id;
+        if (source.corr_id) props.corridor = source.corr_id;
+    } else if (layer === 'stairs') {
+        props.name = source.id || `Scari ${source.fid}`;
+        props.markerType = /lift|elevator/i.test(source.type || '') ? '4' : '3';
+        if (source.connects) props.connects = String(source.connects);
+    } else {
+        props.type = 'route';
+        if (source.id) props.name = source.id;
+        Object.assign(props, getEdgeAttributes(source));
+    }
+
+    if (geometry.type === 'MultiLineString') {
+        return geometry.coordinates.map(line => ({
+            type: 'Feature',
+            properties: Object.assign({}, props),
+            geometry: { type: 'LineString', coordinates: line }
+        }));
+    }
+    return [{ type: 'Feature', properties: props, geometry }];
+}
+
+function assignStairsGroups(stairsFeatures, existingFeatures, tolerance) {
+    const groups = [];
+    existingFeatures.forEach(({ feature, level }) => {
+        const [x, y] = feature.geometry.coordinates;
+        const name = feature.properties.group || feature.properties.name;
+        groups.push({ name, x, y, markerType: feature.properties.markerType, levels: new Set([level]) });
+    });
+    stairsFeatures.forEach(({ feature, level }) => {
+        const [x, y] = feature.geometry.coordinates;
+        const connects = getVerticalLevels(feature.properties);
+        const group = groups.find(g =>
+            g.markerType === feature.properties.markerType &&
+            !g.levels.has(level) &&
+            (!connects || Array.from(g.levels).every(l => connects.includes(l))) &&
+            Math.hypot(g.x - x, g.y - y) <= tolerance
+        );
+        if (group) {
+            group.levels.add(level);
+            feature.properties.group = group.name;
+        } else {
+            const name = feature.properties.name;
+            groups.push({ name, x, y, markerType: feature.properties.markerType, levels: new Set([level]) });
+            feature.properties.group = name;
+        }
+    });
+}
+
+/**
+ * Imports QGIS GeoJSON layers (Rooms, doors, Stairs, holuri) into window.floorData[buildingName].
+ * Coordinates are scaled uniformly into the floor bounds; the transform is kept on the building
+ * so layers imported later (and the exporter) line up with the first import.
+ * @param {string} buildingName
+ * @param {Array<{fileName: string, collection: Object}>} files
+ * @param {Object} [options] - { replace: boolean } drops everything already on the affected floors
+ * @returns {{imported: Object, floors: number[], skipped: string[]}}
+ */
+function importQgisLayers(buildingName, files, options = {}) {
+    const bData = window.floorData[buildingName];
+    const skipped = [];
+    const layers = [];
+    files.forEach(({ fileName, collection }) => {
+        const layer = collection && collection.features ? detectQgisLayer(collection, fileName) : null;
+        if (layer) {
+            layers.push({ layer, collection });
+        } else {
+            skipped.push(fileName);
+        }
+    });
+    if (layers.length === 0) return { imported: {}, floors: [], skipped };
+
+    const floorBounds = (bData.floors[0] && bData.floors[0].bounds) || QGIS_DEFAULT_FLOOR_BOUNDS;
+    let transform = options.replace ? null : bData.importTransform;
+    if (!transform) {
+        transform = computeQgisImportTransform(layers, floorBounds);
+        if (!transform) return { imported: {}, floors: [], skipped };
+        bData.importTransform = transform;
+    }
+
+    const byLevel = {};
+    const imported = {};
+    const stairsFeatures = [];
+    layers.forEach(({ layer, collection }) => {
+        collection.features.forEach(feature => {
+            if (!feature.geometry) return;
+            const level = getQgisFeatureLevel(feature.properties || {});
+            if (level < 0) {
+                skipped.push(`${layer}#${(feature.properties || {}).fid} (nivel ${level})`);
+                return;
+            }
+            byLevel[level] = byLevel[level] || { layers: new Set(), features: [] };
+            byLevel[level].layers.add(layer);
+            buildImportedFeature(layer, feature, transform).forEach(f => {
+                byLevel[level].features.push(f);
+                if (layer === 'stairs' && f.geometry.type === 'Point') stairsFeatures.push({ feature: f, level });
+            });
+            imported[layer] = (imported[layer] || 0) + 1;
+        });
+    });
+    const existingStairs = [];
+    bData.floors.forEach(floorObj => {
+        const replaced = options.replace
+            ? byLevel[floorObj.id]
+            : byLevel[floorObj.id] && byLevel[floorObj.id].layers.has('stairs');
+        if (replaced || !floorObj.geoJson || !floorObj.geoJson.features) return;
+        floorObj.geoJson.features.forEach(feature => {
+            const props = feature.properties;
+            if (props && props.name && (props.markerType === '3' || props.markerType === '4') && feature.geometry.type === 'Point') {
+                existingStairs.push({ feature, level: floorObj.id });
+            }
+        });
+    });
+    assignStairsGroups(stairsFeatures, existingStairs, transform.sourceSpan * transform.scale * QGIS_STAIRS_GROUP_TOLERANCE);
+
+    const floors = Object.keys(byLevel).map(Number).sort((a, b) => a - b);
+    floors.forEach(level => {
+        const floorObj = ensureImportFloor(bData, level);
+        const existing = (floorObj.geoJson && floorObj.geoJson.features) || [];
+        const kept = options.replace
+            ? []
+            : existing.filter(f => !(f.properties && f.properties.qgis && byLevel[level].layers.has(f.properties.qgis.layer)));
+        floorObj.geoJson = { type: 'FeatureCollection', features: kept.concat(byLevel[level].features) };
+        if (!floorObj.bounds) floorObj.bounds = floorBounds;
+    });
+    return { imported, floors, skipped };
+}
+
+async function handleQgisImport(buildingName) {
+    const input = document.getElementById('floor-manager-import-input');
+    const replace = document.getElementById('floor-manager-import-replace');
+    if (!input || input.files.length === 0) {
+        showCustomAlert("Alege unul sau mai multe fișiere .geojson exportate din QGIS.");
+        return;
+    }
+
+    const files = [];
+    for (const file of Array.from(input.files)) {
+        try {
+            files.push({ fileName: file.name, collection: JSON.parse(await file.text()) });
+        } catch (e) {
+            console.error(`Fișier GeoJSON invalid: ${file.name}`, e);
+            showCustomAlert(`Fișierul "${file.name}" nu este un GeoJSON valid.`);
+            return;
+        }
+    }
+
+    const result = importQgisLayers(buildingName, files, { replace: replace && replace.checked });
+    if (result.floors.length === 0) {
+        showCustomAlert("Nu am recunoscut niciun strat QGIS (Rooms, doors, Stairs, holuri) în fișierele alese.");
+        return;
+    }
+    console.log(`QGIS import for ${buildingName}:`, result);
+    input.value = '';
+    document.getElementById('floor-manager-count').value = window.floorData[buildingName].count;
+    renderFloorList(buildingName);
+
+    const summary = Object.keys(result.imported).map(layer => `${layer}: ${result.imported[layer]}`).join(', ');
+    showToast(`Import QGIS (${summary}) pe ${result.floors.map(f => getIndoorFloorLabel(buildingName, f)).join(', ')}.`, 'success');
+    if (result.skipped.length > 0) console.warn('Ignorate la import:', result.skipped);
+    saveIndoorDataToDatabase();
+}
+
+window.importQgisLayers = importQgisLayers;
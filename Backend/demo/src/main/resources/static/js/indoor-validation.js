@@ -0,0 +1,273 @@
+const INDOOR_DOOR_ROOM_TOLERANCE = 15;
+const INDOOR_ISSUE_TYPES = {
+    roomWithoutDoor: { label: 'Camere fără intrare', color: '#e74c3c' },
+    doorOffRoute: { label: 'Intrări departe de rute', color: '#e67e22' },
+    stairsUnpaired: { label: 'Scări/lifturi fără pereche', color: '#8e44ad' },
+    duplicateName: { label: 'Nume de camere duplicate', color: '#2980b9' },
+    duplicateMarkerName: { label: 'Markere cu același nume pe etaj', color: '#16a085' }
+};
+
+let indoorValidationIssues = [];
+let indoorValidationBuilding = null;
+let indoorValidationLayer = null;
+
+function getIndoorRings(geometry) {
+    if (geometry.type === 'Polygon') return [geometry.coordinates[0]];
+    if (geometry.type === 'MultiPolygon') return geometry.coordinates.map(poly => poly[0]);
+    return [];
+}
+
+function distanceToRing(point, ring) {
+    let best = Infinity;
+    for (let i = 0; i < ring.length - 1; i++) {
+        const proj = projectPointOnSegment(point, { lat: ring[i][1], lng: ring[i][0] }, { lat: ring[i + 1][1], lng: ring[i + 1][0] });
+        best = Math.min(best, euclideanDistance(point, proj));
+    }
+    return best;
+}
+
+function isDoorOfRoom(door, roomFeature) {
+    // QGIS doors name their room by its ID (props.code), hand-drawn ones by name.
+    const roomKeys = [roomFeature.properties.name, roomFeature.properties.code]
+        .filter(Boolean)
+        .map(key => String(key).trim().toLowerCase());
+    if (door.properties.room && roomKeys.includes(String(door.properties.room).trim().toLowerCase())) return true;
+    const [x, y] = door.geometry.coordinates;
+    return getIndoorRings(roomFeature.geometry).some(ring =>
+        isPointInPolygon([x, y], ring) || distanceToRing({ lat: y, lng: x }, ring) <= INDOOR_DOOR_ROOM_TOLERANCE
+    );
+}
+
+function getRouteSegments(features) {
+    const segments = [];
+    features.forEach(f => {
+        if (!f.geometry || f.geometry.type !== 'LineString') return;
+        const coords = f.geometry.coordinates;
+        for (let i = 0; i < coords.length - 1; i++) {
+            segments.push([{ lat: coords[i][1], lng: coords[i][0] }, { lat: coords[i + 1][1], lng: coords[i + 1][0] }]);
+        }
+    });
+    return segments;
+}
+
+/**
+ * Named point markers that share a name on one floor. Routes and QR start links resolve a marker
+ * by floor and name, so all but the first of each group are unreachable.
+ * @param {Array} features - one floor's GeoJSON features
+ * @param {string[]} [markerTypes] - only these marker types; all when omitted
+ * @returns {Array<Array>} groups of two or more features with the same name
+ */
+function findDuplicateMarkerNames(features, markerTypes = null) {
+    const byName = {};
+    features.forEach(f => {
+        if (!f.geometry || f.geometry.type !== 'Point' || !f.properties || !f.properties.name) return;
+        if (markerTypes && !markerTypes.includes(f.properties.markerType)) return;
+        const key = f.properties.name.trim().toLowerCase();
+        (byName[key] = byName[key] || []).push(f);
+    });
+    return Object.values(byName).filter(group => group.length > 1);
+}
+
+function getVerticalGroup(props) {
+    return (props.group || props.name || '').trim().toLowerCase();
+}
+
+/**
+ * Lints every floor of a building against the rules findIndoorPath relies on.
+ * @param {Object} bData - window.floorData[building]
+ * @param {Object} [allFloorData] - whole floorData, for room names repeated in other buildings
+ * @param {string} [buildingName]
+ * @returns {Array<{type: string, floorId: number, latlng: {lat:number, lng:number}, message: string}>}
+ */
+function validateIndoorBuilding(bData, allFloorData = {}, buildingName = null) {
+    const issues = [];
+    if (!bData || !bData.floors) return issues;
+    const floorIds = new Set(bData.floors.map(f => f.id));
+    const verticals = [];
+
+    bData.floors.forEach(floorObj => {
+        const features = (floorObj.geoJson && floorObj.geoJson.features) || [];
+        const rooms = features.filter(f => f.geometry && getIndoorRings(f.geometry).length > 0 && f.properties && f.properties.name);
+        const points = features.filter(f => f.geometry && f.geometry.type === 'Point' && f.properties);
+        const doors = points.filter(f => f.properties.markerType === '1');
+        const segments = getRouteSegments(features);
+
+        rooms.forEach(room => {
+            if (doors.some(door => isDoorOfRoom(door, room))) return;
+            issues.push({
+                type: 'roomWithoutDoor',
+                floorId: floorObj.id,
+                latlng: getIndoorFeatureCenter(room),
+                message: `Camera "${room.properties.name}" nu are niciun marker de intrare.`
+            });
+        });
+
+        doors.forEach(door => {
+            const [x, y] = door.geometry.coordinates;
+            const p = { lat: y, lng: x };
+            const nearest = segments.reduce((best, [a, b]) => Math.min(best, euclideanDistance(p, projectPointOnSegment(p, a, b))), Infinity);
+            if (nearest < INDOOR_CONNECT_THRESHOLD) return;
+            issues.push({
+                type: 'doorOffRoute',
+                floorId: floorObj.id,
+                latlng: p,
+                message: segments.length === 0
+                    ? `Intrarea "${door.properties.name || '?'}": etajul nu are rute desenate.`
+                    : `Intrarea "${door.properties.name || '?'}" e la ${Math.round(nearest)} unități de cea mai apropiată rută (max ${INDOOR_CONNECT_THRESHOLD}).`
+            });
+        });
+
+        findDuplicateMarkerNames(features).forEach(group => group.forEach(f => {
+            const [x, y] = f.geometry.coordinates;
+            issues.push({
+                type: 'duplicateMarkerName',
+                floorId: floorObj.id,
+                latlng: { lat: y, lng: x },
+                message: `Markerul "${f.properties.name}" apare de ${group.length} ori pe etaj. Rutele și codurile QR pornesc mereu de la primul.`
+            });
+        }));
+
+        points.forEach(f => {
+            if (f.properties.markerType !== '3' && f.properties.markerType !== '4') return;
+            const [x, y] = f.geometry.coordinates;
+            verticals.push({ floorId: floorObj.id, markerType: f.properties.markerType, group: getVerticalGroup(f.properties), levels: getVerticalLevels(f.properties), name: f.properties.name, latlng: { lat: y, lng: x } });
+        });
+    });
+
+    verticals.forEach(v => {
+        const paired = verticals.some(o => o !== v && canLinkVerticals(v, o));
+        if (paired) return;
+        const [kind, verb] = v.markerType === '4' ? ['Liftul', 'nu are'] : ['Scările', 'nu au'];
+        const adjacent = [v.floorId - 1, v.floorId + 1].filter(id => floorIds.has(id));
+        issues.push({
+            type: 'stairsUnpaired',
+            floorId: v.floorId,
+            latlng: v.latlng,
+            message: !v.group
+                ? `${kind} fără nume ${v.markerType === '4' ? 'nu poate fi legat' : 'nu pot fi legate'} de alt etaj.`
+                : adjacent.length === 0
+                    ? `${kind} "${v.name}" ${verb} etaje vecine în clădire.`
+                    : `${kind} "${v.name}" ${verb} pereche cu același nume pe ${adjacent.map(id => getIndoorFloorLabel(buildingName, id)).join(' sau ')}.`
+        });
+    });
+
+    const roomsByName = {};
+    Object.keys(allFloorData).concat(buildingName && !allFloorData[buildingName] ? [buildingName] : []).forEach(name => {
+        const data = name === buildingName ? bData : allFloorData[name];
+        if (!data || !data.floors) return;
+        data.floors.forEach(floorObj => {
+            ((floorObj.geoJson && floorObj.geoJson.features) || []).forEach(f => {
+                if (!f.properties || !f.properties.name || f.properties.markerType || !f.geometry || getIndoorRings(f.geometry).length === 0) return;
+                const key = f.properties.name.trim().toLowerCase();
+                (roomsByName[key] = roomsByName[key] || []).push({ buildingName: name, floorId: floorObj.id, feature: f });
+            });
+        });
+    });
+    Object.keys(roomsByName).forEach(key => {
+        const entries = roomsByName[key];
+        if (entries.length < 2) return;
+        entries.filter(e => e.buildingName === buildingName).forEach(entry => {
+            const others = entries.filter(o => o !== entry).map(o => `${o.buildingName}, ${getIndoorFloorLabel(o.buildingName, o.floorId)}`);
+            issues.push({
+                type: 'duplicateName',
+                floorId: entry.floorId,
+                latlng: getIndoorFeatureCenter(entry.feature),
+                message: `Numele "${entry.feature.properties.name}" apare și în: ${others.join('; ')}. Căutarea găsește doar prima cameră.`
+            });
+        });
+    });
+    return issues;
+}
+
+function getIndoorValidationSnapshot(buildingName) {
+    const bData = window.floorData[buildingName];
+    if (!bData || buildingName !== currentIndoorBuilding) return bData;
+    // Lint what is on screen, including edits not yet saved with "Save Plan".
+    return Object.assign({}, bData, {
+        floors: bData.floors.map(floorObj => floorObj.id == currentIndoorFloor
+            ? Object.assign({}, floorObj, { geoJson: indoorLayers.toGeoJSON() })
+            : floorObj)
+    });
+}
+
+function getIndoorValidationPanel() {
+    let panel = document.getElementById('indoor-validation-panel');
+    if (panel) return panel;
+    panel = document.createElement('div');
+    panel.id = 'indoor-validation-panel';
+    panel.className = 'graph-history-panel indoor-validation-panel';
+    panel.innerHTML = `
+        <div class="graph-history-header">
+            <h3>Validare plan</h3>
+            <span class="close-modal" id="indoor-validation-close">&times;</span>
+        </div>
+        <div id="indoor-validation-summary" class="graph-validation-summary"></div>
+        <ul id="indoor-validation-list" class="graph-history-list"></ul>
+        <button type="button" class="admin-btn" id="indoor-validation-rerun">Revalidează</button>
+    `;
+    document.body.appendChild(panel);
+    document.getElementById('indoor-validation-close').onclick = closeIndoorValidation;
+    document.getElementById('indoor-validation-rerun').onclick = () => runIndoorValidation(indoorValidationBuilding);
+    return panel;
+}
+
+function runIndoorValidation(buildingName) {
+    if (!buildingName || !window.floorData) return;
+    indoorValidationBuilding = buildingName;
+    indoorValidationIssues = validateIndoorBuilding(getIndoorValidationSnapshot(buildingName), window.floorData, buildingName);
+    getIndoorValidationPanel().style.display = 'flex';
+
+    const counts = {};
+    indoorValidationIssues.forEach(issue => { counts[issue.type] = (counts[issue.type] || 0) + 1; });
+    document.getElementById('indoor-validation-summary').innerHTML = indoorValidationIssues.length === 0
+        ? '<span class="info-text">Nicio problemă găsită.</span>'
+        : Object.keys(counts).map(type => `<span style="color: ${INDOOR_ISSUE_TYPES[type].color};">● ${INDOOR_ISSUE_TYPES[type].label}: ${counts[type]}</span>`).join('');
+
+    const list = document.getElementById('indoor-validation-list');
+    list.innerHTML = indoorValidationIssues.map((issue, index) => `
+        <li class="graph-history-item" data-index="${index}">
+            <strong style="color: ${INDOOR_ISSUE_TYPES[issue.type].color};">${escapeHtml(getIndoorFloorLabel(buildingName, issue.floorId))}</strong>
+            <span>${escapeHtml(issue.message)}</span>
+        </li>
+    `).join('');
+    list.querySelectorAll('.graph-history-item').forEach(item => {
+        item.onclick = () => focusIndoorIssue(indoorValidationIssues[Number(item.dataset.index)]);
+    });
+    renderIndoorValidationMarkers(buildingName, currentIndoorFloor);
+}
+
+function focusIndoorIssue(issue) {
+    if (!issue || !indoorMap) return;
+    if (issue.floorId != currentIndoorFloor) switchIndoorFloor(indoorValidationBuilding, issue.floorId, true);
+    indoorMap.setView([issue.latlng.lat, issue.latlng.lng], Math.max(indoorMap.getZoom(), 1));
+}
+
+function renderIndoorValidationMarkers(buildingName, floorId) {
+    if (!indoorMap) return;
+    if (!indoorValidationLayer) indoorValidationLayer = L.layerGroup();
+    indoorValidationLayer.clearLayers();
+    if (buildingName !== indoorValidationBuilding || indoorValidationIssues.length === 0) {
+        indoorValidationLayer.remove();
+        return;
+    }
+    if (!indoorMap.hasLayer(indoorValidationLayer)) indoorValidationLayer.addTo(indoorMap);
+    indoorValidationIssues.filter(issue => issue.floorId == floorId).forEach(issue => {
+        L.circleMarker([issue.latlng.lat, issue.latlng.lng], {
+            radius: 14, color: INDOOR_ISSUE_TYPES[issue.type].color, weight: 3,
+            fillColor: INDOOR_ISSUE_TYPES[issue.type].color, fillOpacity: 0.2,
+            pmIgnore: true
+        })
+            .bindTooltip(issue.message, { direction: 'top' })
+            .addTo(indoorValidationLayer);
+    });
+}
+
+function closeIndoorValidation() {
+    const panel = document.getElementById('indoor-validation-panel');
+    if (panel) panel.style.display = 'none';
+    indoorValidationIssues = [];
+    indoorValidationBuilding = null;
+    if (indoorValidationLayer) indoorValidationLayer.remove();
+}
+
+window.validateIndoorBuilding = validateIndoorBuilding;
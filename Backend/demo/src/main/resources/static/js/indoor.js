@@ -14,6 +14,9 @@ function initIndoorManager() {
 
     const clearRouteBtn = document.getElementById('indoor-clear-route-btn');
     if (clearRouteBtn) clearRouteBtn.addEventListener('click', clearIndoorRoute);
+
+    const freeRoomsBtn = document.getElementById('indoor-free-rooms-btn');
+    if (freeRoomsBtn) freeRoomsBtn.addEventListener('click', toggleFreeRoomsFilter);
 }
 function openFloorManager() {
     const modal = document.getElementById('floor-manager-modal');
@@ -82,6 +85,10 @@ function handleBuildingChange(e) {
             }
         };
     }
+    const importBtn = document.getElementById('floor-manager-import-btn');
+    if (importBtn) importBtn.onclick = () => handleQgisImport(building.name);
+    const qrBtn = document.getElementById('floor-manager-qr-btn');
+    if (qrBtn) qrBtn.onclick = () => printMarkerQrCodes(building.name);
 }
 function updateFloors(buildingName, newCount) {
     const currentData = window.floorData[buildingName];
@@ -118,7 +125,13 @@ function renderFloorList(buildingName) {
         viewBtn.textContent = 'Vezi Plan'; 
         viewBtn.style.cssText = 'background: #3498db; color: white; border: none; padding: 6px 12px; border-radius: 3px; cursor: pointer; margin-right: 5px;';
         viewBtn.onclick = () => openFloorPlanViewer(buildingName, index);
+        const qrBtn = document.createElement('button');
+        qrBtn.textContent = 'QR';
+        qrBtn.title = 'Tipărește coduri QR pentru markerele etajului';
+        qrBtn.style.cssText = 'background: #34495e; color: white; border: none; padding: 6px 12px; border-radius: 3px; cursor: pointer; margin-right: 5px;';
+        qrBtn.onclick = () => printMarkerQrCodes(buildingName, floor.id);
         const btnContainer = document.createElement('div');
+        btnContainer.appendChild(qrBtn);
         btnContainer.appendChild(viewBtn);
         btnContainer.appendChild(editBtn);
         item.appendChild(label);
@@ -132,11 +145,25 @@ let currentIndoorFloor = null;
 let indoorLayers = null;
 let indoorBorderLayer = null;
 let indoorRoutePolyline = null;
+let indoorRouteLegs = null;
+let indoorRouteMeters = null;
+let indoorEditorActive = false;
+let indoorFreeRoomsActive = false;
+const INDOOR_FREE_ROOM_STYLE = { color: '#27ae60', fillColor: '#2ecc71', fillOpacity: 0.45 };
+const INDOOR_BUSY_ROOM_STYLE = { color: '#c0392b', fillColor: '#e74c3c', fillOpacity: 0.45 };
+const INDOOR_ROOM_TYPES = ['Sală de curs', 'Amfiteatru', 'Laborator', 'Seminar', 'Birou', 'Secretariat', 'Bibliotecă', 'Grup sanitar'];
+
+const INDOOR_CONNECT_THRESHOLD = 25;
+const INDOOR_STAIRS_COST_PER_FLOOR = 50;
+const INDOOR_ELEVATOR_COST_PER_FLOOR = 30;
+const INDOOR_DEFAULT_METERS_PER_UNIT = 0.1;
+const INDOOR_STAIRS_METERS_PER_FLOOR = 8;
 
 function getCustomMarkerIcon(typeId) {
     let bgColor = '#3498db'; 
     if (typeId === '2') bgColor = '#e67e22'; 
     if (typeId === '3') bgColor = '#2ecc71'; 
+    if (typeId === '4') bgColor = '#9b59b6';
     
     const htmlString = `<div style="background-color: ${bgColor}; width: 20px; height: 20px; border-radius: 50%; border: 2px solid white; box-shadow: 0 0 5px rgba(0,0,0,0.5);"></div>`;
     
@@ -186,9 +213,12 @@ function initIndoorMap() {
             <div style="display: flex; align-items: center; margin-bottom: 3px;">
                 <div style="width: 14px; height: 14px; border-radius: 50%; background-color: #e67e22; margin-right: 8px;"></div> Intersecție coridor
             </div>
-            <div style="display: flex; align-items: center;">
+            <div style="display: flex; align-items: center; margin-bottom: 3px;">
                 <div style="width: 14px; height: 14px; border-radius: 50%; background-color: #2ecc71; margin-right: 8px;"></div> Scări
             </div>
+            <div style="display: flex; align-items: center;">
+                <div style="width: 14px; height: 14px; border-radius: 50%; background-color: #9b59b6; margin-right: 8px;"></div> Lift
+            </div>
         `;
         return div;
     };
@@ -226,14 +256,16 @@ function initIndoorMap() {
             layer.feature = layer.feature || { type: "Feature", properties: {} };
             layer.feature.properties = layer.feature.properties || {};
             layer.feature.properties.type = "route";
+            showEdgeAttributesPrompt(layer.feature.properties, (attrs) => {
+                if (attrs) Object.assign(layer.feature.properties, attrs);
+            });
         } else {
-            showCustomPrompt("Numele camerei / Room name:", (roomName) => {
-                if (roomName) {
+            showRoomPropertiesPrompt({}, (props) => {
+                if (props) {
                     layer.feature = layer.feature || { type: "Feature", properties: {} };
-                    layer.feature.properties = layer.feature.properties || {};
-                    layer.feature.properties.name = roomName;
+                    layer.feature.properties = Object.assign(layer.feature.properties || {}, props);
                     
-                    layer.bindTooltip(roomName, {
+                    layer.bindTooltip(props.name, {
                         permanent: true,
                         direction: "center",
                         className: "room-tooltip"
@@ -245,6 +277,69 @@ function initIndoorMap() {
             });
         }
     });
+
+    indoorLayers.on('click', (e) => {
+        const layer = e.propagatedFrom || e.layer;
+        if (!(layer instanceof L.Polygon) || !layer.feature || !layer.feature.properties || !layer.feature.properties.name) return;
+        if (!indoorEditorActive) {
+            showIndoorRoomDetails(layer);
+            return;
+        }
+        const pm = indoorMap.pm;
+        if (pm.globalDrawModeEnabled() || pm.globalEditModeEnabled() || pm.globalDragModeEnabled() || pm.globalRemovalModeEnabled()) return;
+        showRoomPropertiesPrompt(layer.feature.properties, (props) => {
+            if (!props) return;
+            Object.assign(layer.feature.properties, props);
+            layer.setTooltipContent(props.name);
+        });
+    });
+}
+
+function getRoomDetails(buildingName, floorId, properties) {
+    return Object.assign({}, properties, {
+        building: buildingName,
+        floor: getIndoorFloorLabel(buildingName, floorId)
+    });
+}
+
+/**
+ * Shows a room's metadata in the indoor view's details panel. The sidebar's #room-details sits
+ * behind the indoor modal, so the panel lives over the floor plan instead.
+ */
+function showIndoorRoomDetails(layer) {
+    const detailsDiv = document.getElementById('indoor-room-details');
+    if (!detailsDiv) return;
+    const room = getRoomDetails(currentIndoorBuilding, currentIndoorFloor, layer.feature.properties);
+    updateDeepLink({ b: currentIndoorBuilding, f: currentIndoorFloor, room: room.name });
+    detailsDiv.innerHTML = `
+        <div class="indoor-room-details-header">
+            <h3>${escapeHtml(room.name)}</h3>
+            <button type="button" class="indoor-room-details-close" title="Închide">&times;</button>
+        </div>
+        ${createRoomDetailsHtml(room)}`;
+    detailsDiv.querySelector('.indoor-room-details-close').onclick = hideIndoorRoomDetails;
+    if (hasTimetable()) {
+        renderRoomWeek(detailsDiv.appendChild(document.createElement('div')), { buildingName: currentIndoorBuilding, roomName: room.name });
+    }
+    detailsDiv.style.display = 'block';
+}
+
+function hideIndoorRoomDetails() {
+    const detailsDiv = document.getElementById('indoor-room-details');
+    if (!detailsDiv) return;
+    detailsDiv.innerHTML = '';
+    detailsDiv.style.display = 'none';
+}
+
+function toggleFreeRoomsFilter() {
+    if (!indoorFreeRoomsActive && !hasTimetable()) {
+        showCustomAlert('Importă întâi un orar (bara laterală → Orarul meu) ca să vezi sălile libere.');
+        return;
+    }
+    indoorFreeRoomsActive = !indoorFreeRoomsActive;
+    const btn = document.getElementById('indoor-free-rooms-btn');
+    if (btn) btn.classList.toggle('active', indoorFreeRoomsActive);
+    loadFloorData(currentIndoorBuilding, currentIndoorFloor);
 }
 
 function showCustomPrompt(message, callback) {
@@ -350,6 +445,7 @@ function showMarkerSelectionPrompt(callback) {
                         <option value="1">1 = Intrare cameră</option>
                         <option value="2">2 = Intersecție coridor</option>
                         <option value="3">3 = Scări</option>
+                        <option value="4">4 = Lift</option>
                     </select>
                 </div>
 
@@ -403,6 +499,196 @@ function showMarkerSelectionPrompt(callback) {
     };
 }
 
+function showEdgeAttributesPrompt(properties, callback) {
+    let modal = document.getElementById('custom-edge-prompt-modal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'custom-edge-prompt-modal';
+        modal.className = 'custom-prompt-modal';
+        modal.innerHTML = `
+            <div class="custom-prompt-content">
+                <h3 style="margin-bottom: 20px; font-size: 18px; font-weight: 600;">Atribute segment</h3>
+
+                <div class="edge-attr-checks">
+                    <label><input type="checkbox" id="edge-attr-stairs" /> Scări</label>
+                    <label><input type="checkbox" id="edge-attr-ramp" /> Rampă</label>
+                    <label><input type="checkbox" id="edge-attr-curb" /> Bordură</label>
+                </div>
+
+                <div style="text-align: left; margin-bottom: 15px;">
+                    <label style="font-weight:bold; font-size: 14px;">Suprafață:</label><br/>
+                    <select id="edge-attr-surface" style="width: 100%; padding: 8px; margin-top: 5px; border-radius: 4px; border: 1px solid #bdc3c7;">
+                        <option value="">Pavată (implicit)</option>
+                        <option value="cobblestone">Piatră cubică</option>
+                        <option value="gravel">Pietriș</option>
+                        <option value="grass">Iarbă</option>
+                        <option value="dirt">Pământ</option>
+                    </select>
+                </div>
+
+                <div style="text-align: left; margin-bottom: 20px;">
+                    <label style="font-weight:bold; font-size: 14px;">Lățime (m, opțional):</label><br/>
+                    <input type="number" id="edge-attr-width" min="0" step="0.1" autocomplete="off" style="width: 100%; padding: 8px; margin-top: 5px; border: 1px solid #bdc3c7; border-radius: 4px;" />
+                </div>
+
+                <div class="custom-prompt-buttons">
+                    <button class="btn-cancel" id="edge-prompt-cancel">Fără atribute</button>
+                    <button class="btn-ok" id="edge-prompt-ok">OK</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+    }
+
+    const props = properties || {};
+    const stairsInput = document.getElementById('edge-attr-stairs');
+    const rampInput = document.getElementById('edge-attr-ramp');
+    const curbInput = document.getElementById('edge-attr-curb');
+    const surfaceSelect = document.getElementById('edge-attr-surface');
+    const widthInput = document.getElementById('edge-attr-width');
+
+    stairsInput.checked = !!props.stairs;
+    rampInput.checked = !!props.ramp;
+    curbInput.checked = !!props.curb;
+    surfaceSelect.value = props.surface || '';
+    widthInput.value = props.width || '';
+
+    modal.style.display = 'flex';
+
+    const btnOk = document.getElementById('edge-prompt-ok');
+    const btnCancel = document.getElementById('edge-prompt-cancel');
+
+    const newBtnOk = btnOk.cloneNode(true);
+    const newBtnCancel = btnCancel.cloneNode(true);
+    btnOk.parentNode.replaceChild(newBtnOk, btnOk);
+    btnCancel.parentNode.replaceChild(newBtnCancel, btnCancel);
+
+    newBtnOk.onclick = () => {
+        modal.style.display = 'none';
+        const width = parseFloat(widthInput.value);
+        callback({
+            stairs: stairsInput.checked,
+            ramp: rampInput.checked,
+            curb: curbInput.checked,
+            surface: surfaceSelect.value,
+            width: width > 0 ? width : ''
+        });
+    };
+
+    newBtnCancel.onclick = () => {
+        modal.style.display = 'none';
+        callback(null);
+    };
+}
+
+function parseRoomList(text, separator) {
+    return text.split(separator).map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Room metadata form, used when a room is drawn and when it is clicked in the editor.
+ * Calls back with the new properties, or null if cancelled or left without a name.
+ */
+function showRoomPropertiesPrompt(properties, callback) {
+    let modal = document.getElementById('custom-room-prompt-modal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'custom-room-prompt-modal';
+        modal.className = 'custom-prompt-modal';
+        modal.innerHTML = `
+            <div class="custom-prompt-content room-props-content">
+                <h3>Detalii cameră</h3>
+                <div class="room-props-form">
+                    <label>Nume *<input type="text" id="room-prop-name" autocomplete="off" /></label>
+                    <label>Tip
+                        <input type="text" id="room-prop-type" list="room-prop-type-list" autocomplete="off" />
+                        <datalist id="room-prop-type-list">
+                            ${INDOOR_ROOM_TYPES.map(type => `<option value="${escapeHtml(type)}"></option>`).join('')}
+                        </datalist>
+                    </label>
+                    <label>Capacitate (locuri)<input type="number" id="room-prop-capacity" min="0" step="1" autocomplete="off" /></label>
+                    <label>Departament<input type="text" id="room-prop-department" autocomplete="off" /></label>
+                    <label>Dotări (separate prin virgulă)<input type="text" id="room-prop-equipment" placeholder="proiector, tablă, calculatoare" autocomplete="off" /></label>
+                    <div class="edge-attr-checks">
+                        <label><input type="checkbox" id="room-prop-wheelchair" /> Acces scaun rulant</label>
+                        <label><input type="checkbox" id="room-prop-hearing" /> Buclă auditivă</label>
+                    </div>
+                    <label>Fotografii (un URL pe linie)<textarea id="room-prop-photos" rows="2"></textarea></label>
+                    <label>Descriere<textarea id="room-prop-description" rows="2"></textarea></label>
+                </div>
+                <div class="custom-prompt-buttons">
+                    <button class="btn-cancel" id="room-prompt-cancel">Anulează</button>
+                    <button class="btn-ok" id="room-prompt-ok">OK</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+    }
+
+    const props = properties || {};
+    const access = props.accessibility || {};
+    const nameInput = document.getElementById('room-prop-name');
+    const typeInput = document.getElementById('room-prop-type');
+    const capacityInput = document.getElementById('room-prop-capacity');
+    const departmentInput = document.getElementById('room-prop-department');
+    const equipmentInput = document.getElementById('room-prop-equipment');
+    const wheelchairInput = document.getElementById('room-prop-wheelchair');
+    const hearingInput = document.getElementById('room-prop-hearing');
+    const photosInput = document.getElementById('room-prop-photos');
+    const descriptionInput = document.getElementById('room-prop-description');
+
+    nameInput.value = props.name || '';
+    typeInput.value = props.type || '';
+    capacityInput.value = props.capacity || '';
+    departmentInput.value = props.department || '';
+    equipmentInput.value = (props.equipment || []).join(', ');
+    wheelchairInput.checked = !!access.wheelchair;
+    hearingInput.checked = !!access.hearingLoop;
+    photosInput.value = (props.photos || []).join('\n');
+    descriptionInput.value = props.description || '';
+
+    modal.style.display = 'flex';
+    nameInput.focus();
+
+    const btnOk = document.getElementById('room-prompt-ok');
+    const btnCancel = document.getElementById('room-prompt-cancel');
+
+    const newBtnOk = btnOk.cloneNode(true);
+    const newBtnCancel = btnCancel.cloneNode(true);
+    btnOk.parentNode.replaceChild(newBtnOk, btnOk);
+    btnCancel.parentNode.replaceChild(newBtnCancel, btnCancel);
+
+    newBtnOk.onclick = () => {
+        const name = nameInput.value.trim();
+        if (!name) {
+            nameInput.focus();
+            return;
+        }
+        modal.style.display = 'none';
+        const capacity = parseInt(capacityInput.value, 10);
+        callback({
+            name,
+            type: typeInput.value.trim(),
+            capacity: capacity > 0 ? capacity : '',
+            department: departmentInput.value.trim(),
+            equipment: parseRoomList(equipmentInput.value, ','),
+            accessibility: { wheelchair: wheelchairInput.checked, hearingLoop: hearingInput.checked },
+            photos: parseRoomList(photosInput.value, /\r?\n/),
+            description: descriptionInput.value.trim()
+        });
+    };
+
+    newBtnCancel.onclick = () => {
+        modal.style.display = 'none';
+        callback(null);
+    };
+
+    nameInput.onkeydown = (e) => {
+        if (e.key === 'Enter') newBtnOk.click();
+        if (e.key === 'Escape') newBtnCancel.click();
+    };
+}
+
 function openFloorPlanEditor(buildingName, floorIndex) {
     closeFloorManager();
     const modal = document.getElementById('indoor-modal');
@@ -414,11 +700,25 @@ function openFloorPlanEditor(buildingName, floorIndex) {
         saveBtn.style.display = 'inline-block';
         saveBtn.onclick = () => saveCurrentFloorPlan(); 
     }
+    const georefBtn = document.getElementById('indoor-georef-btn');
+    if (georefBtn) {
+        georefBtn.style.display = 'inline-block';
+        georefBtn.onclick = () => startFloorGeoreference(currentIndoorBuilding, currentIndoorFloor);
+    }
+    const validateBtn = document.getElementById('indoor-validate-btn');
+    if (validateBtn) {
+        validateBtn.style.display = 'inline-block';
+        validateBtn.onclick = () => runIndoorValidation(currentIndoorBuilding);
+    }
+    const shareBtn = document.getElementById('indoor-share-btn');
+    if (shareBtn) shareBtn.style.display = 'none';
     
     
     const routingControls = document.getElementById('indoor-routing-controls');
     if (routingControls) routingControls.style.display = 'none';
 
+    clearIndoorRoute();
+    indoorEditorActive = true;
     currentIndoorBuilding = buildingName;
     currentIndoorFloor = floorIndex;
     modal.style.display = 'flex'; 
@@ -444,6 +744,7 @@ function openFloorPlanEditor(buildingName, floorIndex) {
         indoorMap.invalidateSize();
         loadFloorData(buildingName, floorIndex);
         enableEditorTools();
+        setUnderlayControlsVisible(true);
         generateFloorSwitcher(buildingName, true);
     }, 10);
 }
@@ -455,6 +756,13 @@ function openFloorPlanViewer(buildingName, floorIndex, roomNameToHighlight = nul
     if (title) title.textContent = `${buildingName} - Etaj ${floorIndex}`;
     const saveBtn = document.getElementById('indoor-save-btn');
     if (saveBtn) saveBtn.style.display = 'none';
+    const georefBtn = document.getElementById('indoor-georef-btn');
+    if (georefBtn) georefBtn.style.display = 'none';
+    const validateBtn = document.getElementById('indoor-validate-btn');
+    if (validateBtn) validateBtn.style.display = 'none';
+    const shareBtn = document.getElementById('indoor-share-btn');
+    if (shareBtn) shareBtn.style.display = 'inline-block';
+    closeIndoorValidation();
 
     
     const routingControls = document.getElementById('indoor-routing-controls');
@@ -463,6 +771,9 @@ function openFloorPlanViewer(buildingName, floorIndex, roomNameToHighlight = nul
         populateIndoorRoutingDropdowns(buildingName);
     }
 
+    clearIndoorRoute();
+    indoorEditorActive = false;
+    updateDeepLink({ b: buildingName, f: floorIndex, room: roomNameToHighlight });
     currentIndoorBuilding = buildingName;
     currentIndoorFloor = floorIndex;
     modal.style.display = 'flex';
@@ -485,6 +796,7 @@ function openFloorPlanViewer(buildingName, floorIndex, roomNameToHighlight = nul
         indoorMap.invalidateSize();
         loadFloorData(buildingName, floorIndex, roomNameToHighlight);
         disableEditorTools();
+        setUnderlayControlsVisible(false);
         generateFloorSwitcher(buildingName, false);
     }, 10);
 }
@@ -510,21 +822,24 @@ function generateFloorSwitcher(buildingName, isEditor) {
         btn.className = 'floor-btn';
         if (floor.id === currentIndoorFloor) btn.classList.add('active');
         btn.textContent = floor.label || `Etaj ${floor.id}`;
-        btn.onclick = () => {
-             const btns = controlsContainer.getElementsByClassName('floor-btn');
-             for(let b of btns) b.classList.remove('active');
-            btn.classList.add('active');
-            currentIndoorFloor = floor.id;
-            if (isEditor) {
-                document.getElementById('indoor-title').textContent = `${buildingName} - Etaj ${floor.id} (Editor)`;
-            } else {
-                document.getElementById('indoor-title').textContent = `${buildingName} - Etaj ${floor.id}`;
-            }
-            loadFloorData(buildingName, floor.id);
-        };
+        btn.onclick = () => switchIndoorFloor(buildingName, floor.id, isEditor);
         controlsContainer.appendChild(btn);
     });
 }
+function switchIndoorFloor(buildingName, floorId, isEditor) {
+    currentIndoorFloor = floorId;
+    if (isEditor) {
+        document.getElementById('indoor-title').textContent = `${buildingName} - Etaj ${floorId} (Editor)`;
+    } else {
+        document.getElementById('indoor-title').textContent = `${buildingName} - Etaj ${floorId}`;
+    }
+    loadFloorData(buildingName, floorId);
+    generateFloorSwitcher(buildingName, isEditor);
+    if (!isEditor) {
+        renderIndoorRoute();
+        updateDeepLink({ b: buildingName, f: floorId });
+    }
+}
 function enableEditorTools() {
     if (!indoorMap) return;
     indoorMap.pm.addControls({
@@ -566,7 +881,7 @@ function saveCurrentFloorPlan() {
     }
 }
 function saveIndoorDataToDatabase() {
-    fetch('/api/indoor/save', {
+    fetch(getDraftEndpoint('indoor'), {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(window.floorData)
@@ -576,7 +891,7 @@ function saveIndoorDataToDatabase() {
         return response.text();
     })
     .then(msg => {
-        showCustomAlert("Plan salvat cu succes ! ");
+        showCustomAlert(`Plan salvat în ciorna "${getDraftName()}".`);
     })
     .catch(error => {
         console.error("Error saving indoor data:", error);
@@ -596,7 +911,7 @@ function exportIndoorData() {
     URL.revokeObjectURL(url);
 }
 function loadIndoorData() {
-    fetch('/api/indoor/load')
+    const request = fetch(withCampus('/api/indoor/load'))
         .then(response => {
             if (!response.ok) throw new Error("Network response was not ok");
             return response.json();
@@ -605,8 +920,8 @@ function loadIndoorData() {
             if (data && Object.keys(data).length > 0) {
                 console.log("Loaded indoor data from database:", data);
                 window.floorData = data;
-            } else {
-                
+            } else if (isDefaultCampus()) {
+                // The bundled sample floor plans are ETTI's; other campuses start empty.
                 return fetch('data/indoor-data.json')
                     .then(res => res.ok ? res.json() : {})
                     .then(localData => {
@@ -618,9 +933,13 @@ function loadIndoorData() {
             console.log("No existing indoor data found or error loading:", error);
             if (!window.floorData) window.floorData = {};
         });
+    // Covers every load started so far, so a draft applied afterwards is not overwritten by a late response.
+    window.indoorDataReady = Promise.all([window.indoorDataReady, request]);
+    return window.indoorDataReady;
 }
 function loadFloorData(buildingName, floorIndex, roomNameToHighlight = null) {
     indoorLayers.clearLayers();
+    hideIndoorRoomDetails();
     if (!window.floorData) return;
     const bData = window.floorData[buildingName];
     if (bData && bData.floors) {
@@ -636,6 +955,7 @@ function loadFloorData(buildingName, floorIndex, roomNameToHighlight = null) {
 
         if (floorObj && floorObj.geoJson) {
             let layerToHighlight = null;
+            const occupancy = indoorFreeRoomsActive && !indoorEditorActive ? getRoomOccupancy(buildingName) : null;
             L.geoJSON(floorObj.geoJson, {
                 pointToLayer: function (feature, latlng) {
                     if (feature.properties && feature.properties.markerType) {
@@ -652,6 +972,11 @@ function loadFloorData(buildingName, floorIndex, roomNameToHighlight = null) {
                         className: layer.feature.properties.markerType ? "marker-tooltip" : "room-tooltip"
                     });
                     
+                    const roomKey = foldSearchText(rName);
+                    if (occupancy && layer instanceof L.Polygon && occupancy.has(roomKey)) {
+                        layer.setStyle(occupancy.get(roomKey) ? INDOOR_BUSY_ROOM_STYLE : INDOOR_FREE_ROOM_STYLE);
+                    }
+
                     if (roomNameToHighlight && rName.toLowerCase() === roomNameToHighlight.toLowerCase()) {
                         layerToHighlight = layer;
                         layer.setStyle({ color: 'red', weight: 3, fillColor: '#ffcccc', fillOpacity: 0.7 });
@@ -666,8 +991,11 @@ function loadFloorData(buildingName, floorIndex, roomNameToHighlight = null) {
             }
         }
     }
+    renderFloorUnderlay(buildingName, floorIndex);
+    renderIndoorValidationMarkers(buildingName, floorIndex);
 }
 window.openFloorManager = openFloorManager;
+window.openIndoorRoute = openIndoorRoute;
 window.closeFloorManager = closeFloorManager;
 window.initIndoorManager = initIndoorManager;
 document.addEventListener('DOMContentLoaded', () => {
@@ -675,6 +1003,10 @@ document.addEventListener('DOMContentLoaded', () => {
     initIndoorManager();
 });
 window.closeIndoor = function() {
+    cancelFloorGeoreference();
+    closeIndoorValidation();
+    hideIndoorRoomDetails();
+    if (!indoorEditorActive) updateDeepLink({ b: currentIndoorBuilding });
     const modal = document.getElementById('indoor-modal');
     if (modal) {
         document.body.classList.remove('indoor-open');
@@ -722,7 +1054,7 @@ function populateIndoorRoutingDropdowns(buildingName) {
                         
                         startItems.push({ val: `${floor.id}|||${name}`, text: optionText });
                         destItems.push({ val: `${floor.id}|||${name}`, text: optionText });
-                    } else if (markerType === "1" || markerType === "3") {
+                    } else if (markerType === "1" || markerType === "2" || markerType === "3" || markerType === "4") {
                         
                         startItems.push({ val: `${floor.id}|||${name}`, text: optionText });
                         
@@ -749,131 +1081,100 @@ function populateIndoorRoutingDropdowns(buildingName) {
 }
 
 function clearIndoorRoute() {
+    indoorRouteLegs = null;
+    indoorRouteMeters = null;
     if (indoorRoutePolyline) {
         indoorMap.removeLayer(indoorRoutePolyline);
         indoorRoutePolyline = null;
     }
     const clearBtn = document.getElementById('indoor-clear-route-btn');
     if (clearBtn) clearBtn.style.display = 'none';
-}
-
-function calculateIndoorRoute() {
-    const startVal = document.getElementById('indoor-start-select')?.value;
-    const destVal = document.getElementById('indoor-dest-select')?.value;
-
-    if (!startVal || !destVal) {
-        showCustomAlert("Te rugăm să selectezi un punct de start și o destinație.");
-        return;
+    const stepsBox = document.getElementById('indoor-route-steps');
+    if (stepsBox) {
+        stepsBox.innerHTML = '';
+        stepsBox.style.display = 'none';
     }
+}
 
-    const [startFloorIdStr, startName] = startVal.split("|||");
-    const [destFloorIdStr, destName] = destVal.split("|||");
-
-    const startFloorId = parseInt(startFloorIdStr);
-    const destFloorId = parseInt(destFloorIdStr);
-
-    if (startFloorId !== destFloorId || startFloorId !== currentIndoorFloor) {
-        showCustomAlert("Rutarea între etaje diferite nu este complet implementată. Selectează puncte de pe etajul curent.");
-        return;
-    }
+function getIndoorFloorLabel(buildingName, floorId) {
+    const bData = window.floorData[buildingName];
+    const floorObj = bData && bData.floors ? bData.floors.find(f => f.id === floorId) : null;
+    return (floorObj && floorObj.label) || `Etaj ${floorId}`;
+}
 
-    const bData = window.floorData[currentIndoorBuilding];
-    if (!bData || !bData.floors) return;
-    const floorObj = bData.floors.find(f => f.id === currentIndoorFloor);
-    if (!floorObj || !floorObj.geoJson) return;
+function getIndoorMetersPerUnit(buildingName, floorId) {
+    const bData = window.floorData[buildingName];
+    const floorObj = bData && bData.floors ? bData.floors.find(f => f.id === floorId) : null;
+    return (floorObj && floorObj.metersPerUnit)
+        || (floorObj && floorObj.georef && floorObj.georef.metersPerUnit)
+        || (bData && bData.metersPerUnit)
+        || INDOOR_DEFAULT_METERS_PER_UNIT;
+}
 
-    let startCoord = null;
-    let destCoord = null;
+function getIndoorFeatureCenter(feature) {
+    const layer = L.geoJSON(feature).getLayers()[0];
+    if (!layer) return null;
+    return layer.getBounds ? layer.getBounds().getCenter() : layer.getLatLng();
+}
 
-    
-    L.geoJSON(floorObj.geoJson, {
-        onEachFeature: function (feature, layer) {
-            if (feature.properties && feature.properties.name) {
-                if (feature.properties.name === startName) {
-                    startCoord = layer.getBounds ? layer.getBounds().getCenter() : layer.getLatLng();
-                }
-                if (feature.properties.name === destName) {
-                    destCoord = layer.getBounds ? layer.getBounds().getCenter() : layer.getLatLng();
-                }
-            }
-        }
-    });
+/** Floors a stairs/lift marker serves, from the QGIS "connects" list ("0,1,2,3"); null means any. */
+function getVerticalLevels(props) {
+    if (props.connects === undefined || props.connects === null || props.connects === '') return null;
+    const levels = String(props.connects).split(/[,;\s]+/).map(level => parseInt(level, 10)).filter(level => !isNaN(level));
+    return levels.length > 0 ? levels : null;
+}
 
-    if (!startCoord || !destCoord) {
-        showCustomAlert("Nu am putut localiza pe hartă punctele alese.");
-        return;
-    }
+/**
+ * Whether two stairs/lift markers form one link between adjacent floors: same type and group (or name),
+ * and each floor listed in the other's "connects" when it has one.
+ * @param {{floorId: number, markerType: string, group: string, levels: number[]|null}} a
+ * @param {{floorId: number, markerType: string, group: string, levels: number[]|null}} b
+ */
+function canLinkVerticals(a, b) {
+    return a.markerType === b.markerType && !!a.group && a.group === b.group
+        && Math.abs(a.floorId - b.floorId) === 1
+        && (!a.levels || a.levels.includes(b.floorId))
+        && (!b.levels || b.levels.includes(a.floorId));
+}
 
-    
-    const roateFeatures = floorObj.geoJson.features.filter(f => 
-        f.geometry && f.geometry.type === 'LineString'
-    );
-    console.log("Segment de rute găsite:", roateFeatures.length);
+function findIndoorPath(buildingName, start, dest, profileId = getRoutingProfile()) {
+    const bData = window.floorData[buildingName];
+    if (!bData || !bData.floors) return { error: "Clădirea nu are etaje definite." };
 
-    
     const graph = {};
     const nodesMap = {};
-    const COORD_PRECISION = 2; 
-    
-    function getIndoorKey(lat, lng) {
-        return `${Number(lat).toFixed(COORD_PRECISION)},${Number(lng).toFixed(COORD_PRECISION)}`;
+    const nodeFloor = {};
+    const COORD_PRECISION = 2;
+
+    function getIndoorKey(floorId, lat, lng) {
+        return `${floorId}@${Number(lat).toFixed(COORD_PRECISION)},${Number(lng).toFixed(COORD_PRECISION)}`;
     }
-    
-    function addIndoorNode(lat, lng) {
-        const key = getIndoorKey(lat, lng);
+
+    function addIndoorNode(floorId, lat, lng) {
+        const key = getIndoorKey(floorId, lat, lng);
         if (!graph[key]) {
             graph[key] = [];
             nodesMap[key] = L.latLng(lat, lng);
+            nodeFloor[key] = floorId;
         }
         return key;
     }
 
-    function euclidean(p1, p2) {
-        return Math.sqrt((p2.lat - p1.lat)**2 + (p2.lng - p1.lng)**2);
-    }
-    
-    
     function distToSegment(p, v, w) {
         const l2 = (w.lng - v.lng)**2 + (w.lat - v.lat)**2;
-        if (l2 === 0) return { dist: euclidean(p, v), proj: v };
+        if (l2 === 0) return { dist: euclideanDistance(p, v), proj: v };
         let t = ((p.lng - v.lng) * (w.lng - v.lng) + (p.lat - v.lat) * (w.lat - v.lat)) / l2;
         t = Math.max(0, Math.min(1, t));
         const proj = L.latLng(v.lat + t * (w.lat - v.lat), v.lng + t * (w.lng - v.lng));
-        return { dist: euclidean(p, proj), proj: proj };
-    }
-
-    let edgesList = [];
-    roateFeatures.forEach(feature => {
-        const coords = feature.geometry.coordinates; 
-        for (let i = 0; i < coords.length - 1; i++) {
-            const lat1 = coords[i][1], lng1 = coords[i][0];
-            const lat2 = coords[i+1][1], lng2 = coords[i+1][0];
-            const key1 = addIndoorNode(lat1, lng1);
-            const key2 = addIndoorNode(lat2, lng2);
-            edgesList.push({ k1: key1, k2: key2, p1: nodesMap[key1], p2: nodesMap[key2] });
-        }
-    });
-
-    if (edgesList.length === 0) {
-        showCustomAlert("Nu au fost trasate rute pe acest etaj. Activează modul Editor și desenează Polyline-uri.");
-        return;
+        return { dist: euclideanDistance(p, proj), proj: proj };
     }
 
-    edgesList.forEach(e => {
-        const d = euclidean(e.p1, e.p2);
-        graph[e.k1].push({ node: e.k2, weight: d });
-        graph[e.k2].push({ node: e.k1, weight: d });
-    });
-
-    const startKey = addIndoorNode(startCoord.lat, startCoord.lng);
-    const destKey = addIndoorNode(destCoord.lat, destCoord.lng);
-
-    function connectNodeToNetwork(nKey) {
-        let p = nodesMap[nKey];
+    function connectNodeToNetwork(nKey, edgesList, force) {
+        const p = nodesMap[nKey];
         let minDist = Infinity;
         let bestProj = null;
         let bestEdge = null;
-        
+
         edgesList.forEach(edge => {
             if (nKey === edge.k1 || nKey === edge.k2) return;
             const res = distToSegment(p, edge.p1, edge.p2);
@@ -883,94 +1184,226 @@ function calculateIndoorRoute() {
                 bestEdge = edge;
             }
         });
-        
-        
-        if (bestEdge && (minDist < 25 || nKey === startKey || nKey === destKey)) {
-            const projKey = addIndoorNode(bestProj.lat, bestProj.lng);
-            
-            const distK1 = euclidean(bestEdge.p1, bestProj);
-            const distK2 = euclidean(bestEdge.p2, bestProj);
-            const distN = euclidean(p, bestProj);
 
-            
-            graph[bestEdge.k1].push({ node: projKey, weight: distK1 });
-            graph[projKey].push({ node: bestEdge.k1, weight: distK1 });
-            
-            graph[bestEdge.k2].push({ node: projKey, weight: distK2 });
-            graph[projKey].push({ node: bestEdge.k2, weight: distK2 });
-            
-            
+        if (bestEdge && (minDist < INDOOR_CONNECT_THRESHOLD || force)) {
+            const projKey = addIndoorNode(nodeFloor[nKey], bestProj.lat, bestProj.lng);
+
+            const distK1 = euclideanDistance(bestEdge.p1, bestProj);
+            const distK2 = euclideanDistance(bestEdge.p2, bestProj);
+            const distN = euclideanDistance(p, bestProj);
+
+            graph[bestEdge.k1].push({ node: projKey, weight: distK1, attrs: bestEdge.attrs });
+            graph[projKey].push({ node: bestEdge.k1, weight: distK1, attrs: bestEdge.attrs });
+
+            graph[bestEdge.k2].push({ node: projKey, weight: distK2, attrs: bestEdge.attrs });
+            graph[projKey].push({ node: bestEdge.k2, weight: distK2, attrs: bestEdge.attrs });
+
             graph[nKey].push({ node: projKey, weight: distN });
             graph[projKey].push({ node: nKey, weight: distN });
         }
     }
 
-    const nodeKeys = Object.keys(nodesMap);
-    nodeKeys.forEach(nKey => {
-        connectNodeToNetwork(nKey);
+    let startKey = null;
+    let destKey = null;
+    let routeSegments = 0;
+    const verticalNodes = [];
+
+    bData.floors.forEach(floorObj => {
+        if (!floorObj.geoJson || !floorObj.geoJson.features) return;
+        const features = floorObj.geoJson.features;
+
+        const edgesList = [];
+        features.filter(f => f.geometry && f.geometry.type === 'LineString').forEach(feature => {
+            const coords = feature.geometry.coordinates;
+            const attrs = getEdgeAttributes(feature.properties);
+            for (let i = 0; i < coords.length - 1; i++) {
+                const key1 = addIndoorNode(floorObj.id, coords[i][1], coords[i][0]);
+                const key2 = addIndoorNode(floorObj.id, coords[i+1][1], coords[i+1][0]);
+                edgesList.push({ k1: key1, k2: key2, p1: nodesMap[key1], p2: nodesMap[key2], attrs });
+            }
+        });
+        edgesList.forEach(e => {
+            const d = euclideanDistance(e.p1, e.p2);
+            graph[e.k1].push({ node: e.k2, weight: d, attrs: e.attrs });
+            graph[e.k2].push({ node: e.k1, weight: d, attrs: e.attrs });
+        });
+        routeSegments += edgesList.length;
+
+        const forcedKeys = new Set();
+        features.forEach(feature => {
+            const props = feature.properties;
+            if (!props || !props.name) return;
+            const isStart = floorObj.id === start.floorId && props.name === start.name;
+            const isDest = floorObj.id === dest.floorId && props.name === dest.name;
+            const isVertical = props.markerType === '3' || props.markerType === '4';
+            if (!isStart && !isDest && !isVertical) return;
+
+            const center = getIndoorFeatureCenter(feature);
+            if (!center) return;
+            const key = addIndoorNode(floorObj.id, center.lat, center.lng);
+            forcedKeys.add(key);
+            if (isStart) startKey = key;
+            if (isDest) destKey = key;
+            if (isVertical) verticalNodes.push({ key, floorId: floorObj.id, markerType: props.markerType, group: (props.group || props.name).trim().toLowerCase(), levels: getVerticalLevels(props) });
+        });
+
+        if (edgesList.length === 0) return;
+        Object.keys(nodesMap)
+            .filter(nKey => nodeFloor[nKey] === floorObj.id)
+            .forEach(nKey => connectNodeToNetwork(nKey, edgesList, forcedKeys.has(nKey)));
     });
 
-    
-    function indoorDijkstra(graphMap, nodesList, sKey, eKey) {
-        const distances = {};
-        const previous = {};
-        const unvisited = new Set();
-        for (const node in graphMap) {
-            distances[node] = Infinity;
-            previous[node] = null;
-            unvisited.add(node);
-        }
-        distances[sKey] = 0;
-        
-        while (unvisited.size > 0) {
-            let current = null;
-            let minD = Infinity;
-            for (const node of unvisited) {
-                if (distances[node] < minD) {
-                    minD = distances[node];
-                    current = node;
-                }
-            }
-            if (current === null || current === eKey) break;
-            unvisited.delete(current);
-            for (const neighbor of graphMap[current]) {
-                if (!unvisited.has(neighbor.node)) continue;
-                const alt = distances[current] + neighbor.weight;
-                if (alt < distances[neighbor.node]) {
-                    distances[neighbor.node] = alt;
-                    previous[neighbor.node] = current;
-                }
+    if (!startKey || !destKey) {
+        return { error: "Nu am putut localiza pe hartă punctele alese." };
+    }
+    if (routeSegments === 0) {
+        return { error: "Nu au fost trasate rute în această clădire. Activează modul Editor și desenează Polyline-uri." };
+    }
+
+    const stairsCost = bData.stairsCost || INDOOR_STAIRS_COST_PER_FLOOR;
+    const elevatorCost = bData.elevatorCost || INDOOR_ELEVATOR_COST_PER_FLOOR;
+    let verticalLinks = 0;
+    verticalNodes.forEach(a => {
+        verticalNodes.forEach(b => {
+            if (b.floorId - a.floorId === 1 && canLinkVerticals(a, b)) {
+                const isElevator = a.markerType === '4';
+                const weight = isElevator ? elevatorCost : stairsCost;
+                const attrs = isElevator ? { elevator: true } : { stairs: true };
+                graph[a.key].push({ node: b.key, weight, attrs });
+                graph[b.key].push({ node: a.key, weight, attrs });
+                verticalLinks++;
             }
+        });
+    });
+
+    // Every floor is drawn in its own frame, so the planar gap between paired stairs can exceed their fixed cost;
+    // the straight-line heuristic is only admissible when the route cannot change floors.
+    const result = findShortestPath(graph, nodesMap, startKey, destKey, {
+        heuristic: verticalLinks === 0 ? euclideanDistance : undefined,
+        edgeCost: getProfileEdgeCost(profileId)
+    });
+    const keyPath = result ? result.keys : null;
+    if ((!keyPath || keyPath.length === 0) && profileId !== 'walking') {
+        return { error: `Nu există un traseu compatibil cu profilul "${ROUTING_PROFILES[profileId].label}" (scări sau pasaje inaccesibile).` };
+    }
+    if (!keyPath || keyPath.length === 0) {
+        return { error: "Nu s-a putut găsi un drum viabil tranzitabil. Verifică ca liniile tale de pe hartă să nu aibă goluri uriase între ele." };
+    }
+
+    const legs = [];
+    let distance = 0;
+    let meters = 0;
+    keyPath.forEach((key, idx) => {
+        let leg = legs[legs.length - 1];
+        if (!leg || leg.floorId !== nodeFloor[key]) {
+            if (leg) meters += INDOOR_STAIRS_METERS_PER_FLOOR * Math.abs(nodeFloor[key] - leg.floorId);
+            leg = { floorId: nodeFloor[key], path: [] };
+            legs.push(leg);
+        } else if (idx > 0) {
+            const d = euclideanDistance(nodesMap[keyPath[idx - 1]], nodesMap[key]);
+            distance += d;
+            meters += d * getIndoorMetersPerUnit(buildingName, leg.floorId);
         }
-        if (distances[eKey] === Infinity) return null;
-        
-        const solvedPath = [];
-        let curr = eKey;
-        while (curr) {
-            solvedPath.unshift(nodesList[curr]);
-            curr = previous[curr];
-        }
-        return solvedPath;
+        leg.path.push(nodesMap[key]);
+    });
+    return { legs, distance, meters };
+}
+
+function openIndoorRoute(buildingName, start, dest) {
+    openFloorPlanViewer(buildingName, start.floorId, dest.name);
+    setTimeout(() => {
+        const startSelect = document.getElementById('indoor-start-select');
+        const destSelect = document.getElementById('indoor-dest-select');
+        if (!startSelect || !destSelect) return;
+        startSelect.value = `${start.floorId}|||${start.name}`;
+        destSelect.value = `${dest.floorId}|||${dest.name}`;
+        calculateIndoorRoute();
+    }, 20);
+}
+
+function renderIndoorRoute() {
+    if (indoorRoutePolyline) {
+        indoorMap.removeLayer(indoorRoutePolyline);
+        indoorRoutePolyline = null;
+    }
+    if (!indoorRouteLegs) return;
+
+    const floorPaths = indoorRouteLegs
+        .filter(leg => leg.floorId === currentIndoorFloor && leg.path.length > 1)
+        .map(leg => leg.path);
+    if (floorPaths.length > 0) {
+        indoorRoutePolyline = L.polyline(floorPaths, {
+            color: 'red',
+            weight: 6,
+            opacity: 0.8,
+            dashArray: '10, 10',
+            lineJoin: 'round'
+        }).addTo(indoorMap);
+    }
+
+    const stepsBox = document.getElementById('indoor-route-steps');
+    if (!stepsBox) return;
+    stepsBox.innerHTML = '';
+    if (indoorRouteMeters !== null) {
+        const distanceLabel = document.createElement('div');
+        distanceLabel.className = 'indoor-route-distance';
+        distanceLabel.textContent = `${Math.round(indoorRouteMeters)} m`;
+        stepsBox.appendChild(distanceLabel);
+    }
+    if (indoorRouteLegs.length < 2) {
+        stepsBox.style.display = indoorRouteMeters !== null ? 'flex' : 'none';
+        return;
+    }
+    indoorRouteLegs.forEach((leg, idx) => {
+        const item = document.createElement('div');
+        item.className = 'indoor-route-leg';
+        if (leg.floorId === currentIndoorFloor) item.classList.add('active');
+        item.textContent = `${idx + 1}. ${getIndoorFloorLabel(currentIndoorBuilding, leg.floorId)}`;
+        stepsBox.appendChild(item);
+
+        const next = indoorRouteLegs[idx + 1];
+        if (!next) return;
+        const goingUp = next.floorId > leg.floorId;
+        const transitionBtn = document.createElement('button');
+        transitionBtn.className = 'indoor-transition-btn';
+        transitionBtn.textContent = `${goingUp ? '⬆ Urcă' : '⬇ Coboară'} la ${getIndoorFloorLabel(currentIndoorBuilding, next.floorId)}`;
+        transitionBtn.onclick = () => switchIndoorFloor(currentIndoorBuilding, next.floorId, false);
+        stepsBox.appendChild(transitionBtn);
+    });
+    stepsBox.style.display = 'flex';
+}
+
+function calculateIndoorRoute() {
+    const startVal = document.getElementById('indoor-start-select')?.value;
+    const destVal = document.getElementById('indoor-dest-select')?.value;
+
+    if (!startVal || !destVal) {
+        showCustomAlert("Te rugăm să selectezi un punct de start și o destinație.");
+        return;
     }
 
-    const path = indoorDijkstra(graph, nodesMap, startKey, destKey);
-    console.log("Indoor found path segments:", path ? path.length : 0);
+    const [startFloorIdStr, startName] = startVal.split("|||");
+    const [destFloorIdStr, destName] = destVal.split("|||");
 
-    if (!path || path.length === 0) {
-        showCustomAlert("Nu s-a putut găsi un drum viabil tranzitabil. Verifică ca liniile tale de pe hartă să nu aibă goluri uriase între ele.");
+    const result = findIndoorPath(
+        currentIndoorBuilding,
+        { floorId: parseInt(startFloorIdStr), name: startName },
+        { floorId: parseInt(destFloorIdStr), name: destName }
+    );
+    if (result.error) {
+        showCustomAlert(result.error);
         return;
     }
+    console.log("Indoor route legs:", result.legs.map(leg => `${leg.floorId}:${leg.path.length}`).join(' -> '));
 
-    const renderPath = path; 
     clearIndoorRoute();
-
-    indoorRoutePolyline = L.polyline(renderPath, {
-        color: 'red',
-        weight: 6,
-        opacity: 0.8,
-        dashArray: '10, 10',
-        lineJoin: 'round'
-    }).addTo(indoorMap);
+    indoorRouteLegs = result.legs;
+    indoorRouteMeters = result.meters;
+    if (indoorRouteLegs[0].floorId !== currentIndoorFloor) {
+        switchIndoorFloor(currentIndoorBuilding, indoorRouteLegs[0].floorId, false);
+    } else {
+        renderIndoorRoute();
+    }
 
     const clearBtn = document.getElementById('indoor-clear-route-btn');
     if (clearBtn) clearBtn.style.display = 'inline-block';
@@ -0,0 +1,200 @@
+const ITINERARY_ARRIVAL_RADIUS = 15;
+const ITINERARY_GEOREF_MATCH_RADIUS = 30;
+window.activeItinerary = null;
+
+function findBuildingByName(buildingName) {
+    if (!window.campusData || !window.campusData.buildings) return null;
+    const term = String(buildingName || '').trim().toLowerCase();
+    return window.campusData.buildings.find(b => (b.name || '').trim().toLowerCase() === term) || null;
+}
+
+function findBuildingEntrances(buildingName) {
+    if (!window.campusData || !window.campusData.entrances) return [];
+    const term = String(buildingName || '').trim().toLowerCase();
+    if (!term) return [];
+    return window.campusData.entrances
+        .filter(ent => {
+            const entName = (ent.name || ent.id || '').toLowerCase();
+            return entName.startsWith('intrare') && entName.includes(term) && ent.coordinates;
+        })
+        .map(ent => ({
+            name: ent.name || ent.id,
+            pt: L.latLng(ent.coordinates[0], ent.coordinates[1])
+        }));
+}
+
+function findIndoorEntranceMarkers(buildingName) {
+    const bData = window.floorData && window.floorData[buildingName];
+    if (!bData || !bData.floors) return [];
+    const markers = [];
+    bData.floors.forEach(floor => {
+        if (!floor.geoJson || !floor.geoJson.features) return;
+        floor.geoJson.features.forEach(feature => {
+            const props = feature.properties;
+            if (props && props.markerType === '1' && props.name) {
+                const marker = { floorId: floor.id, name: props.name };
+                if (floor.georef && feature.geometry && feature.geometry.type === 'Point') {
+                    const [x, y] = feature.geometry.coordinates;
+                    marker.worldLatLng = applyGeoref(floor.georef, { lat: y, lng: x });
+                }
+                markers.push(marker);
+            }
+        });
+    });
+    return markers;
+}
+
+function findNearestGeorefMarker(markers, latlng) {
+    let best = null, bestDist = ITINERARY_GEOREF_MATCH_RADIUS;
+    markers.forEach(m => {
+        if (!m.worldLatLng) return;
+        const d = latlng.distanceTo(m.worldLatLng);
+        if (d <= bestDist) {
+            best = m;
+            bestDist = d;
+        }
+    });
+    return best;
+}
+
+function matchIndoorEntranceMarker(markers, entrance) {
+    const term = (entrance.name || '').trim().toLowerCase();
+    return markers.find(m => m.name.trim().toLowerCase() === term)
+        || findNearestGeorefMarker(markers, entrance.pt);
+}
+
+async function navigateToRoom(room, start = null) {
+    const startPoint = start || ((typeof userMarker !== 'undefined' && userMarker) ? userMarker.getLatLng() : null);
+    const building = findBuildingByName(room.buildingName);
+    let entrances = findBuildingEntrances(room.buildingName);
+    if (entrances.length === 0 && building && building.points) {
+        entrances = [{ name: building.name, pt: L.latLngBounds(building.points).getCenter() }];
+    }
+    if (entrances.length === 0) {
+        await showAppAlert(`Clădirea "${room.buildingName}" nu are intrări definite pe hartă.`);
+        return null;
+    }
+
+    const dest = { floorId: room.floorIndex, name: room.roomName };
+    const markers = findIndoorEntranceMarkers(room.buildingName);
+    let best = null;
+    entrances.forEach(entrance => {
+        let outdoor = null;
+        if (startPoint && typeof computeOutdoorRoute === 'function') {
+            outdoor = computeOutdoorRoute(L.featureGroup(), startPoint, entrance.pt);
+            if (outdoor.error || !outdoor.path) outdoor = null;
+        }
+        const marker = matchIndoorEntranceMarker(markers, entrance);
+        let indoor = null;
+        if (marker) {
+            indoor = findIndoorPath(room.buildingName, marker, dest);
+            if (indoor.error) indoor = null;
+        }
+        const outdoorDistance = outdoor ? outdoor.distance : (startPoint ? startPoint.distanceTo(entrance.pt) : 0);
+        const indoorDistance = indoor ? indoor.meters : 0;
+        const total = outdoorDistance + indoorDistance;
+        // A missing leg makes the distance meaningless, so complete routes win whatever their length.
+        const missingLegs = (startPoint && !outdoor ? 1 : 0) + (indoor ? 0 : 1);
+        if (!best || missingLegs < best.missingLegs || (missingLegs === best.missingLegs && total < best.total)) {
+            best = { entrance, marker: indoor ? marker : null, outdoorDistance, indoorDistance, total, missingLegs, indoorLegs: indoor ? indoor.legs : null };
+        }
+    });
+
+    window.activeItinerary = {
+        buildingName: room.buildingName,
+        room: dest,
+        entrance: best.entrance,
+        indoorStart: best.marker,
+        outdoorDistance: best.outdoorDistance,
+        indoorDistance: best.indoorDistance,
+        total: best.total,
+        floors: best.indoorLegs ? best.indoorLegs.map(leg => leg.floorId) : [dest.floorId],
+        arrived: false
+    };
+    renderItinerary(window.activeItinerary);
+    updateRouteDeepLink(startPoint, best.entrance.pt);
+
+    window.currentDestinationPoint = best.entrance.pt;
+    if (startPoint) {
+        window.currentStartPoint = startPoint;
+        window.calculateRouteTest(campusMap, L.featureGroup(), startPoint, best.entrance.pt);
+        checkItineraryArrival(startPoint);
+    } else {
+        await showAppAlert(`Conectare GPS în așteptare... Destinația (${room.roomName}) e setată. Când poziția va fi activată, ruta se va calcula. Puteți folosi și "Find Me".`);
+    }
+    return window.activeItinerary;
+}
+
+function renderItinerary(itinerary) {
+    const detailsDiv = document.getElementById('room-details');
+    if (!detailsDiv || !itinerary) return;
+    const floorLabels = itinerary.floors
+        .map(floorId => getIndoorFloorLabel(itinerary.buildingName, floorId))
+        .join(' → ');
+    detailsDiv.innerHTML = `
+        <h3>Itinerar către ${escapeHtml(itinerary.room.name)}</h3>
+        <div class="room-info">
+            <span class="room-info-label">Afară:</span>
+            <span class="room-info-value">${Math.round(itinerary.outdoorDistance)} m până la ${escapeHtml(itinerary.entrance.name)}</span>
+        </div>
+        <div class="room-info">
+            <span class="room-info-label">În clădire:</span>
+            <span class="room-info-value">${itinerary.indoorStart ? `${Math.round(itinerary.indoorDistance)} m (${escapeHtml(floorLabels)})` : 'traseu interior indisponibil'}</span>
+        </div>
+        <div class="room-info">
+            <span class="room-info-label">Total:</span>
+            <span class="room-info-value">${Math.round(itinerary.total)} m</span>
+        </div>
+        <div class="itinerary-actions">
+            <button type="button" class="runtime-btn" id="itinerary-open-indoor">Deschide planul</button>
+            <button type="button" class="runtime-btn runtime-delete" id="itinerary-cancel">Anulează</button>
+        </div>
+    `;
+    detailsDiv.style.display = 'block';
+    document.getElementById('itinerary-open-indoor').onclick = () => openItineraryIndoor(itinerary);
+    document.getElementById('itinerary-cancel').onclick = cancelItinerary;
+}
+
+function openItineraryIndoor(itinerary) {
+    if (itinerary.indoorStart) {
+        openIndoorRoute(itinerary.buildingName, itinerary.indoorStart, itinerary.room);
+    } else {
+        openFloorPlanViewer(itinerary.buildingName, itinerary.room.floorId, itinerary.room.name);
+    }
+}
+
+function checkItineraryArrival(latlng) {
+    const itinerary = window.activeItinerary;
+    if (!itinerary || itinerary.arrived || !latlng) return;
+    if (latlng.distanceTo(itinerary.entrance.pt) > ITINERARY_ARRIVAL_RADIUS) return;
+    dispatchRouteArrival(itinerary.entrance.pt);
+}
+
+async function handleItineraryArrival(event) {
+    const itinerary = event.detail.itinerary;
+    if (!itinerary || itinerary.arrived) return;
+    itinerary.arrived = true;
+    if (await showAppConfirm(`Ai ajuns la ${itinerary.entrance.name}. Deschizi planul pentru a continua spre ${itinerary.room.name}?`)) {
+        openItineraryIndoor(itinerary);
+    }
+}
+
+function cancelItinerary() {
+    updateDeepLink({});
+    window.activeItinerary = null;
+    window.currentDestinationPoint = null;
+    if (routeLayer) routeLayer.clearLayers();
+    clearRouteSteps();
+    stopRouteFollow();
+    const detailsDiv = document.getElementById('room-details');
+    if (detailsDiv) {
+        detailsDiv.innerHTML = `
+            <h3>Building Details</h3>
+            <p class="info-text">Click on a building to view details</p>
+        `;
+    }
+}
+
+window.addEventListener(ROUTE_ARRIVED_EVENT, handleItineraryArrival);
+
+window.navigateToRoom = navigateToRoom;
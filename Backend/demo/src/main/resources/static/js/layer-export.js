@@ -0,0 +1,205 @@
+const EXPORT_INTERSECTION_TYPE = 'intersectie';
+
+function toSourceCoordinates(coords, transform) {
+    if (!transform) return coords;
+    return mapCoordinates(coords, ([x, y]) => [
+        (x - transform.offsetX) / transform.scale,
+        (y - transform.offsetY) / transform.scale
+    ]);
+}
+
+function createLayerCollection(name) {
+    return { type: 'FeatureCollection', name, features: [] };
+}
+
+function pickQgisProperties(props, schema) {
+    const source = props.qgis || {};
+    const result = {};
+    Object.keys(schema).forEach(key => {
+        result[key] = source[key] !== undefined ? source[key] : schema[key];
+    });
+    return result;
+}
+
+function getStairsConnects(bData, props) {
+    if (props.connects) return props.connects;
+    const group = (props.group || props.name || '').trim().toLowerCase();
+    const levels = bData.floors
+        .filter(floorObj => floorObj.geoJson && floorObj.geoJson.features && floorObj.geoJson.features.some(f => {
+            const p = f.properties;
+            return p && p.markerType === props.markerType && ((p.group || p.name || '').trim().toLowerCase() === group);
+        }))
+        .map(floorObj => floorObj.id);
+    return levels.join(',');
+}
+
+/**
+ * Splits one floor's geoJson into the QGIS layers shipped under Frontend/app/indoor
+ * (Rooms, doors, Stairs, holuri), with the same property schema.
+ * @returns {{Rooms: Object, doors: Object, Stairs: Object, holuri: Object}}
+ */
+function buildFloorLayers(bData, floorObj) {
+    const layers = {
+        Rooms: createLayerCollection('Rooms'),
+        doors: createLayerCollection('doors'),
+        Stairs: createLayerCollection('Stairs'),
+        holuri: createLayerCollection('holuri')
+    };
+    const features = (floorObj.geoJson && floorObj.geoJson.features) || [];
+    const transform = bData.importTransform || null;
+
+    features.forEach(feature => {
+        if (!feature.geometry) return;
+        const props = feature.properties || {};
+        const geometry = {
+            type: feature.geometry.type,
+            coordinates: toSourceCoordinates(feature.geometry.coordinates, transform)
+        };
+        let layer = null, properties = null;
+
+        if (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon') {
+            if (!props.name) return;
+            layer = layers.Rooms;
+            properties = pickQgisProperties(props, {
+                fid: layer.features.length + 1,
+                ID: props.code || props.name,
+                name: props.name,
+                etaj: floorObj.id,
+                type: props.type || 'Sala'
+            });
+            properties.name = props.name;
+            if (props.type) properties.type = props.type;
+        } else if (geometry.type === 'LineString' || geometry.type === 'MultiLineString') {
+            layer = layers.holuri;
+            properties = pickQgisProperties(props, {
+                fid: layer.features.length + 1,
+                id: props.name || `hol_${layer.features.length + 1}`,
+                level: floorObj.id,
+                type: 'Hol'
+            });
+            Object.assign(properties, getEdgeAttributes(props));
+        } else if (geometry.type === 'Point' && (props.markerType === '3' || props.markerType === '4')) {
+            layer = layers.Stairs;
+            properties = pickQgisProperties(props, {
+                fid: layer.features.length + 1,
+                id: props.name || `scari_${layer.features.length + 1}`,
+                level: floorObj.id,
+                type: props.markerType === '4' ? 'lift' : 'scari',
+                connects: getStairsConnects(bData, props)
+            });
+        } else if (geometry.type === 'Point' && (props.markerType === '1' || props.markerType === '2')) {
+            layer = layers.doors;
+            properties = pickQgisProperties(props, {
+                fid: layer.features.length + 1,
+                id: props.name || `usa_${layer.features.length + 1}`,
+                room_id: props.room || null,
+                corr_id: props.corridor || null,
+                level: floorObj.id,
+                type: props.markerType === '2' ? EXPORT_INTERSECTION_TYPE : 'usa'
+            });
+        }
+        if (!layer) return;
+        if (properties.id !== undefined && props.name) properties.id = props.name;
+        if (properties.level !== undefined) properties.level = floorObj.id;
+        if (properties.etaj !== undefined) properties.etaj = floorObj.id;
+        layer.features.push({ type: 'Feature', properties, geometry });
+    });
+    return layers;
+}
+
+/**
+ * Converts the routing graph into separate nodes / edges layers (WGS84).
+ * @param {Object} geoJSON - the navigation graph as saved by graph-editor.js
+ * @returns {{nodes: Object, edges: Object}}
+ */
+function buildGraphLayers(geoJSON) {
+    const nodes = createLayerCollection('nodes');
+    const edges = createLayerCollection('edges');
+    if (!geoJSON || !geoJSON.features || geoJSON.features.length === 0) return { nodes, edges };
+
+    const { graph, nodesMap } = buildGraphFromGeoJSON(geoJSON);
+    const nodeIds = {};
+    Object.keys(nodesMap).forEach(key => {
+        const id = Object.keys(nodeIds).length + 1;
+        nodeIds[key] = id;
+        nodes.features.push({
+            type: 'Feature',
+            properties: { fid: id, id: key, degree: graph[key].length },
+            geometry: { type: 'Point', coordinates: [nodesMap[key].lng, nodesMap[key].lat] }
+        });
+    });
+    Object.keys(graph).forEach(key => {
+        graph[key].forEach(edge => {
+            if (nodeIds[key] > nodeIds[edge.node]) return;
+            edges.features.push({
+                type: 'Feature',
+                properties: Object.assign({
+                    fid: edges.features.length + 1,
+                    from: nodeIds[key],
+                    to: nodeIds[edge.node],
+                    length_m: Math.round(edge.weight * 100) / 100
+                }, edge.attrs || {}),
+                geometry: {
+                    type: 'LineString',
+                    coordinates: [[nodesMap[key].lng, nodesMap[key].lat], [nodesMap[edge.node].lng, nodesMap[edge.node].lat]]
+                }
+            });
+        });
+    });
+    return { nodes, edges };
+}
+
+function toExportPathSegment(name) {
+    return String(name).trim().replace(/[\\/:*?"<>|]+/g, '_') || 'fara_nume';
+}
+
+async function exportLayersZip() {
+    if (typeof JSZip === 'undefined') {
+        showToast('Biblioteca JSZip nu a putut fi încărcată.', 'error');
+        return;
+    }
+    const zip = new JSZip();
+    const write = (path, data) => zip.file(path, JSON.stringify(data, null, 2));
+    let fileCount = 0;
+
+    Object.keys(window.floorData || {}).forEach(buildingName => {
+        const bData = window.floorData[buildingName];
+        if (!bData || !bData.floors) return;
+        bData.floors.forEach(floorObj => {
+            const layers = buildFloorLayers(bData, floorObj);
+            const folder = `indoor/${toExportPathSegment(buildingName)}/etaj_${floorObj.id}`;
+            Object.keys(layers).forEach(name => {
+                if (layers[name].features.length === 0) return;
+                write(`${folder}/${name}.geojson`, layers[name]);
+                fileCount++;
+            });
+        });
+    });
+
+    const graphData = window.navigationData;
+    const { nodes, edges } = buildGraphLayers(graphData);
+    if (edges.features.length > 0) {
+        write('graph/nodes.geojson', nodes);
+        write('graph/edges.geojson', edges);
+        write('graph/graph.geojson', graphData);
+        fileCount += 3;
+    }
+    if (fileCount === 0) {
+        showToast('Nu există planuri sau graf de exportat.', 'info');
+        return;
+    }
+    write('indoor-data.json', window.floorData);
+
+    const blob = await zip.generateAsync({ type: 'blob' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `ettiway-export-${new Date().toISOString().slice(0, 10)}.zip`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    showToast(`Export finalizat (${fileCount} straturi).`, 'success');
+}
+
+window.exportLayersZip = exportLayersZip;
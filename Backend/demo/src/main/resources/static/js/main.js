@@ -1,13 +1,15 @@
 ﻿
-const CAMPUS_DATA_FILE = 'data/campus.sample.json';
 const API_GRAPH_LOAD = '/api/graph/load';
 window.isTestMode = false;
 window.currentStartPoint = null;
 window.currentDestinationPoint = null;
 window.calculateRouteTest = calculateRouteTest; 
+window.isRouteUnavailable = isRouteUnavailable;
 window.toggleTestModeGlobal = function() {
     window.isTestMode = !window.isTestMode;
     const btn = document.getElementById('test-mode-btn');
+    const tracePanel = document.getElementById('trace-panel');
+    if (tracePanel) tracePanel.style.display = window.isTestMode ? 'flex' : 'none';
     if (btn) {
         if (window.isTestMode) {
             btn.innerText = 'Dev: Test Mode ON';
@@ -16,19 +18,27 @@ window.toggleTestModeGlobal = function() {
         } else {
             btn.innerText = 'Dev: Test Mode OFF';
             btn.style.backgroundColor = '#e67e22';
-            if (typeof watchId !== 'undefined' && watchId === 'test_mode') {
+            if (isTraceRecording()) stopTraceRecording();
+            if (typeof watchId !== 'undefined' && (watchId === 'test_mode' || watchId === TRACE_REPLAY_WATCH_ID)) {
                 toggleLocation();
             }
         }
     }
 };
 async function loadCampusData() {
+    const campus = await getActiveCampus();
+    if (!campus) {
+        console.warn(`Unknown campus '${getCampusId()}', switching to ${DEFAULT_CAMPUS_ID}.`);
+        switchCampus(DEFAULT_CAMPUS_ID);
+        return { campus: null, buildings: [] };
+    }
     try {
-        const response = await fetch(CAMPUS_DATA_FILE);
+        const response = await fetch(campus.dataFile);
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
         }
         const data = await response.json();
+        applyCampusBounds(data);
         console.log('Campus data loaded successfully from local file', data);
         return data;
     } catch (error) {
@@ -39,13 +49,14 @@ async function loadCampusData() {
 async function loadNavigationGraph(drawnItems) {
     const isEditMode = new URLSearchParams(window.location.search).get('edit') === '1';
     try {
-        const dbResponse = await fetch('/api/graph/load');
+        const dbResponse = await fetch(withCampus(API_GRAPH_LOAD));
         if (dbResponse.ok) {
             const dbData = await dbResponse.text();
             if (dbData && dbData.trim() !== '{}' && dbData.trim() !== '') {
                 const parsedData = JSON.parse(dbData);
                 window.navigationData = parsedData;
                 if (parsedData && parsedData.features && parsedData.features.length > 0) {
+                    window.routingEngine.build(parsedData);
                     if (isEditMode) {
                         L.geoJSON(parsedData, {
                             onEachFeature: (feature, layer) => {
@@ -94,12 +105,6 @@ function populateBuildingList(buildings) {
     });
     console.log(`Populated list with ${buildings.length} buildings`);
 }
-const buildingMap = {
-    'corp a': 'intrare CORP A',
-    'corp b': 'intrare CORP B',
-    'cantina': 'intrare Cantina',
-    'camin leu a': 'Intrare Camin LEU A'
-};
 function isMobileViewport() {
     return window.innerWidth <= 768;
 }
@@ -335,16 +340,17 @@ function initializeSearch() {
 
     if (searchBuilding) {
         searchBuilding.addEventListener('change', async (e) => {
-            const searchTerm = e.target.value.toLowerCase().trim();
+            const rawTerm = e.target.value.trim();
+            const searchTerm = foldSearchText(rawTerm);
             console.log('User searched for building:', searchTerm);
             if (!searchTerm) return;
             
             let targetPoint = null;
-            let finalBuildingName = searchTerm; 
+            let finalBuildingName = rawTerm; 
             let matchingEntrances = [];
             if (window.campusData && window.campusData.entrances) {
                 for (let ent of window.campusData.entrances) {
-                    const nodeName = (ent.name || ent.id || '').toLowerCase();
+                    const nodeName = foldSearchText(ent.name || ent.id);
                     if (nodeName.startsWith('intrare') && nodeName.includes(searchTerm)) {
                         matchingEntrances.push({
                             name: ent.name || ent.id,
@@ -353,18 +359,18 @@ function initializeSearch() {
                     }
                 }
             }
-            if (matchingEntrances.length === 0 && buildingMap[searchTerm] && window.campusData && window.campusData.entrances) {
-                 let mappedName = buildingMap[searchTerm].toLowerCase();
-                 for (let ent of window.campusData.entrances) {
-                    const nodeName = (ent.name || ent.id || '').toLowerCase();
-                    if (nodeName === mappedName) {
-                        matchingEntrances.push({
-                            name: ent.name || ent.id,
-                            pt: L.latLng(ent.coordinates[0], ent.coordinates[1])
-                        });
-                    }
-                 }
+            if (matchingEntrances.length === 0) {
+                const hits = searchCampus(rawTerm, { kinds: ['entrance'] });
+                const topScore = hits.length > 0 ? hits[0].score : 0;
+                hits.filter(hit => hit.score >= topScore - 0.05).forEach(hit => {
+                    matchingEntrances.push({
+                        name: hit.label,
+                        pt: L.latLng(hit.payload.entrance.coordinates[0], hit.payload.entrance.coordinates[1])
+                    });
+                });
             }
+            const buildingHit = searchCampus(rawTerm, { kinds: ['building'], limit: 1 })[0];
+            const matchedBuilding = buildingHit ? buildingHit.payload.building : null;
             if (matchingEntrances.length === 1) {
                 let userConfirmed = await showAppConfirm(`Vrei să navighezi către: ${matchingEntrances[0].name}?`);
                 if (userConfirmed) {
@@ -391,8 +397,8 @@ function initializeSearch() {
                     return; 
                 }
             }
-            if (!targetPoint && window.campusData && window.campusData.buildings) {
-                const b = window.campusData.buildings.find(b => b.name.toLowerCase().includes(searchTerm));
+            if (!targetPoint && matchedBuilding) {
+                const b = matchedBuilding;
                 if (b) {
                     if (b.points && window.navigationData && window.navigationData.features) {
                         finalBuildingName = b.name;
@@ -442,12 +448,12 @@ function initializeSearch() {
                     document.body.classList.remove('sidebar-open');
                 }
                 
-                const bUI = window.campusData?.buildings?.find(b => b.name.toLowerCase().includes(searchTerm));
+                const bUI = matchedBuilding;
                 if (bUI && typeof focusOnBuilding === 'function') {
                     focusOnBuilding(bUI);
                 }
             } else {
-                await showAppAlert(`Clădirea '${searchTerm}' nu a putut fi localizată.`);
+                await showAppAlert(`Clădirea '${rawTerm}' nu a putut fi localizată.`);
             }
 
             e.target.value = '';
@@ -459,49 +465,13 @@ function initializeSearch() {
 
     if (searchRoom) {
         searchRoom.addEventListener('change', async (e) => {
-            const searchTerm = e.target.value.toLowerCase().trim();
+            const searchTerm = e.target.value.trim();
             console.log('User searched for room:', searchTerm);
             if (!searchTerm) return;
             
-            let foundRoom = null;
-            if (window.floorData) {
-                for (let buildingKey of Object.keys(window.floorData)) {
-                    const bData = window.floorData[buildingKey];
-                    if (bData && bData.floors) {
-                        for (let floorObj of bData.floors) {
-                            if (floorObj.geoJson && floorObj.geoJson.features) {
-                                for (let feat of floorObj.geoJson.features) {
-                                    if (feat.properties && feat.properties.name && feat.properties.name.toLowerCase().includes(searchTerm)) {
-                                        
-                                        if (feat.properties.markerType) {
-                                            continue; 
-                                        }
-                                        
-                                        foundRoom = {
-                                            buildingName: buildingKey,
-                                            floorIndex: floorObj.id,
-                                            roomName: feat.properties.name
-                                        };
-                                        break;
-                                    }
-                                }
-                            }
-                            if (foundRoom) break;
-                        }
-                    }
-                    if (foundRoom) break;
-                }
-            }
-            
-            if (foundRoom) {
-                let userConfirmed = await showAppConfirm(`Camera "${foundRoom.roomName}" a fost găsită în clădirea "${foundRoom.buildingName}" (Etaj ${foundRoom.floorIndex}). Vrei să deschizi planul clădirii?`);
-                if (userConfirmed) {
-                    if (typeof window.openFloorPlanViewer === 'function') {
-                        window.openFloorPlanViewer(foundRoom.buildingName, foundRoom.floorIndex, foundRoom.roomName);
-                    } else {
-                        await showAppAlert("Eroare: Vizualizatorul de planuri interne nu este disponibil.");
-                    }
-                }
+            const hit = searchCampus(searchTerm, { kinds: ['room', 'marker'], limit: 1 })[0];
+            if (hit) {
+                await confirmRoomNavigation(hit.payload.room);
             } else {
                 await showAppAlert(`Camera '${searchTerm}' nu a putut fi localizată.`);
             }
@@ -513,8 +483,31 @@ function initializeSearch() {
         });
     }
 
+    const onSuggestionSelected = (result) => {
+        if (result.kind === 'room' || result.kind === 'marker') {
+            confirmRoomNavigation(result.payload.room);
+        } else if (searchBuilding) {
+            searchBuilding.value = result.label;
+            searchBuilding.dispatchEvent(new Event('change'));
+        }
+    };
+    attachSearchAutocomplete(desktopSingleSearch, onSuggestionSelected);
+    attachSearchAutocomplete(mobileSingleSearch, onSuggestionSelected);
+
     console.log('Search inputs initialized successfully (Map & Routing integrated).');
 }
+async function confirmRoomNavigation(foundRoom) {
+    let userConfirmed = await showAppConfirm(`Camera "${foundRoom.roomName}" a fost găsită în clădirea "${foundRoom.buildingName}" (${getIndoorFloorLabel(foundRoom.buildingName, foundRoom.floorIndex)}). Vrei să navighezi până la ea?`);
+    if (userConfirmed) {
+        if (typeof window.navigateToRoom === 'function') {
+            await window.navigateToRoom(foundRoom);
+        } else if (typeof window.openFloorPlanViewer === 'function') {
+            window.openFloorPlanViewer(foundRoom.buildingName, foundRoom.floorIndex, foundRoom.roomName);
+        } else {
+            await showAppAlert("Eroare: Vizualizatorul de planuri interne nu este disponibil.");
+        }
+    }
+}
 function initializeSidebarToggle(mapRef) {
     const body = document.body;
     const toggleBtn = document.getElementById('sidebar-toggle');
@@ -569,7 +562,9 @@ function initializeSidebarToggle(mapRef) {
 }
 async function initialize() {
     console.log('Initializing ETTIway application...');
-    const data = await loadCampusData();
+    // pwa.js waits on this before working out which tiles to precache.
+    window.campusDataReady = loadCampusData();
+    const data = await window.campusDataReady;
     window.campusData = data; 
     let mapInstance;
     if (data.campus && data.campus.location) {
@@ -578,7 +573,8 @@ async function initialize() {
             data.campus.location.longitude
         );
     } else {
-        mapInstance = initializeMap();
+        const center = L.latLngBounds(getMapBounds()).getCenter();
+        mapInstance = initializeMap(center.lat, center.lng);
     }
     if (data.campus && data.campus.boundary) {
         drawCampusBoundary(data.campus.boundary);
@@ -594,12 +590,38 @@ async function initialize() {
             console.warn('Error drawing entrances:', e);
         }
     }
+    initGeorefOverlay();
     if (mapInstance && mapInstance.drawnGroup) {
         await loadNavigationGraph(mapInstance.drawnGroup);
         setupTestModeRouting(mapInstance.map, mapInstance.drawnGroup);
     }
     initializeSearch();
+    initializeRoutingProfileSelect(mapInstance.map, mapInstance.drawnGroup);
+    initCampusSwitcher();
     initializeSidebarToggle(mapInstance.map);
+    await initDraftWorkspace(mapInstance);
+    await initDeepLink();
+}
+function initializeRoutingProfileSelect(map, graphGroup) {
+    const select = document.getElementById('routing-profile');
+    if (!select) return;
+    select.innerHTML = '';
+    Object.keys(ROUTING_PROFILES).forEach(profileId => {
+        const opt = document.createElement('option');
+        opt.value = profileId;
+        opt.textContent = ROUTING_PROFILES[profileId].label;
+        select.appendChild(opt);
+    });
+    select.value = getRoutingProfile();
+    select.onchange = () => {
+        setRoutingProfile(select.value);
+        const itinerary = window.activeItinerary;
+        if (itinerary && !itinerary.arrived) {
+            navigateToRoom({ buildingName: itinerary.buildingName, floorIndex: itinerary.room.floorId, roomName: itinerary.room.name });
+        } else if (window.currentStartPoint && window.currentDestinationPoint) {
+            calculateRouteTest(map, graphGroup || L.featureGroup(), window.currentStartPoint, window.currentDestinationPoint);
+        }
+    };
 }
 function createDrawControls() {
     const sidebar = document.getElementById('sidebar');
@@ -628,6 +650,11 @@ function setupTestModeRouting(map, graphGroup) {
                 userMarker = L.marker(e.latlng, iconConf).addTo(map);
                 userMarker.bindPopup("Poziție simulată (Start)").openPopup();
             }
+            if (window.activeItinerary && !window.activeItinerary.arrived) {
+                window.calculateRouteTest(map, graphGroup, window.currentStartPoint, window.activeItinerary.entrance.pt);
+                checkItineraryArrival(e.latlng);
+                return;
+            }
             alert("Punct de plecare setat. Acum apasă pe un nod din graf (sau oriunde pe hartă) pentru destinație.");
         } else {
             window.currentDestinationPoint = e.latlng;
@@ -665,6 +692,38 @@ function setupTestModeRouting(map, graphGroup) {
         setupMarkerClick(e.layer);
     });
 }
+function computeOutdoorRoute(graphGroup, startLatLng, endLatLng) {
+    const data = window.navigationData;
+    if (!data || !data.features || data.features.length === 0) {
+        const draftEngine = createRoutingEngine();
+        draftEngine.build(graphGroup.toGeoJSON());
+        return draftEngine.route(startLatLng, endLatLng);
+    }
+    if (!window.routingEngine.isReady()) {
+        window.routingEngine.build(data);
+    }
+    return window.routingEngine.route(startLatLng, endLatLng);
+}
+// Destination + profile the last route attempt failed for; GPS fixes do not retry it and the alert is shown once.
+let failedRouteKey = null;
+
+function getRouteFailureKey(endLatLng) {
+    const end = L.latLng(endLatLng);
+    return `${end.lat.toFixed(6)},${end.lng.toFixed(6)}|${getRoutingProfile()}`;
+}
+
+/** True when routing to this destination with the current profile already failed. */
+function isRouteUnavailable(endLatLng) {
+    return !!endLatLng && failedRouteKey === getRouteFailureKey(endLatLng);
+}
+
+function reportRouteFailure(endLatLng, message) {
+    const key = getRouteFailureKey(endLatLng);
+    if (failedRouteKey === key) return;
+    failedRouteKey = key;
+    showAppAlert(message);
+}
+
 function calculateRouteTest(map, graphGroup, startLatLng, endLatLng) {
     console.log(`Calculam ruta (Dijkstra pe graf real) de la ${startLatLng} catre ${endLatLng}`);
     if (typeof routeLayer !== 'undefined' && !routeLayer) {
@@ -672,99 +731,21 @@ function calculateRouteTest(map, graphGroup, startLatLng, endLatLng) {
     } else if (routeLayer) {
         routeLayer.clearLayers();
     }
-    let geoJSON = window.navigationData;
-    if (!geoJSON || geoJSON.features.length === 0) {
-        geoJSON = graphGroup.toGeoJSON();
+    stopRouteFollow();
+    const result = computeOutdoorRoute(graphGroup, startLatLng, endLatLng);
+    if (result.error) {
+        reportRouteFailure(endLatLng, result.error);
+        return null;
     }
-    const { graph, nodesMap } = buildGraphFromGeoJSON(geoJSON);
-    if (Object.keys(nodesMap).length === 0) {
-        alert('Eroare: Graful este gol. Te rog să desenezi manual segmente (Linii / Puncte) și să-l salvezi/încarci.');
-        return;
-    }
-
-    const endKey = findNearestNode(endLatLng, nodesMap);
-    const fallbackNode = findNearestNode(startLatLng, nodesMap);
-
-    
-    const startKey = 'VIRTUAL_START_NODE';
-    nodesMap[startKey] = startLatLng;
-    graph[startKey] = [];
-    
-    let closestEdge = null;
-    let minPixDist = Infinity;
-    const p0 = map.project(startLatLng);
-    const seenEdges = new Set();
-    
-    
-    for (const nodeKey in graph) {
-        if (nodeKey === startKey) continue;
-        const p1LatLng = nodesMap[nodeKey];
-        if (!p1LatLng) continue;
-        const p1 = map.project(p1LatLng);
-        
-        for (const edge of graph[nodeKey]) {
-            const tempNode = edge.node;
-            if (tempNode === startKey) continue;
-            
-            const edgeId = nodeKey < tempNode ? `${nodeKey}-${tempNode}` : `${tempNode}-${nodeKey}`;
-            if (seenEdges.has(edgeId)) continue;
-            seenEdges.add(edgeId);
-            
-            const p2LatLng = nodesMap[tempNode];
-            if (!p2LatLng) continue;
-            const p2 = map.project(p2LatLng);
-            
-            
-            const dist = L.LineUtil.pointToSegmentDistance(p0, p1, p2);
-            if (dist < minPixDist) {
-                minPixDist = dist;
-                closestEdge = { A: nodeKey, B: tempNode };
-            }
-        }
-    }
-    
-    
-    if (closestEdge) {
-        const distA = startLatLng.distanceTo(nodesMap[closestEdge.A]);
-        const distB = startLatLng.distanceTo(nodesMap[closestEdge.B]);
-        
-        graph[startKey].push({ node: closestEdge.A, weight: distA });
-        graph[startKey].push({ node: closestEdge.B, weight: distB });
-        graph[closestEdge.A].push({ node: startKey, weight: distA });
-        graph[closestEdge.B].push({ node: startKey, weight: distB });
-    } else {
-        
-        if (fallbackNode) {
-            const dist = startLatLng.distanceTo(nodesMap[fallbackNode]);
-            graph[startKey].push({ node: fallbackNode, weight: dist });
-            graph[fallbackNode].push({ node: startKey, weight: dist });
-            closestEdge = { A: fallbackNode, B: null };
-        }
-    }
-
-    if (!endKey) {
-        alert('Nu s-au putut găsi noduri în interiorul grafului pentru destinație.');
-        return;
-    }
-
-    const pathCoords = runDijkstra(graph, nodesMap, startKey, endKey);
-    
-    
-    if (closestEdge) {
-        if (closestEdge.A && graph[closestEdge.A]) {
-            graph[closestEdge.A] = graph[closestEdge.A].filter(e => e.node !== startKey);
-        }
-        if (closestEdge.B && graph[closestEdge.B]) {
-            graph[closestEdge.B] = graph[closestEdge.B].filter(e => e.node !== startKey);
-        }
-    }
-    delete graph[startKey];
-    delete nodesMap[startKey];
-
-    if (!pathCoords || pathCoords.length === 0) {
-        console.warn('Nu există nicio rută disponibilă între start și destinația aleasă. Probabil nu există conectivitate între cele 2 noduri.');
-        return;
+    const pathCoords = result.path;
+    if (!pathCoords) {
+        const profileId = getRoutingProfile();
+        reportRouteFailure(endLatLng, profileId !== 'walking'
+            ? `Nu există un traseu compatibil cu profilul "${ROUTING_PROFILES[profileId].label}" (scări, borduri sau pasaje inaccesibile). Alege alt profil din bara laterală.`
+            : 'Nu există nicio rută disponibilă între start și destinația aleasă.');
+        return null;
     }
+    failedRouteKey = null;
     const path = L.polyline(pathCoords, {
         color: '#460DFA',    
         weight: 8,           
@@ -773,11 +754,10 @@ function calculateRouteTest(map, graphGroup, startLatLng, endLatLng) {
         lineCap: 'round'
     }).addTo(routeLayer);
     map.fitBounds(path.getBounds(), { padding: [50, 50] });
-    const approxDistMeters = Math.round(pathCoords.reduce((acc, curr, idx) => {
-        if (idx === 0) return acc;
-        return acc + pathCoords[idx - 1].distanceTo(curr);
-    }, 0));
-    console.log(`Rută prelucrată pe graf având distanța estimată de ${approxDistMeters}m`);
-    if (window.isTestMode && typeof routeLayer !== 'undefined' && routeLayer.getLayers().length === 1) {
-    }
+    showRouteSteps(pathCoords);
+    updateActiveRouteStep(startLatLng);
+    startRouteFollow(pathCoords, endLatLng);
+    updateRouteDeepLink(startLatLng, endLatLng);
+    console.log(`Rută prelucrată pe graf având distanța estimată de ${Math.round(result.distance)}m`);
+    return result;
 }
@@ -102,8 +102,8 @@ function showCampusWarning(message) {
 }
 
 function fitMobileMapToBounds() {
-    if (window.innerWidth > 768 || !campusMap || !MAP_BOUNDS) return;
-    campusMap.fitBounds(MAP_BOUNDS, { padding: [18, 18] });
+    if (window.innerWidth > 768 || !campusMap || !getMapBounds()) return;
+    campusMap.fitBounds(getMapBounds(), { padding: [18, 18] });
     setTimeout(() => campusMap.invalidateSize(), 120);
 }
 
@@ -119,16 +119,16 @@ const STYLES = {};
 function initializeMap(lat = DEFAULT_CAMPUS_LAT, lon = DEFAULT_CAMPUS_LON, zoom = DEFAULT_ZOOM_LEVEL) {
 
     campusMap = L.map('map', {
-        maxBounds: MAP_BOUNDS,
+        maxBounds: getMapBounds(),
         maxBoundsViscosity: 1.0,
-        minZoom: 16
+        minZoom: MAP_TILE_MIN_ZOOM
     }).setView([lat, lon], zoom);
 
 
-    L.tileLayer('https://{s}.basemaps.cartocdn.com/light_nolabels/{z}/{x}/{y}{r}.png', {
+    L.tileLayer(MAP_TILE_URL, {
         attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>',
-        subdomains: 'abcd',
-        maxZoom: 20,
+        subdomains: MAP_TILE_SUBDOMAINS,
+        maxZoom: MAP_TILE_MAX_ZOOM,
         minZoom: 14
     }).addTo(campusMap);
 
@@ -370,7 +370,7 @@ function loadBuildingPolygons(buildings) {
  * @param {Object} building - Building data object
  */
 function focusOnBuilding(building) {
-    
+    updateDeepLink({ b: building.name });
     let targetLayer = null;
     buildingsLayer.eachLayer(layer => {
         if (layer.options.buildingId === building.id) {
@@ -464,18 +464,24 @@ let accuracyCircle = null;
 
 
 let currentHeading = 0;
+const positionFilter = createPositionFilter();
+const headingFilter = createHeadingFilter();
 
 function handleOrientation(event) {
     let alpha = event.alpha;
     let webkitHeading = event.webkitCompassHeading;
 
     
+    let rawHeading = null;
     if (webkitHeading) {
-        currentHeading = webkitHeading;
+        rawHeading = webkitHeading;
     } else if (alpha !== null) {
         
-        currentHeading = 360 - alpha;
+        rawHeading = 360 - alpha;
     }
+    if (rawHeading === null) return;
+    recordTraceHeading(rawHeading);
+    currentHeading = headingFilter.update(rawHeading);
 
     if (userMarker && userMarker._icon) {
         const svgArrow = userMarker._icon.querySelector('.user-direction-svg');
@@ -512,6 +518,108 @@ const customUserIcon = L.divIcon({
 
 let routeLayer = null;
 
+/**
+ * Applies one position fix: filtering, accuracy circle, route following, marker, campus warning and auto-centering.
+ * The live GPS watch and trace replay (trace.js) both go through here, so a replayed trace behaves like the real walk.
+ * @param {GeolocationPosition|{coords: Object, timestamp: number}} position
+ */
+function handlePositionUpdate(position) {
+    const warning = document.getElementById('geo-warning');
+    recordTracePosition(position);
+    const accuracy = position.coords.accuracy;
+    const fix = positionFilter.update({
+        lat: position.coords.latitude,
+        lng: position.coords.longitude,
+        accuracy,
+        timestamp: position.timestamp
+    });
+    if (!fix) return;
+    const userPoint = [fix.lat, fix.lng];
+    const userLatLng = L.latLng(fix.lat, fix.lng);
+
+    if (accuracyCircle) {
+        accuracyCircle.setLatLng(userPoint);
+        accuracyCircle.setRadius(accuracy);
+    } else {
+        accuracyCircle = L.circle(userPoint, {
+            radius: accuracy,
+            fillColor: '#3498db',
+            color: '#3498db',
+            weight: 2,
+            fillOpacity: 0.3
+        }).addTo(campusMap);
+    }
+
+    // Reroute only when route following gives up on the current line, not on every fix.
+    let markerPoint = isSnapToWalkwayEnabled() ? snapToWalkway(userLatLng, getWalkwayGraph()) : userLatLng;
+    if (window.currentDestinationPoint && typeof window.calculateRouteTest === 'function') {
+        const follow = updateRouteFollow(userLatLng);
+        if (!follow && isRouteUnavailable(window.currentDestinationPoint)) {
+            // No route to this destination with this profile; wait for a new destination or profile.
+        } else if (!follow || follow.status === 'reroute') {
+            window.currentStartPoint = userLatLng;
+            window.calculateRouteTest(campusMap, L.featureGroup(), window.currentStartPoint, window.currentDestinationPoint);
+        } else if (follow.status === 'on-route') {
+            markerPoint = follow.snapped;
+            updateActiveRouteStep(follow.snapped);
+        }
+    }
+    if (typeof checkItineraryArrival === 'function') {
+        checkItineraryArrival(userLatLng);
+    }
+
+    if (userMarker) {
+        userMarker.setLatLng(markerPoint);
+    } else {
+        userMarker = L.marker(markerPoint, { icon: customUserIcon }).addTo(campusMap);
+        userMarker.bindPopup("Te afli aici.");
+    }
+
+    const boundary = typeof CAMPUS_POINTS !== 'undefined' ? CAMPUS_POINTS : window.campusData?.campus?.boundary;
+
+    
+    if (boundary && boundary.length >= 3) {
+        const isInsideCampus = isPointInPolygon(userPoint, boundary);
+        if (isInsideCampus) {
+            if (warning) warning.style.display = 'none';
+            geoWarningShownThisSession = false;
+        } else {
+            if (!geoWarningShownThisSession) {
+                showCampusWarning('Atenție: ești în afara campusului.');
+                geoWarningShownThisSession = true;
+            }
+        }
+
+        if (!isInsideCampus) {
+            shouldAutoCenter = false;
+        }
+    }
+
+    if (shouldAutoCenter && (!boundary || boundary.length < 3 || isPointInPolygon(userPoint, boundary))) {
+        campusMap.setView(userPoint, 19);
+    }
+}
+
+function handlePositionError(error) {
+    console.error("Eroare de localizare:", error);
+}
+
+function startLocationSession(label) {
+    const btn = document.getElementById('find-me-btn');
+    if (btn) {
+        btn.style.backgroundColor = 'blue';
+        btn.style.color = 'white';
+        btn.innerText = label;
+    }
+
+    shouldAutoCenter = true;
+    geoWarningShownThisSession = false;
+    let recenterBtn = document.getElementById('recenter-btn');
+    if (recenterBtn) recenterBtn.style.display = 'none';
+    positionFilter.reset();
+    headingFilter.reset();
+}
+
 /**
  * Geolocation toggle function
  */
@@ -527,8 +635,8 @@ function toggleLocation() {
             }).catch(console.error);
         }
 
-        
-        if (window.isTestMode) {
+        // While a trace is being recorded, Test Mode uses the real GPS instead of clicks.
+        if (window.isTestMode && !isTraceRecording()) {
             watchId = "test_mode";
 
             shouldAutoCenter = true;
@@ -550,88 +658,17 @@ function toggleLocation() {
         }
 
         
-        if (btn) {
-            btn.style.backgroundColor = 'blue';
-            btn.style.color = 'white';
-            btn.innerText = 'Activ';
-        }
-
-        shouldAutoCenter = true;
-        geoWarningShownThisSession = false;
-        let recenterBtn = document.getElementById('recenter-btn');
-        if (recenterBtn) recenterBtn.style.display = 'none';
-
-        watchId = navigator.geolocation.watchPosition(
-            (position) => {
-                const userLat = position.coords.latitude;
-                const userLon = position.coords.longitude;
-                const accuracy = position.coords.accuracy;
-                const userPoint = [userLat, userLon];
-
-                
-                if (userMarker) {
-                    userMarker.setLatLng(userPoint);
-                } else {
-                    userMarker = L.marker(userPoint, { icon: customUserIcon }).addTo(campusMap);
-                    userMarker.bindPopup("Te afli aici.");
-                }
-
-                
-                if (window.currentDestinationPoint && typeof window.calculateRouteTest === 'function') {
-                    window.currentStartPoint = L.latLng(userPoint[0], userPoint[1]);
-                    window.calculateRouteTest(campusMap, L.featureGroup(), window.currentStartPoint, window.currentDestinationPoint);
-                }
-
-                if (accuracyCircle) {
-                    accuracyCircle.setLatLng(userPoint);
-                    accuracyCircle.setRadius(accuracy);
-                } else {
-                    accuracyCircle = L.circle(userPoint, {
-                        radius: accuracy,
-                        fillColor: '#3498db',
-                        color: '#3498db',
-                        weight: 2,
-                        fillOpacity: 0.3
-                    }).addTo(campusMap);
-                }
-
-                const boundary = typeof CAMPUS_POINTS !== 'undefined' ? CAMPUS_POINTS : window.campusData?.campus?.boundary;
-
-                
-                if (boundary && boundary.length >= 3) {
-                    const isInsideCampus = isPointInPolygon(userPoint, boundary);
-                    if (isInsideCampus) {
-                        if (warning) warning.style.display = 'none';
-                        geoWarningShownThisSession = false;
-                    } else {
-                        if (!geoWarningShownThisSession) {
-                            showCampusWarning('Atenție: ești în afara campusului.');
-                            geoWarningShownThisSession = true;
-                        }
-                    }
-
-                    if (!isInsideCampus) {
-                        shouldAutoCenter = false;
-                    }
-                }
-
-                if (shouldAutoCenter && (!boundary || boundary.length < 3 || isPointInPolygon(userPoint, boundary))) {
-                    campusMap.setView(userPoint, 19);
-                }
-            },
-            (error) => {
-                console.error("Eroare de localizare:", error);
-            },
-            { enableHighAccuracy: true }
-        );
+        startLocationSession('Activ');
+        watchId = navigator.geolocation.watchPosition(handlePositionUpdate, handlePositionError, { enableHighAccuracy: true });
     } else {
         
-        if (window.isTestMode) {
-            watchId = null;
-        } else {
+        if (watchId === TRACE_REPLAY_WATCH_ID) {
+            stopTraceReplay();
+        } else if (watchId !== 'test_mode') {
             navigator.geolocation.clearWatch(watchId);
-            watchId = null;
         }
+        watchId = null;
+        positionFilter.reset();
 
         
         if (userMarker) {
@@ -645,6 +682,8 @@ function toggleLocation() {
         if (routeLayer) {
             routeLayer.clearLayers();
         }
+        clearRouteSteps();
+        stopRouteFollow();
 
         
         if (btn) {
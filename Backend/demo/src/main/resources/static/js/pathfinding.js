@@ -0,0 +1,165 @@
+const EARTH_RADIUS_METERS = 6371000;
+const METERS_PER_DEGREE_LAT = Math.PI * EARTH_RADIUS_METERS / 180;
+
+function haversineDistance(a, b) {
+    const toRad = Math.PI / 180;
+    const dLat = (b.lat - a.lat) * toRad;
+    const dLng = (b.lng - a.lng) * toRad;
+    const sinLat = Math.sin(dLat / 2);
+    const sinLng = Math.sin(dLng / 2);
+    const h = sinLat * sinLat + Math.cos(a.lat * toRad) * Math.cos(b.lat * toRad) * sinLng * sinLng;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+function euclideanDistance(a, b) {
+    return Math.sqrt((b.lat - a.lat) ** 2 + (b.lng - a.lng) ** 2);
+}
+
+function createMinHeap() {
+    const items = [];
+
+    function swap(i, j) {
+        const tmp = items[i];
+        items[i] = items[j];
+        items[j] = tmp;
+    }
+
+    function bubbleUp(i) {
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].priority <= items[i].priority) break;
+            swap(i, parent);
+            i = parent;
+        }
+    }
+
+    function sinkDown(i) {
+        const n = items.length;
+        while (true) {
+            const left = 2 * i + 1, right = left + 1;
+            let smallest = i;
+            if (left < n && items[left].priority < items[smallest].priority) smallest = left;
+            if (right < n && items[right].priority < items[smallest].priority) smallest = right;
+            if (smallest === i) break;
+            swap(i, smallest);
+            i = smallest;
+        }
+    }
+
+    return {
+        push(value, priority) {
+            items.push({ value, priority });
+            bubbleUp(items.length - 1);
+        },
+        pop() {
+            if (items.length === 0) return null;
+            const top = items[0];
+            const last = items.pop();
+            if (items.length > 0) {
+                items[0] = last;
+                sinkDown(0);
+            }
+            return top;
+        },
+        size() {
+            return items.length;
+        }
+    };
+}
+
+/**
+ * A* search over an adjacency-list graph ({ key: [{ node, weight }] }).
+ * @param {Object} graph
+ * @param {Object} nodesMap - key -> {lat, lng}, used by the heuristic
+ * @param {string} startKey
+ * @param {string} endKey
+ * @param {Object} [options] - { heuristic(a, b), edgeCost(edge, fromKey) }; edgeCost may return Infinity to skip an edge
+ * @returns {{keys: string[], distance: number}|null}
+ */
+function findShortestPath(graph, nodesMap, startKey, endKey, options = {}) {
+    if (!graph[startKey] || !graph[endKey]) return null;
+    const heuristic = options.heuristic || (() => 0);
+    const edgeCost = options.edgeCost || (edge => edge.weight);
+    const target = nodesMap[endKey];
+
+    const distances = { [startKey]: 0 };
+    const previous = {};
+    const closed = new Set();
+    const open = createMinHeap();
+    open.push(startKey, heuristic(nodesMap[startKey], target));
+
+    while (open.size() > 0) {
+        const current = open.pop().value;
+        if (closed.has(current)) continue;
+        if (current === endKey) break;
+        closed.add(current);
+        for (const edge of graph[current]) {
+            if (closed.has(edge.node)) continue;
+            const cost = edgeCost(edge, current);
+            if (cost === Infinity) continue;
+            const alt = distances[current] + cost;
+            if (distances[edge.node] === undefined || alt < distances[edge.node]) {
+                distances[edge.node] = alt;
+                previous[edge.node] = current;
+                open.push(edge.node, alt + heuristic(nodesMap[edge.node], target));
+            }
+        }
+    }
+    if (distances[endKey] === undefined) return null;
+
+    const keys = [];
+    let curr = endKey;
+    while (curr !== undefined) {
+        keys.unshift(curr);
+        curr = previous[curr];
+    }
+    return { keys, distance: distances[endKey] };
+}
+
+/**
+ * Uniform grid over lat/lng for fixed-radius neighbour lookups.
+ * @param {number} cellSizeMeters
+ * @returns {Object}
+ */
+function createSpatialGrid(cellSizeMeters) {
+    const cells = new Map();
+    let cellLat = null, cellLng = null;
+
+    function init(lat) {
+        cellLat = cellSizeMeters / METERS_PER_DEGREE_LAT;
+        cellLng = cellSizeMeters / (METERS_PER_DEGREE_LAT * Math.max(0.01, Math.cos(lat * Math.PI / 180)));
+    }
+
+    function cellId(cx, cy) {
+        return cx + ':' + cy;
+    }
+
+    return {
+        insert(key, latlng) {
+            if (cellLat === null) init(latlng.lat);
+            const id = cellId(Math.floor(latlng.lng / cellLng), Math.floor(latlng.lat / cellLat));
+            if (!cells.has(id)) cells.set(id, []);
+            cells.get(id).push({ key, latlng });
+        },
+        query(latlng, radiusMeters) {
+            if (cellLat === null) return [];
+            const rings = Math.max(1, Math.ceil(radiusMeters / cellSizeMeters));
+            const cx = Math.floor(latlng.lng / cellLng), cy = Math.floor(latlng.lat / cellLat);
+            const found = [];
+            for (let dx = -rings; dx <= rings; dx++) {
+                for (let dy = -rings; dy <= rings; dy++) {
+                    const bucket = cells.get(cellId(cx + dx, cy + dy));
+                    if (!bucket) continue;
+                    for (const entry of bucket) {
+                        const d = haversineDistance(latlng, entry.latlng);
+                        if (d <= radiusMeters) found.push({ key: entry.key, latlng: entry.latlng, distance: d });
+                    }
+                }
+            }
+            return found.sort((a, b) => a.distance - b.distance);
+        },
+        nearest(latlng, radiusMeters) {
+            return this.query(latlng, radiusMeters)[0] || null;
+        }
+    };
+}
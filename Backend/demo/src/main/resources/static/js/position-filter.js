@@ -0,0 +1,135 @@
+// How fast (m/s) the estimate is allowed to drift between fixes; above walking pace so the marker does not lag behind.
+const POSITION_PROCESS_SPEED = 3;
+const POSITION_MAX_ACCURACY = 60;
+const POSITION_SNAP_MAX_DISTANCE = 12;
+const HEADING_SMOOTHING = 0.2;
+const SNAP_WALKWAY_KEY = 'ettiway.snapToWalkway';
+
+let snapToWalkwayEnabled = localStorage.getItem(SNAP_WALKWAY_KEY) === '1';
+
+/**
+ * 1D Kalman filter applied to latitude and longitude together, weighted by each fix's reported accuracy.
+ * The uncertainty grows with the time since the last fix, so a fresh precise fix
+ * moves the estimate almost all the way while a vague one barely nudges it.
+ * @param {Object} [options] - { speed: m/s, maxAccuracy: m }
+ */
+function createPositionFilter(options = {}) {
+    const speed = options.speed || POSITION_PROCESS_SPEED;
+    const maxAccuracy = options.maxAccuracy || POSITION_MAX_ACCURACY;
+    let lat = 0, lng = 0, variance = -1, timestamp = 0;
+
+    return {
+        /**
+         * @param {{lat: number, lng: number, accuracy: number, timestamp: number}} fix
+         * @returns {{lat: number, lng: number, accuracy: number, timestamp: number}|null} null when the fix is rejected
+         */
+        update(fix) {
+            const accuracy = Math.max(fix.accuracy || 1, 1);
+            if (variance < 0) {
+                lat = fix.lat;
+                lng = fix.lng;
+                variance = accuracy * accuracy;
+                timestamp = fix.timestamp;
+                return { lat, lng, accuracy, timestamp };
+            }
+            // Only drop a bad fix when there is a usable estimate to fall back on.
+            if (accuracy > maxAccuracy) return null;
+            const dt = Math.max(0, (fix.timestamp - timestamp) / 1000);
+            variance += dt * speed * speed;
+            const gain = variance / (variance + accuracy * accuracy);
+            lat += gain * (fix.lat - lat);
+            lng += gain * (fix.lng - lng);
+            variance *= 1 - gain;
+            timestamp = fix.timestamp;
+            return { lat, lng, accuracy: Math.sqrt(variance), timestamp };
+        },
+        reset() {
+            variance = -1;
+        }
+    };
+}
+
+/** Exponential smoothing of a compass heading, taking the short way around 0°/360°. */
+function createHeadingFilter(smoothing = HEADING_SMOOTHING) {
+    let heading = null;
+    return {
+        update(raw) {
+            if (raw == null || isNaN(raw)) return heading;
+            if (heading === null) {
+                heading = ((raw % 360) + 360) % 360;
+            } else {
+                const delta = ((raw - heading) % 360 + 540) % 360 - 180;
+                heading = (heading + smoothing * delta + 360) % 360;
+            }
+            return heading;
+        },
+        reset() {
+            heading = null;
+        }
+    };
+}
+
+/**
+ * Closest point on the walkway graph, or the position unchanged when no edge is within maxDistance.
+ * @param {L.LatLng} latlng
+ * @param {{graph: Object, nodesMap: Object}} walkways - as returned by routingEngine.getGraph()
+ */
+function snapToWalkway(latlng, walkways, maxDistance = POSITION_SNAP_MAX_DISTANCE) {
+    if (!walkways || !walkways.graph) return latlng;
+    const near = findNearestPointOnGraph(latlng, walkways.graph, walkways.nodesMap);
+    return near && near.distance <= maxDistance ? near.snapped : latlng;
+}
+
+function getWalkwayGraph() {
+    if (!window.routingEngine.isReady()) {
+        const data = window.navigationData;
+        if (!data || !data.features || data.features.length === 0) return null;
+        window.routingEngine.build(data);
+    }
+    return window.routingEngine.getGraph();
+}
+
+function isSnapToWalkwayEnabled() {
+    return snapToWalkwayEnabled;
+}
+
+function setSnapToWalkway(enabled) {
+    snapToWalkwayEnabled = !!enabled;
+    localStorage.setItem(SNAP_WALKWAY_KEY, snapToWalkwayEnabled ? '1' : '0');
+}
+
+/**
+ * Runs a recorded trace through the same filtering as the live marker. Pure: no map or page state,
+ * so traces can be replayed and compared offline.
+ * @param {Array<{lat: number, lng: number, accuracy: number, timestamp: number}>} fixes
+ * @param {Object} [options] - createPositionFilter options, plus walkways ({graph, nodesMap}) to snap onto
+ * @returns {Array<{lat: number, lng: number, accuracy: number, timestamp: number, raw: Object}>} rejected fixes are left out
+ */
+function filterTrace(fixes, options = {}) {
+    const filter = createPositionFilter(options);
+    const filtered = [];
+    fixes.forEach(raw => {
+        const fix = filter.update(raw);
+        if (!fix) return;
+        if (options.walkways) {
+            const snapped = snapToWalkway(L.latLng(fix.lat, fix.lng), options.walkways, options.snapDistance);
+            filtered.push({ lat: snapped.lat, lng: snapped.lng, accuracy: fix.accuracy, timestamp: fix.timestamp, raw });
+        } else {
+            filtered.push(Object.assign({}, fix, { raw }));
+        }
+    });
+    return filtered;
+}
+
+function initSnapToWalkwayToggle() {
+    const toggle = document.getElementById('snap-walkway-toggle');
+    if (!toggle) return;
+    toggle.checked = snapToWalkwayEnabled;
+    toggle.addEventListener('change', () => setSnapToWalkway(toggle.checked));
+}
+
+document.addEventListener('DOMContentLoaded', initSnapToWalkwayToggle);
+
+window.createPositionFilter = createPositionFilter;
+window.createHeadingFilter = createHeadingFilter;
+window.filterTrace = filterTrace;
@@ -0,0 +1,93 @@
+const SERVICE_WORKER_URL = '/sw.js';
+const OFFLINE_UPDATE_CHECK_INTERVAL = 10 * 60 * 1000;
+// Must match DATA_CACHE in sw.js.
+const OFFLINE_DATA_CACHE = 'ettiway-data';
+
+let offlineUpdateTimer = null;
+
+/**
+ * Every basemap tile covering the active campus's bounds between MAP_TILE_MIN_ZOOM and MAP_TILE_MAX_ZOOM,
+ * built the same way Leaflet builds them, so the service worker cache keys match its requests.
+ * @returns {string[]}
+ */
+function getCampusTileUrls() {
+    const bounds = L.latLngBounds(getMapBounds());
+    const urls = [];
+    for (let z = MAP_TILE_MIN_ZOOM; z <= MAP_TILE_MAX_ZOOM; z++) {
+        const nw = L.CRS.EPSG3857.latLngToPoint(bounds.getNorthWest(), z).divideBy(256).floor();
+        const se = L.CRS.EPSG3857.latLngToPoint(bounds.getSouthEast(), z).divideBy(256).floor();
+        for (let x = nw.x; x <= se.x; x++) {
+            for (let y = nw.y; y <= se.y; y++) {
+                urls.push(L.Util.template(MAP_TILE_URL, {
+                    s: MAP_TILE_SUBDOMAINS[Math.abs(x + y) % MAP_TILE_SUBDOMAINS.length],
+                    z, x, y,
+                    r: L.Browser.retina ? '@2x' : ''
+                }));
+            }
+        }
+    }
+    return urls;
+}
+
+function postToServiceWorker(message) {
+    navigator.serviceWorker.ready.then(registration => {
+        if (registration.active) registration.active.postMessage(message);
+    });
+}
+
+function checkOfflineDataUpdates() {
+    if (navigator.onLine) postToServiceWorker({ type: 'check-updates', campus: getCampusId() });
+}
+
+async function handleServiceWorkerMessage(event) {
+    const data = event.data || {};
+    if (data.type !== 'data-updated' || data.campus !== getCampusId()) return;
+    // Editors load straight from the network and would lose unsaved work on a reload.
+    if (isDraftEditMode() || getDraftName()) return;
+    if (await showAppConfirm('Harta campusului a fost actualizată. Reîncarci pagina pentru a vedea modificările?')) {
+        window.location.reload();
+    }
+}
+
+/** Drops the cached map data before logging out, so the next person on this device starts from the server. */
+function initLogoutCacheClear() {
+    const form = document.querySelector('.logout-form');
+    if (!form || !('caches' in window)) return;
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        try {
+            await caches.delete(OFFLINE_DATA_CACHE);
+        } catch (e) {
+            console.warn('Datele offline nu au putut fi șterse:', e);
+        }
+        form.submit();
+    });
+}
+
+async function initOfflineSupport() {
+    if (!('serviceWorker' in navigator)) return;
+    try {
+        await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+    } catch (error) {
+        console.error('Service worker registration failed:', error);
+        return;
+    }
+    navigator.serviceWorker.addEventListener('message', handleServiceWorkerMessage);
+    if (window.campusDataReady) await window.campusDataReady;
+    postToServiceWorker({ type: 'precache-tiles', urls: getCampusTileUrls() });
+    checkOfflineDataUpdates();
+
+    window.addEventListener('online', () => {
+        showToast('Conexiune restabilită.', 'success');
+        checkOfflineDataUpdates();
+    });
+    window.addEventListener('offline', () => {
+        showToast('Ești offline. Harta și rutele salvate funcționează în continuare.', 'warning');
+    });
+    if (!offlineUpdateTimer) offlineUpdateTimer = setInterval(checkOfflineDataUpdates, OFFLINE_UPDATE_CHECK_INTERVAL);
+}
+
+window.addEventListener('load', initOfflineSupport);
+document.addEventListener('DOMContentLoaded', initLogoutCacheClear);
+
+window.getCampusTileUrls = getCampusTileUrls;
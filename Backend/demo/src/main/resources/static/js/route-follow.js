@@ -0,0 +1,155 @@
+const ROUTE_FOLLOW_OFF_ROUTE_DISTANCE = 20;
+const ROUTE_FOLLOW_OFF_ROUTE_FIXES = 3;
+const ROUTE_FOLLOW_MAX_ACCURACY = 30;
+const ROUTE_FOLLOW_ARRIVAL_RADIUS = 15;
+const ROUTE_ARRIVED_EVENT = 'ettiway:arrived';
+
+let routeFollow = null;
+
+/**
+ * Starts following a freshly computed route. Called by calculateRouteTest after it draws the polyline.
+ * @param {Array} pathCoords - route polyline, as returned by the routing engine
+ * @param {L.LatLng} destination
+ */
+function startRouteFollow(pathCoords, destination) {
+    const path = pathCoords.map(p => L.latLng(p));
+    const cumulative = [0];
+    for (let i = 1; i < path.length; i++) {
+        cumulative.push(cumulative[i - 1] + path[i - 1].distanceTo(path[i]));
+    }
+    routeFollow = {
+        path,
+        cumulative,
+        total: cumulative[cumulative.length - 1],
+        destination: L.latLng(destination || path[path.length - 1]),
+        offRouteFixes: 0,
+        arrived: false
+    };
+    renderRouteProgress({ status: 'on-route', remaining: routeFollow.total, eta: getRouteEta(routeFollow.total) });
+}
+
+function stopRouteFollow() {
+    routeFollow = null;
+    renderRouteProgress(null);
+}
+
+function isRouteFollowing() {
+    return !!routeFollow && !routeFollow.arrived;
+}
+
+/**
+ * Closest point of the followed route to a position.
+ * @returns {{latlng: L.LatLng, distance: number, along: number}} distance from the route and metres already covered
+ */
+function snapToRoute(latlng, follow = routeFollow) {
+    if (follow.path.length < 2) {
+        return { latlng: follow.path[0], distance: latlng.distanceTo(follow.path[0]), along: 0 };
+    }
+    let best = null;
+    for (let i = 0; i < follow.path.length - 1; i++) {
+        const proj = L.latLng(projectPointOnSegment(latlng, follow.path[i], follow.path[i + 1]));
+        const distance = latlng.distanceTo(proj);
+        if (!best || distance < best.distance) {
+            best = { latlng: proj, distance, along: follow.cumulative[i] + follow.path[i].distanceTo(proj) };
+        }
+    }
+    return best;
+}
+
+function getRouteEta(meters) {
+    const profile = ROUTING_PROFILES[getRoutingProfile()] || ROUTING_PROFILES.walking;
+    return meters / profile.speed;
+}
+
+/**
+ * Feeds one position fix into the followed route.
+ * Fixes less accurate than ROUTE_FOLLOW_MAX_ACCURACY are ignored; a reroute is asked for only after
+ * ROUTE_FOLLOW_OFF_ROUTE_FIXES consecutive fixes further than ROUTE_FOLLOW_OFF_ROUTE_DISTANCE from the line.
+ * @param {L.LatLng} latlng
+ * @param {number} [accuracy] - metres, defaults to the radius of the GPS accuracy circle
+ * @returns {{status: string, snapped?: L.LatLng, distanceFromRoute?: number, remaining?: number, eta?: number}|null}
+ *          status is 'on-route', 'off-route', 'reroute', 'arrived' or 'inaccurate'; null when nothing is followed
+ */
+function updateRouteFollow(latlng, accuracy = (accuracyCircle ? accuracyCircle.getRadius() : 0)) {
+    const follow = routeFollow;
+    if (!follow || follow.arrived || !latlng) return null;
+    if (accuracy > ROUTE_FOLLOW_MAX_ACCURACY) return { status: 'inaccurate' };
+
+    const snap = snapToRoute(latlng, follow);
+    const remaining = Math.max(0, follow.total - snap.along);
+    const onRoute = snap.distance <= ROUTE_FOLLOW_OFF_ROUTE_DISTANCE;
+    if ((onRoute && remaining <= ROUTE_FOLLOW_ARRIVAL_RADIUS) || latlng.distanceTo(follow.destination) <= ROUTE_FOLLOW_ARRIVAL_RADIUS) {
+        follow.arrived = true;
+        dispatchRouteArrival(follow.destination);
+        return { status: 'arrived', snapped: snap.latlng, distanceFromRoute: snap.distance, remaining: 0, eta: 0 };
+    }
+
+    let status = 'on-route';
+    if (onRoute) {
+        follow.offRouteFixes = 0;
+    } else if (++follow.offRouteFixes >= ROUTE_FOLLOW_OFF_ROUTE_FIXES) {
+        follow.offRouteFixes = 0;
+        status = 'reroute';
+    } else {
+        status = 'off-route';
+    }
+    const result = { status, snapped: snap.latlng, distanceFromRoute: snap.distance, remaining, eta: getRouteEta(remaining) };
+    renderRouteProgress(result);
+    return result;
+}
+
+function renderRouteProgress(progress) {
+    const container = document.getElementById('route-progress');
+    if (!container) return;
+    if (!progress) {
+        container.style.display = 'none';
+        container.innerHTML = '';
+        return;
+    }
+    const minutes = Math.max(1, Math.round(progress.eta / 60));
+    container.innerHTML = `
+        <span class="route-progress-distance">${Math.round(progress.remaining)} m</span>
+        <span class="route-progress-eta">~${minutes} min</span>
+        ${progress.status === 'off-route' ? '<span class="route-progress-warning">Ai ieșit de pe traseu</span>' : ''}
+    `;
+    container.style.display = 'flex';
+}
+
+function dispatchRouteArrival(destination) {
+    window.dispatchEvent(new CustomEvent(ROUTE_ARRIVED_EVENT, {
+        detail: { destination: L.latLng(destination), itinerary: window.activeItinerary || null }
+    }));
+}
+
+function findArrivalBuilding(latlng) {
+    const buildings = (window.campusData && window.campusData.buildings) || [];
+    return buildings.find(b => b.name && window.floorData && window.floorData[b.name]
+        && ((b.points && b.points.length >= 3 && isPointInPolygon([latlng.lat, latlng.lng], b.points))
+            || findBuildingEntrances(b.name).some(ent => ent.pt.distanceTo(latlng) <= ROUTE_FOLLOW_ARRIVAL_RADIUS))) || null;
+}
+
+async function handleRouteArrival(event) {
+    stopRouteFollow();
+    window.currentDestinationPoint = null;
+    if (routeLayer) routeLayer.clearLayers();
+    clearRouteSteps();
+    // Itineraries offer their own indoor leg (see itinerary.js).
+    if (event.detail.itinerary) return;
+
+    const building = findArrivalBuilding(event.detail.destination);
+    if (!building) {
+        showToast('Ai ajuns la destinație.', 'success');
+        return;
+    }
+    if (await showAppConfirm(`Ai ajuns la ${building.name}. Deschizi planul clădirii?`)) {
+        const floors = window.floorData[building.name].floors || [];
+        const floor = floors.find(f => f.id === 0) || floors[0];
+        openFloorPlanViewer(building.name, floor ? floor.id : 0);
+    }
+}
+
+window.addEventListener(ROUTE_ARRIVED_EVENT, handleRouteArrival);
+
+window.startRouteFollow = startRouteFollow;
+window.updateRouteFollow = updateRouteFollow;
+window.stopRouteFollow = stopRouteFollow;
@@ -6,6 +6,66 @@ const COORD_PRECISION = 6;
 
 const SNAP_TOLERANCE = 0.5;
 
+const EDGE_ATTRIBUTE_KEYS = ['stairs', 'ramp', 'curb', 'surface', 'width'];
+const UNPAVED_SURFACES = ['gravel', 'grass', 'dirt', 'sand', 'cobblestone'];
+const MIN_WHEELCHAIR_WIDTH = 0.9;
+const ROUTING_PROFILE_KEY = 'ettiway.routingProfile';
+
+const ROUTING_PROFILES = {
+    walking: {
+        label: 'Pe jos',
+        speed: 1.3,
+        edgeFactor: () => 1
+    },
+    wheelchair: {
+        label: 'Scaun cu rotile',
+        speed: 1.0,
+        stepFree: true,
+        edgeFactor: attrs => {
+            if (attrs.stairs) return Infinity;
+            if (attrs.curb && !attrs.ramp) return Infinity;
+            if (attrs.width && Number(attrs.width) < MIN_WHEELCHAIR_WIDTH) return Infinity;
+            if (UNPAVED_SURFACES.includes(attrs.surface)) return 3;
+            return 1;
+        }
+    },
+    avoidStairs: {
+        label: 'Evită scările',
+        speed: 1.2,
+        edgeFactor: attrs => {
+            if (attrs.stairs) return 5;
+            if (attrs.curb && !attrs.ramp) return 1.5;
+            return 1;
+        }
+    }
+};
+
+let activeRoutingProfile = ROUTING_PROFILES[localStorage.getItem(ROUTING_PROFILE_KEY)] ? localStorage.getItem(ROUTING_PROFILE_KEY) : 'walking';
+
+function getRoutingProfile() {
+    return activeRoutingProfile;
+}
+
+function setRoutingProfile(profileId) {
+    if (!ROUTING_PROFILES[profileId]) return;
+    activeRoutingProfile = profileId;
+    localStorage.setItem(ROUTING_PROFILE_KEY, profileId);
+}
+
+function getEdgeAttributes(properties) {
+    const attrs = {};
+    if (!properties) return attrs;
+    EDGE_ATTRIBUTE_KEYS.forEach(key => {
+        if (properties[key] !== undefined && properties[key] !== null && properties[key] !== '') attrs[key] = properties[key];
+    });
+    return attrs;
+}
+
+function getProfileEdgeCost(profileId) {
+    const profile = ROUTING_PROFILES[profileId] || ROUTING_PROFILES.walking;
+    return edge => edge.weight * profile.edgeFactor(edge.attrs || {});
+}
+
 function getCoordKey(lat, lng) {
     return `${Number(lat).toFixed(COORD_PRECISION)},${Number(lng).toFixed(COORD_PRECISION)}`;
 }
@@ -15,12 +75,13 @@ function extractSegments(geoJSON) {
     const segments = [];
     if (!geoJSON || !geoJSON.features) return segments;
 
-    function addLine(coords) {
+    function addLine(coords, attrs) {
         
         for (let i = 0; i < coords.length - 1; i++) {
             segments.push({
                 a: { lat: coords[i][1],   lng: coords[i][0] },
-                b: { lat: coords[i+1][1], lng: coords[i+1][0] }
+                b: { lat: coords[i+1][1], lng: coords[i+1][0] },
+                attrs
             });
         }
     }
@@ -28,10 +89,11 @@ function extractSegments(geoJSON) {
     geoJSON.features.forEach(feature => {
         if (!feature.geometry) return;            
         const g = feature.geometry;
+        const attrs = getEdgeAttributes(feature.properties);
         if (g.type === 'LineString') {
-            addLine(g.coordinates);
+            addLine(g.coordinates, attrs);
         } else if (g.type === 'MultiLineString') { 
-            g.coordinates.forEach(line => addLine(line));
+            g.coordinates.forEach(line => addLine(line, attrs));
         }
         
     });
@@ -82,7 +144,7 @@ function splitSegmentsAtIntersections(segments) {
         const all = [seg.a, ...pts, seg.b];
         all.sort((m, n) => dist2(seg.a, m) - dist2(seg.a, n)); 
         for (let k = 0; k < all.length - 1; k++) {
-            result.push({ a: all[k], b: all[k+1] });
+            result.push({ a: all[k], b: all[k+1], attrs: seg.attrs });
         }
     });
     return result;
@@ -92,28 +154,27 @@ function splitSegmentsAtIntersections(segments) {
 function buildGraphFromGeoJSON(geoJSON, { splitIntersections = true } = {}) {
     const graph = {};
     const nodesMap = {};
-    const nodeList = [];
+    const nodeGrid = createSpatialGrid(SNAP_TOLERANCE);
 
     function getOrCreateNode(lat, lng) {
         const ll = L.latLng(lat, lng);
         
-        for (const key of nodeList) {
-            if (ll.distanceTo(nodesMap[key]) <= SNAP_TOLERANCE) return key;
-        }
+        const near = nodeGrid.nearest(ll, SNAP_TOLERANCE);
+        if (near) return near.key;
         const key = getCoordKey(lat, lng);
         if (!graph[key]) {
             graph[key] = [];
             nodesMap[key] = ll;
-            nodeList.push(key);
+            nodeGrid.insert(key, ll);
         }
         return key;
     }
 
-    function addEdge(k1, k2) {
+    function addEdge(k1, k2, attrs) {
         if (k1 === k2) return; 
         const dist = nodesMap[k1].distanceTo(nodesMap[k2]);
-        if (!graph[k1].some(e => e.node === k2)) graph[k1].push({ node: k2, weight: dist });
-        if (!graph[k2].some(e => e.node === k1)) graph[k2].push({ node: k1, weight: dist });
+        if (!graph[k1].some(e => e.node === k2)) graph[k1].push({ node: k2, weight: dist, attrs });
+        if (!graph[k2].some(e => e.node === k1)) graph[k2].push({ node: k1, weight: dist, attrs });
     }
 
     let segments = extractSegments(geoJSON);
@@ -122,7 +183,7 @@ function buildGraphFromGeoJSON(geoJSON, { splitIntersections = true } = {}) {
     segments.forEach(seg => {
         const k1 = getOrCreateNode(seg.a.lat, seg.a.lng);
         const k2 = getOrCreateNode(seg.b.lat, seg.b.lng);
-        addEdge(k1, k2);
+        addEdge(k1, k2, seg.attrs);
     });
 
     return { graph, nodesMap };
@@ -166,10 +227,12 @@ function addTemporaryNode(targetLatLng, graph, nodesMap) {
     if (!near) return null;
     const key = 'tmp:' + getCoordKey(near.snapped.lat, near.snapped.lng);
     if (!graph[key]) { graph[key] = []; nodesMap[key] = near.snapped; }
+    const splitEdge = graph[near.k1].find(e => e.node === near.k2);
+    const attrs = splitEdge ? splitEdge.attrs : undefined;
     [near.k1, near.k2].forEach(endKey => {
         const d = near.snapped.distanceTo(nodesMap[endKey]);
-        if (!graph[key].some(e => e.node === endKey)) graph[key].push({ node: endKey, weight: d });
-        if (!graph[endKey].some(e => e.node === key)) graph[endKey].push({ node: key, weight: d });
+        if (!graph[key].some(e => e.node === endKey)) graph[key].push({ node: endKey, weight: d, attrs });
+        if (!graph[endKey].some(e => e.node === key)) graph[endKey].push({ node: key, weight: d, attrs });
     });
     return key;
 }
@@ -196,35 +259,60 @@ function findNearestNode(targetLatLng, nodesMap) {
 }
 
 
-function runDijkstra(graph, nodesMap, startKey, endKey) {
-    if (!graph[startKey] || !graph[endKey]) return null;
-    const distances = {}, previous = {}, unvisited = new Set();
-    for (const node in graph) {
-        distances[node] = Infinity;
-        previous[node] = null;
-        unvisited.add(node);
-    }
-    distances[startKey] = 0;
-    while (unvisited.size > 0) {
-        let current = null, minD = Infinity;
-        for (const node of unvisited) {
-            if (distances[node] < minD) { minD = distances[node]; current = node; }
-        }
-        if (current === null || current === endKey) break;
-        unvisited.delete(current);
-        for (const neighbor of graph[current]) {
-            if (!unvisited.has(neighbor.node)) continue;
-            const alt = distances[current] + neighbor.weight;
-            if (alt < distances[neighbor.node]) {
-                distances[neighbor.node] = alt;
-                previous[neighbor.node] = current;
+function runDijkstra(graph, nodesMap, startKey, endKey, profileId = getRoutingProfile()) {
+    const result = findShortestPath(graph, nodesMap, startKey, endKey, {
+        heuristic: haversineDistance,
+        edgeCost: getProfileEdgeCost(profileId)
+    });
+    if (!result) return null;
+    return result.keys.map(key => nodesMap[key]);
+}
+
+
+function createRoutingEngine() {
+    let graph = null;
+    let nodesMap = null;
+
+    return {
+        build(geoJSON) {
+            const built = buildGraphFromGeoJSON(geoJSON);
+            graph = built.graph;
+            nodesMap = built.nodesMap;
+            console.log(`Routing engine: graf construit cu ${Object.keys(nodesMap).length} noduri.`);
+        },
+        reset() {
+            graph = null;
+            nodesMap = null;
+        },
+        isReady() {
+            return graph !== null;
+        },
+        getGraph() {
+            return { graph, nodesMap };
+        },
+        route(startLatLng, endLatLng, profileId = getRoutingProfile()) {
+            if (!graph || Object.keys(nodesMap).length === 0) {
+                return { error: 'Eroare: Graful este gol. Te rog să desenezi manual segmente (Linii / Puncte) și să-l salvezi/încarci.' };
+            }
+            const endKey = findNearestNode(endLatLng, nodesMap);
+            if (!endKey) {
+                return { error: 'Nu s-au putut găsi noduri în interiorul grafului pentru destinație.' };
             }
+            const startKey = addTemporaryNode(startLatLng, graph, nodesMap);
+            const pathCoords = startKey ? runDijkstra(graph, nodesMap, startKey, endKey, profileId) : null;
+            removeTemporaryNodes(graph, nodesMap);
+
+            if (!pathCoords || pathCoords.length === 0) {
+                return { path: null, distance: Infinity };
+            }
+            if (startLatLng.distanceTo(pathCoords[0]) > 0) pathCoords.unshift(startLatLng);
+            const distance = pathCoords.reduce((acc, curr, idx) => {
+                if (idx === 0) return acc;
+                return acc + pathCoords[idx - 1].distanceTo(curr);
+            }, 0);
+            return { path: pathCoords, distance };
         }
-    }
-    if (distances[endKey] === Infinity) return null; 
-    const path = [];
-    let curr = endKey;
-    while (curr) { path.unshift(nodesMap[curr]); curr = previous[curr]; }
-    return path;
+    };
 }
 
+window.routingEngine = createRoutingEngine();
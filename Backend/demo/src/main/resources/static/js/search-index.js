@@ -0,0 +1,235 @@
+const SEARCH_MAX_SUGGESTIONS = 8;
+const SEARCH_MIN_SCORE = 0.5;
+const SEARCH_KIND_WEIGHTS = { building: 0.15, room: 0.1, entrance: 0.05, marker: 0 };
+const SEARCH_KIND_LABELS = { building: 'Clădire', room: 'Cameră', entrance: 'Intrare', marker: 'Punct' };
+const SEARCH_MARKER_LABELS = { '1': 'Intrare cameră', '2': 'Intersecție', '3': 'Scări', '4': 'Lift' };
+
+let searchIndex = [];
+let searchIndexSources = { campusData: null, floorData: null, featureCount: -1 };
+
+/**
+ * Lowercases and strips diacritics/punctuation, so "Cantină" and "cantina" compare equal.
+ * Handles both the comma (ș, ț) and cedilla (ş, ţ) forms.
+ */
+function foldSearchText(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+function createSearchEntry(kind, label, context, payload) {
+    const text = foldSearchText(label);
+    return { kind, label: String(label).trim(), context, payload, text, compact: text.replace(/ /g, ''), tokens: text.split(' ').filter(Boolean) };
+}
+
+function countFloorFeatures(floorData) {
+    let count = 0;
+    Object.keys(floorData || {}).forEach(name => {
+        ((floorData[name] && floorData[name].floors) || []).forEach(f => {
+            count += (f.geoJson && f.geoJson.features) ? f.geoJson.features.length : 0;
+        });
+    });
+    return count;
+}
+
+function buildSearchIndex(campusData, floorData) {
+    const entries = [];
+    ((campusData && campusData.buildings) || []).forEach(building => {
+        if (!building.name) return;
+        entries.push(createSearchEntry('building', building.name, building.description || '', { building }));
+    });
+    ((campusData && campusData.entrances) || []).forEach(ent => {
+        const name = ent.name || ent.id;
+        if (!name || !ent.coordinates) return;
+        entries.push(createSearchEntry('entrance', name, 'Intrare campus', { entrance: ent }));
+    });
+    Object.keys(floorData || {}).forEach(buildingName => {
+        const bData = floorData[buildingName];
+        if (!bData || !bData.floors) return;
+        bData.floors.forEach(floorObj => {
+            ((floorObj.geoJson && floorObj.geoJson.features) || []).forEach(feature => {
+                const props = feature.properties;
+                if (!props || !props.name || !feature.geometry) return;
+                const isMarker = !!props.markerType;
+                const floorLabel = floorObj.label || `Etaj ${floorObj.id}`;
+                const context = `${buildingName.trim()} · ${floorLabel}${isMarker ? ` · ${SEARCH_MARKER_LABELS[props.markerType] || ''}` : ''}`;
+                const payload = { room: { buildingName, floorIndex: floorObj.id, roomName: props.name } };
+                entries.push(createSearchEntry(isMarker ? 'marker' : 'room', props.name, context, payload));
+                // Imported rooms are also known by their plan code ("034" for "Sala de calculatoare").
+                if (props.code && foldSearchText(props.code) !== foldSearchText(props.name)) {
+                    entries.push(createSearchEntry('room', props.code, `${props.name.trim()} · ${context}`, payload));
+                }
+            });
+        });
+    });
+    return entries;
+}
+
+function getSearchIndex() {
+    const featureCount = countFloorFeatures(window.floorData);
+    if (searchIndexSources.campusData !== window.campusData || searchIndexSources.floorData !== window.floorData || searchIndexSources.featureCount !== featureCount) {
+        searchIndex = buildSearchIndex(window.campusData, window.floorData);
+        searchIndexSources = { campusData: window.campusData, floorData: window.floorData, featureCount };
+    }
+    return searchIndex;
+}
+
+/** Damerau-Levenshtein (optimal string alignment) distance, stopping early once it exceeds maxDistance. */
+function editDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const curr = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+            if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                curr[j] = Math.min(curr[j], prevPrev[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, curr[j]);
+        }
+        if (rowMin > maxDistance) return maxDistance + 1;
+        prevPrev = prev;
+        prev = curr;
+    }
+    return prev[b.length];
+}
+
+function scoreSearchToken(queryToken, entryTokens) {
+    const maxTypos = queryToken.length >= 7 ? 2 : queryToken.length >= 4 ? 1 : 0;
+    let best = 0;
+    entryTokens.forEach(token => {
+        let score = 0;
+        if (token === queryToken) score = 1;
+        else if (token.startsWith(queryToken)) score = 0.9;
+        else if (token.includes(queryToken)) score = 0.7;
+        else if (maxTypos > 0) {
+            // Compare against the token's prefix too, so typos work while the word is still being typed.
+            const candidate = token.length > queryToken.length ? token.slice(0, queryToken.length) : token;
+            const d = Math.min(editDistance(queryToken, token, maxTypos), editDistance(queryToken, candidate, maxTypos));
+            if (d <= maxTypos) score = 0.75 - 0.15 * d;
+        }
+        best = Math.max(best, score);
+    });
+    return best;
+}
+
+function scoreSearchEntry(query, entry) {
+    const compactQuery = query.replace(/ /g, '');
+    let compactScore = 0;
+    if (entry.compact === compactQuery) compactScore = 1.2;
+    else if (entry.compact.startsWith(compactQuery)) compactScore = 1;
+    else if (compactQuery.length >= 3 && entry.compact.includes(compactQuery)) compactScore = 0.8;
+
+    const tokens = query.split(' ');
+    let tokenScore = 0;
+    for (const token of tokens) {
+        const s = scoreSearchToken(token, entry.tokens);
+        if (s === 0) { tokenScore = 0; break; }
+        tokenScore += s / tokens.length;
+    }
+    return Math.max(compactScore, tokenScore);
+}
+
+/**
+ * Ranked search over buildings, campus entrances and named indoor features.
+ * @param {string} query - raw user input
+ * @param {Object} [options] - { kinds: string[], limit: number }
+ * @returns {Array<{kind: string, label: string, context: string, payload: Object, score: number}>}
+ */
+function searchCampus(query, options = {}) {
+    const folded = foldSearchText(query);
+    if (!folded) return [];
+    const kinds = options.kinds || null;
+    const results = [];
+    getSearchIndex().forEach(entry => {
+        if (kinds && !kinds.includes(entry.kind)) return;
+        const score = scoreSearchEntry(folded, entry);
+        if (score < SEARCH_MIN_SCORE) return;
+        results.push(Object.assign({}, entry, { score: score + SEARCH_KIND_WEIGHTS[entry.kind] }));
+    });
+    results.sort((a, b) => b.score - a.score || a.label.length - b.label.length || a.label.localeCompare(b.label));
+    return results.slice(0, options.limit || SEARCH_MAX_SUGGESTIONS);
+}
+
+/**
+ * Live suggestion dropdown under a search input.
+ * @param {HTMLInputElement} input
+ * @param {Function} onSelect - called with the chosen result
+ */
+function attachSearchAutocomplete(input, onSelect) {
+    if (!input) return;
+    const list = document.createElement('ul');
+    list.className = 'search-suggestions';
+    list.setAttribute('role', 'listbox');
+    input.setAttribute('autocomplete', 'off');
+    input.parentNode.insertBefore(list, input.nextSibling);
+    let results = [];
+    let activeIndex = -1;
+
+    function close() {
+        list.style.display = 'none';
+        results = [];
+        activeIndex = -1;
+    }
+
+    function render() {
+        if (results.length === 0) {
+            close();
+            return;
+        }
+        list.innerHTML = results.map((r, i) => `
+            <li class="search-suggestion${i === activeIndex ? ' active' : ''}" data-index="${i}" role="option">
+                <span class="search-suggestion-kind search-kind-${r.kind}">${SEARCH_KIND_LABELS[r.kind]}</span>
+                <span class="search-suggestion-label">${escapeHtml(r.label)}</span>
+                ${r.context ? `<span class="search-suggestion-context">${escapeHtml(r.context)}</span>` : ''}
+            </li>
+        `).join('');
+        list.style.display = 'block';
+    }
+
+    function pick(index) {
+        const result = results[index];
+        if (!result) return;
+        close();
+        input.value = '';
+        onSelect(result);
+    }
+
+    input.addEventListener('input', () => {
+        results = searchCampus(input.value);
+        activeIndex = -1;
+        render();
+    });
+    input.addEventListener('keydown', (e) => {
+        if (list.style.display !== 'block') return;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            activeIndex = (activeIndex + step + results.length) % results.length;
+            render();
+        } else if (e.key === 'Enter' && activeIndex >= 0) {
+            e.preventDefault();
+            pick(activeIndex);
+        } else if (e.key === 'Escape') {
+            close();
+        }
+    });
+    input.addEventListener('blur', () => setTimeout(close, 150));
+    // mousedown instead of click: keeps focus in the input, so no 'change' fires for the half-typed text
+    list.addEventListener('mousedown', (e) => {
+        const item = e.target.closest('.search-suggestion');
+        if (!item) return;
+        e.preventDefault();
+        pick(Number(item.dataset.index));
+    });
+    close();
+}
+
+window.searchCampus = searchCampus;
+window.foldSearchText = foldSearchText;
@@ -0,0 +1,530 @@
+const TIMETABLE_STORAGE_KEY = 'ettiway.timetable';
+const TIMETABLE_GROUP_KEY = 'ettiway.timetableGroup';
+const TIMETABLE_DEFAULT_DURATION = 2 * 60 * 60 * 1000;
+const TIMETABLE_MAX_RULE_DAYS = 3660;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Weekly CSV rows have no dates; they repeat every week starting from this Monday.
+const TIMETABLE_CSV_ANCHOR = new Date(2024, 0, 1);
+const TIMETABLE_DAY_NAMES = {
+    duminica: 0, luni: 1, marti: 2, miercuri: 3, joi: 4, vineri: 5, sambata: 6,
+    sunday: 0, monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6,
+    du: 0, lu: 1, ma: 2, mi: 3, jo: 4, vi: 5, sa: 6,
+    sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6
+};
+const ICS_WEEKDAYS = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+const TIMETABLE_CSV_COLUMNS = {
+    group: ['grupa', 'group', 'grupe', 'seria'],
+    day: ['zi', 'ziua', 'day'],
+    hour: ['ora', 'orele', 'interval', 'hour', 'time', 'start'],
+    end: ['sfarsit', 'end', 'pana la'],
+    room: ['sala', 'room', 'camera', 'locatie', 'location'],
+    subject: ['materie', 'disciplina', 'subject', 'curs', 'course', 'activitate']
+};
+
+const TIMETABLE_DAY_LABELS = ['Dum', 'Lun', 'Mar', 'Mie', 'Joi', 'Vin', 'Sâm'];
+
+let timetableRenderTimer = null;
+let timetableRoomCache = { index: null, rooms: new Map() };
+
+function loadTimetable() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(TIMETABLE_STORAGE_KEY));
+        if (stored && Array.isArray(stored.events)) return stored;
+    } catch (e) {
+        console.warn('Orar salvat invalid, este ignorat:', e);
+    }
+    return { events: [], importedAt: null };
+}
+
+function saveTimetable(timetable) {
+    localStorage.setItem(TIMETABLE_STORAGE_KEY, JSON.stringify(timetable));
+}
+
+function getTimetableGroups(timetable = loadTimetable()) {
+    return [...new Set(timetable.events.map(e => e.group))].sort((a, b) => a.localeCompare(b, 'ro', { numeric: true }));
+}
+
+function getSelectedTimetableGroup() {
+    const groups = getTimetableGroups();
+    const stored = localStorage.getItem(TIMETABLE_GROUP_KEY);
+    return groups.includes(stored) ? stored : (groups[0] || null);
+}
+
+/** Days since epoch of a local calendar date, so DST changes don't shift day arithmetic. */
+function getLocalDayNumber(date) {
+    return Math.floor(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY_MS);
+}
+
+function parseIcsDate(value) {
+    const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+    if (!m) return null;
+    const [, y, mo, d, h, mi, s, utc] = m;
+    if (h === undefined) return { date: new Date(+y, mo - 1, +d), allDay: true };
+    const date = utc
+        ? new Date(Date.UTC(+y, mo - 1, +d, +h, +mi, +(s || 0)))
+        : new Date(+y, mo - 1, +d, +h, +mi, +(s || 0));
+    return { date, allDay: false };
+}
+
+function unescapeIcsText(value) {
+    return value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+}
+
+function parseIcsRule(value) {
+    const parts = {};
+    value.split(';').forEach(pair => {
+        const [key, val] = pair.split('=');
+        if (key && val) parts[key.toUpperCase()] = val;
+    });
+    if (parts.FREQ !== 'WEEKLY' && parts.FREQ !== 'DAILY') return null;
+    const until = parts.UNTIL ? parseIcsDate(parts.UNTIL) : null;
+    // A date-only UNTIL includes that whole day.
+    if (until && until.allDay) until.date = new Date(until.date.getTime() + DAY_MS - 1);
+    return {
+        freq: parts.FREQ,
+        interval: Math.max(1, parseInt(parts.INTERVAL, 10) || 1),
+        until: until ? until.date.toISOString() : null,
+        count: parseInt(parts.COUNT, 10) || null,
+        byDay: parts.BYDAY ? parts.BYDAY.split(',').map(d => ICS_WEEKDAYS[d.slice(-2)]).filter(d => d !== undefined) : null
+    };
+}
+
+/**
+ * Parses the VEVENTs of an iCalendar file. Weekly and daily RRULEs are kept as rules,
+ * all-day events are skipped (they are not classes).
+ * @param {string} text
+ * @param {string} fallbackGroup - used when an event has no CATEGORIES and the calendar no X-WR-CALNAME
+ */
+function parseIcsTimetable(text, fallbackGroup) {
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const events = [];
+    let calendarName = null;
+    let current = null;
+    lines.forEach(line => {
+        const colon = line.indexOf(':');
+        if (colon < 0) return;
+        const name = line.slice(0, colon).split(';')[0].toUpperCase();
+        const value = line.slice(colon + 1);
+        if (name === 'BEGIN' && value === 'VEVENT') {
+            current = { exdates: [] };
+        } else if (name === 'END' && value === 'VEVENT') {
+            if (current && current.start && !current.allDay) events.push(current);
+            current = null;
+        } else if (!current) {
+            if (name === 'X-WR-CALNAME') calendarName = unescapeIcsText(value);
+        } else if (name === 'DTSTART') {
+            const parsed = parseIcsDate(value);
+            if (parsed) {
+                current.start = parsed.date;
+                current.allDay = parsed.allDay;
+            }
+        } else if (name === 'DTEND') {
+            const parsed = parseIcsDate(value);
+            if (parsed) current.end = parsed.date;
+        } else if (name === 'SUMMARY') {
+            current.subject = unescapeIcsText(value);
+        } else if (name === 'LOCATION') {
+            current.room = unescapeIcsText(value);
+        } else if (name === 'CATEGORIES') {
+            current.group = unescapeIcsText(value.split(',')[0]);
+        } else if (name === 'RRULE') {
+            current.rrule = parseIcsRule(value);
+        } else if (name === 'EXDATE') {
+            value.split(',').map(parseIcsDate).filter(Boolean).forEach(p => current.exdates.push(getLocalDayNumber(p.date)));
+        }
+    });
+    return events.map(e => normalizeTimetableEvent({
+        group: e.group || calendarName || fallbackGroup,
+        subject: e.subject || '',
+        room: e.room || '',
+        start: e.start,
+        end: e.end || new Date(e.start.getTime() + TIMETABLE_DEFAULT_DURATION),
+        rrule: e.rrule || null,
+        exdates: e.exdates
+    }));
+}
+
+function splitCsvLine(line, delimiter) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else cell += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+}
+
+function parseTimetableDay(value) {
+    const folded = foldSearchText(value);
+    if (/^[1-7]$/.test(folded)) return Number(folded) % 7;
+    if (folded in TIMETABLE_DAY_NAMES) return TIMETABLE_DAY_NAMES[folded];
+    // Abbreviations: "Mar", "Mie.", "Sâmb", "Thu"
+    const prefix = [folded.slice(0, 3), folded.slice(0, 2)].find(p => p in TIMETABLE_DAY_NAMES);
+    return prefix !== undefined ? TIMETABLE_DAY_NAMES[prefix] : null;
+}
+
+/** "8-10", "08:00 - 09:50", "14.30" -> [[h, m], [h, m] | null] */
+function parseTimetableHours(value) {
+    const times = [...String(value || '').matchAll(/(\d{1,2})(?:[:.](\d{2}))?/g)]
+        .map(m => [Number(m[1]), Number(m[2] || 0)])
+        .filter(([h, m]) => h < 24 && m < 60);
+    return times.length > 0 ? [times[0], times[1] || null] : null;
+}
+
+/**
+ * Parses a weekly timetable CSV. With a header row columns are matched by name
+ * (grupa/zi/ora/sala/materie or English), otherwise the order is group, day, hour, room, subject.
+ * @returns {{events: Array, skipped: number}}
+ */
+function parseCsvTimetable(text) {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(l => l.trim() !== '');
+    if (lines.length === 0) return { events: [], skipped: 0 };
+    const delimiter = [';', '\t', ','].reduce((best, d) => lines[0].split(d).length > lines[0].split(best).length ? d : best, ',');
+    let columns = { group: 0, day: 1, hour: 2, end: -1, room: 3, subject: 4 };
+    const header = splitCsvLine(lines[0], delimiter).map(foldSearchText);
+    const hasHeader = header.some(h => Object.values(TIMETABLE_CSV_COLUMNS).some(names => names.includes(h)));
+    if (hasHeader) {
+        columns = {};
+        Object.keys(TIMETABLE_CSV_COLUMNS).forEach(key => {
+            columns[key] = header.findIndex(h => TIMETABLE_CSV_COLUMNS[key].includes(h));
+        });
+        lines.shift();
+    }
+
+    const events = [];
+    let skipped = 0;
+    lines.forEach(line => {
+        const cells = splitCsvLine(line, delimiter);
+        const cell = key => (columns[key] >= 0 ? cells[columns[key]] || '' : '');
+        const day = parseTimetableDay(cell('day'));
+        const hours = parseTimetableHours(cell('hour'));
+        if (day === null || !hours || !cell('group') || !cell('room')) {
+            skipped++;
+            return;
+        }
+        const endHours = parseTimetableHours(cell('end'));
+        const start = new Date(TIMETABLE_CSV_ANCHOR);
+        start.setDate(start.getDate() + ((day - start.getDay() + 7) % 7));
+        start.setHours(hours[0][0], hours[0][1], 0, 0);
+        const endTime = (endHours && endHours[0]) || hours[1];
+        const end = new Date(start);
+        if (endTime) end.setHours(endTime[0], endTime[1], 0, 0);
+        else end.setTime(start.getTime() + TIMETABLE_DEFAULT_DURATION);
+        events.push(normalizeTimetableEvent({
+            group: cell('group'),
+            subject: cell('subject'),
+            room: cell('room'),
+            start,
+            end: end > start ? end : new Date(start.getTime() + TIMETABLE_DEFAULT_DURATION),
+            rrule: { freq: 'WEEKLY', interval: 1, until: null, count: null, byDay: [day] },
+            exdates: []
+        }));
+    });
+    return { events, skipped };
+}
+
+function ruleMatchesDay(event, dayNumber, startDay) {
+    const rule = event.rrule;
+    const weekday = (dayNumber + 4) % 7;
+    if (rule.freq === 'DAILY') return (dayNumber - startDay) % rule.interval === 0;
+    const byDay = rule.byDay && rule.byDay.length > 0 ? rule.byDay : [(startDay + 4) % 7];
+    if (!byDay.includes(weekday)) return false;
+    // Weeks counted Monday to Sunday, as university timetables are.
+    const weekOf = day => Math.floor((day - ((day + 3) % 7)) / 7);
+    return (weekOf(dayNumber) - weekOf(startDay)) % rule.interval === 0;
+}
+
+/** Stores dates as ISO strings and turns COUNT into UNTIL, so expansion never has to count from the start. */
+function normalizeTimetableEvent(event) {
+    const normalized = Object.assign({}, event, { start: event.start.toISOString(), end: event.end.toISOString() });
+    const rule = event.rrule;
+    if (rule && rule.count && !rule.until) {
+        const startDay = getLocalDayNumber(event.start);
+        let found = 0;
+        for (let day = startDay; day < startDay + TIMETABLE_MAX_RULE_DAYS && found < rule.count; day++) {
+            if (!ruleMatchesDay(event, day, startDay)) continue;
+            found++;
+            if (found === rule.count) {
+                const last = new Date(event.start);
+                last.setDate(last.getDate() + (day - startDay));
+                normalized.rrule = Object.assign({}, rule, { until: last.toISOString(), count: null });
+            }
+        }
+    }
+    return normalized;
+}
+
+/**
+ * Concrete class occurrences between two dates.
+ * @param {Date} from
+ * @param {Date} to
+ * @param {Object} [filter] - { group: string, room: {buildingName, roomName} } (room matched through resolveTimetableRoom)
+ * @returns {Array<{group: string, subject: string, room: string, start: Date, end: Date}>} sorted by start
+ */
+function getTimetableOccurrences(from, to, filter = {}) {
+    const occurrences = [];
+    const roomKey = filter.room ? getTimetableRoomKey(filter.room) : null;
+    loadTimetable().events.forEach(event => {
+        if (filter.group && event.group !== filter.group) return;
+        if (roomKey && getTimetableRoomKey(resolveTimetableRoomCached(event.room)) !== roomKey) return;
+        const start = new Date(event.start);
+        const duration = new Date(event.end) - start;
+        const push = (s) => {
+            const end = new Date(s.getTime() + duration);
+            if (end > from && s < to) occurrences.push({ group: event.group, subject: event.subject, room: event.room, start: s, end });
+        };
+        if (!event.rrule) {
+            push(start);
+            return;
+        }
+        const startDay = getLocalDayNumber(start);
+        const until = event.rrule.until ? new Date(event.rrule.until) : null;
+        const firstDay = Math.max(startDay, getLocalDayNumber(new Date(from.getTime() - duration)));
+        const lastDay = Math.min(getLocalDayNumber(to), startDay + TIMETABLE_MAX_RULE_DAYS);
+        for (let day = firstDay; day <= lastDay; day++) {
+            if (!ruleMatchesDay(event, day, startDay) || (event.exdates || []).includes(day)) continue;
+            const s = new Date(start);
+            s.setDate(s.getDate() + (day - startDay));
+            if (until && s > until) break;
+            push(s);
+        }
+    });
+    return occurrences.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Matches a timetable location ("A101", "Sala A 101, Corp A") to a named feature in floorData.
+ * @returns {{buildingName: string, floorIndex: number, roomName: string}|null}
+ */
+function resolveTimetableRoom(location) {
+    if (!location) return null;
+    const candidates = [location].concat(location.split(/[,;()/]| - /)).map(c => foldSearchText(c)).filter(Boolean);
+    const entries = getSearchIndex().filter(e => e.kind === 'room' || e.kind === 'marker');
+    for (const candidate of candidates) {
+        const compact = candidate.replace(/ /g, '');
+        const hit = entries.find(e => e.kind === 'room' && (e.text === candidate || e.compact === compact))
+            || entries.find(e => e.text === candidate || e.compact === compact)
+            || entries.find(e => e.kind === 'room' && compact.endsWith(e.compact) && candidate.split(' ').length > 1 && e.compact.length >= 3);
+        if (hit) return hit.payload.room;
+    }
+    return null;
+}
+
+function resolveTimetableRoomCached(location) {
+    const index = getSearchIndex();
+    if (timetableRoomCache.index !== index) timetableRoomCache = { index, rooms: new Map() };
+    if (!timetableRoomCache.rooms.has(location)) timetableRoomCache.rooms.set(location, resolveTimetableRoom(location));
+    return timetableRoomCache.rooms.get(location);
+}
+
+function getTimetableRoomKey(room) {
+    return room ? `${room.buildingName}|${foldSearchText(room.roomName)}` : null;
+}
+
+/**
+ * Current booking of every room of a building that appears in the imported timetable.
+ * Rooms the timetable never mentions are left out: nothing is known about them.
+ * @returns {Map<string, Object|null>} room name (folded) -> current occurrence, or null when free
+ */
+function getRoomOccupancy(buildingName, at = new Date()) {
+    const occupancy = new Map();
+    loadTimetable().events.forEach(event => {
+        const room = resolveTimetableRoomCached(event.room);
+        if (room && room.buildingName === buildingName) occupancy.set(foldSearchText(room.roomName), null);
+    });
+    getTimetableOccurrences(at, new Date(at.getTime() + 1)).forEach(o => {
+        const room = resolveTimetableRoomCached(o.room);
+        if (room && room.buildingName === buildingName) occupancy.set(foldSearchText(room.roomName), o);
+    });
+    return occupancy;
+}
+
+function hasTimetable() {
+    return loadTimetable().events.length > 0;
+}
+
+/** Same class booked for several groups (a lecture for a whole series) is listed once. */
+function mergeRoomBookings(occurrences) {
+    const merged = [];
+    occurrences.forEach(o => {
+        const same = merged.find(m => m.start.getTime() === o.start.getTime() && m.end.getTime() === o.end.getTime() && m.subject === o.subject);
+        if (same) same.groups.push(o.group);
+        else merged.push(Object.assign({}, o, { groups: [o.group] }));
+    });
+    return merged;
+}
+
+/**
+ * Week view of a room's bookings, with buttons to move between weeks.
+ * @param {HTMLElement} container
+ * @param {{buildingName: string, roomName: string}} room
+ * @param {number} [weekOffset] - 0 for the current week
+ * @param {Function} [onRender] - called after every render, e.g. to resize a popup
+ */
+function renderRoomWeek(container, room, weekOffset = 0, onRender = null) {
+    const now = new Date();
+    const monday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - ((now.getDay() + 6) % 7) + weekOffset * 7);
+    const days = Array.from({ length: 7 }, (_, i) => new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + i));
+    const weekEnd = new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + 7);
+    const bookings = mergeRoomBookings(getTimetableOccurrences(monday, weekEnd, { room }));
+    const current = getTimetableOccurrences(now, new Date(now.getTime() + 1), { room })[0];
+    const formatDay = date => date.toLocaleDateString('ro-RO', { day: '2-digit', month: '2-digit' });
+
+    container.innerHTML = `
+        <div class="room-week">
+            <div class="room-week-status ${current ? 'busy' : 'free'}">
+                ${current ? `Ocupată acum: ${escapeHtml(current.subject || 'oră')} până la ${formatTimetableTime(current.end)}` : 'Liberă acum'}
+            </div>
+            <div class="room-week-header">
+                <button type="button" class="room-week-step" data-step="-1" title="Săptămâna anterioară">‹</button>
+                <span>${formatDay(days[0])} – ${formatDay(days[6])}</span>
+                <button type="button" class="room-week-step" data-step="1" title="Săptămâna următoare">›</button>
+            </div>
+            ${days.map(day => {
+                const dayBookings = bookings.filter(b => getLocalDayNumber(b.start) === getLocalDayNumber(day));
+                if (dayBookings.length === 0 && (day.getDay() === 0 || day.getDay() === 6)) return '';
+                return `
+                    <div class="room-week-day${getLocalDayNumber(day) === getLocalDayNumber(now) ? ' today' : ''}">
+                        <span class="room-week-dayname">${TIMETABLE_DAY_LABELS[day.getDay()]} ${formatDay(day)}</span>
+                        ${dayBookings.length === 0 ? '<span class="room-week-free">liberă</span>' : `<ul>${dayBookings.map(b => `
+                            <li>${formatTimetableTime(b.start)}–${formatTimetableTime(b.end)} ${escapeHtml(b.subject || 'Oră')} <span class="room-week-groups">${escapeHtml(b.groups.join(', '))}</span></li>
+                        `).join('')}</ul>`}
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+    container.querySelectorAll('.room-week-step').forEach(btn => {
+        btn.onclick = (e) => {
+            e.stopPropagation();
+            renderRoomWeek(container, room, weekOffset + Number(btn.dataset.step), onRender);
+        };
+    });
+    if (onRender) onRender();
+}
+
+function formatTimetableTime(date) {
+    return date.toLocaleTimeString('ro-RO', { hour: '2-digit', minute: '2-digit' });
+}
+
+async function importTimetableFile(file) {
+    const text = await file.text();
+    const baseName = file.name.replace(/\.[^.]+$/, '');
+    let events, skipped = 0;
+    if (/\.ics$/i.test(file.name) || /BEGIN:VCALENDAR/.test(text)) {
+        events = parseIcsTimetable(text, baseName);
+    } else {
+        ({ events, skipped } = parseCsvTimetable(text));
+    }
+    if (events.length === 0) {
+        showToast('Fișierul nu conține ore recunoscute.', 'error');
+        return;
+    }
+    // Importing one group's file keeps the other groups already imported.
+    const groups = new Set(events.map(e => e.group));
+    const timetable = loadTimetable();
+    timetable.events = timetable.events.filter(e => !groups.has(e.group)).concat(events);
+    timetable.importedAt = new Date().toISOString();
+    saveTimetable(timetable);
+    if (groups.size === 1) localStorage.setItem(TIMETABLE_GROUP_KEY, [...groups][0]);
+
+    const unresolved = new Set(events.filter(e => !resolveTimetableRoom(e.room)).map(e => e.room));
+    let message = `Orar importat: ${events.length} ore, ${groups.size} ${groups.size === 1 ? 'grupă' : 'grupe'}.`;
+    if (skipped > 0) message += ` ${skipped} rânduri ignorate.`;
+    if (unresolved.size > 0) message += ` Săli negăsite pe hartă: ${[...unresolved].slice(0, 5).join(', ')}${unresolved.size > 5 ? '…' : ''}.`;
+    showToast(message, unresolved.size > 0 || skipped > 0 ? 'info' : 'success');
+    renderTimetable();
+}
+
+function clearTimetable() {
+    localStorage.removeItem(TIMETABLE_STORAGE_KEY);
+    localStorage.removeItem(TIMETABLE_GROUP_KEY);
+    renderTimetable();
+}
+
+function renderTimetable() {
+    const list = document.getElementById('timetable-list');
+    const groupSelect = document.getElementById('timetable-group');
+    if (!list || !groupSelect) return;
+    const groups = getTimetableGroups();
+    const group = getSelectedTimetableGroup();
+    groupSelect.innerHTML = groups.map(g => `<option value="${escapeHtml(g)}"${g === group ? ' selected' : ''}>${escapeHtml(g)}</option>`).join('');
+    groupSelect.style.display = groups.length > 0 ? '' : 'none';
+    document.getElementById('timetable-clear').style.display = groups.length > 0 ? '' : 'none';
+
+    if (!group) {
+        list.innerHTML = '<li class="info-text">Importă orarul (.ics sau .csv) ca să vezi unde ai următoarea oră.</li>';
+        return;
+    }
+    const now = new Date();
+    const dayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const classes = getTimetableOccurrences(dayStart, new Date(dayStart.getTime() + DAY_MS), { group });
+    if (classes.length === 0) {
+        list.innerHTML = '<li class="info-text">Nicio oră azi.</li>';
+        return;
+    }
+    const nextIndex = classes.findIndex(c => c.end > now);
+    list.innerHTML = classes.map((c, index) => {
+        const room = resolveTimetableRoom(c.room);
+        const state = c.end <= now ? 'done' : c.start <= now ? 'current' : index === nextIndex ? 'next' : '';
+        return `
+            <li class="timetable-item ${state}">
+                <span class="timetable-time">${formatTimetableTime(c.start)}–${formatTimetableTime(c.end)}</span>
+                <span class="timetable-subject">${escapeHtml(c.subject || 'Oră')}</span>
+                <span class="timetable-room">${escapeHtml(c.room)}${room
+                    ? ` · ${escapeHtml(room.buildingName)}, ${escapeHtml(getIndoorFloorLabel(room.buildingName, room.floorIndex))}`
+                    : ' · sală negăsită pe hartă'}</span>
+                ${room && state !== 'done' ? `<button type="button" class="runtime-btn timetable-nav" data-index="${index}">Navighează</button>` : ''}
+            </li>
+        `;
+    }).join('');
+    list.querySelectorAll('.timetable-nav').forEach(btn => {
+        btn.onclick = () => navigateToRoom(resolveTimetableRoom(classes[Number(btn.dataset.index)].room));
+    });
+}
+
+function initTimetable() {
+    const fileInput = document.getElementById('timetable-file-input');
+    if (!fileInput) return;
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+        try {
+            await importTimetableFile(file);
+        } catch (e) {
+            console.error('Eroare la importul orarului:', e);
+            showToast('Orarul nu a putut fi importat.', 'error');
+        }
+    });
+    document.getElementById('timetable-group').addEventListener('change', (e) => {
+        localStorage.setItem(TIMETABLE_GROUP_KEY, e.target.value);
+        renderTimetable();
+    });
+    document.getElementById('timetable-clear').addEventListener('click', async () => {
+        if (await showAppConfirm('Ștergi orarul importat?')) clearTimetable();
+    });
+    renderTimetable();
+    // Room names resolve only once the floor plans are loaded.
+    Promise.resolve(window.indoorDataReady).then(renderTimetable);
+    if (!timetableRenderTimer) timetableRenderTimer = setInterval(renderTimetable, 60 * 1000);
+}
+
+document.addEventListener('DOMContentLoaded', initTimetable);
+
+window.getTimetableOccurrences = getTimetableOccurrences;
+window.resolveTimetableRoom = resolveTimetableRoom;
+window.getRoomOccupancy = getRoomOccupancy;
@@ -0,0 +1,312 @@
+const TRACE_REPLAY_WATCH_ID = 'trace_replay';
+const TRACE_REPLAY_SPEEDS = [1, 2, 5, 10];
+const TRACE_HEADING_MIN_CHANGE = 2;
+const TRACE_HEADING_MIN_INTERVAL = 250;
+const TRACE_GPX_NS = 'urn:ettiway:trace';
+const TRACE_DEFAULT_ACCURACY = 10;
+
+let traceRecording = null;
+let lastTrace = null;
+let traceReplay = null;
+let traceReplaySpeed = 1;
+
+/**
+ * Trace format (JSON export): positions and compass headings with t in ms since startedAt.
+ * {version, name, startedAt, positions: [{t, lat, lng, accuracy, altitude?, speed?, course?}], headings: [{t, heading}]}
+ */
+function createTrace(name) {
+    return { version: 1, name, startedAt: new Date().toISOString(), positions: [], headings: [] };
+}
+
+function isTraceRecording() {
+    return !!traceRecording;
+}
+
+function startTraceRecording() {
+    traceRecording = createTrace(`ETTIway ${new Date().toLocaleString('ro-RO')}`);
+    traceRecording.startTime = Date.now();
+    renderTracePanel();
+}
+
+function stopTraceRecording() {
+    if (!traceRecording) return null;
+    const trace = traceRecording;
+    delete trace.startTime;
+    traceRecording = null;
+    if (trace.positions.length > 0) lastTrace = trace;
+    showToast(trace.positions.length > 0
+        ? `Traseu înregistrat: ${trace.positions.length} poziții, ${trace.headings.length} orientări.`
+        : 'Nicio poziție înregistrată. Pornește "Find Me" în timpul înregistrării.', trace.positions.length > 0 ? 'success' : 'warning');
+    renderTracePanel();
+    return trace;
+}
+
+/** Called by handlePositionUpdate with the raw fix, before any filtering. */
+function recordTracePosition(position) {
+    if (!traceRecording || traceReplay) return;
+    const c = position.coords;
+    const sample = {
+        t: (position.timestamp || Date.now()) - traceRecording.startTime,
+        lat: c.latitude,
+        lng: c.longitude,
+        accuracy: c.accuracy
+    };
+    if (c.altitude != null) sample.altitude = c.altitude;
+    if (c.speed != null && !isNaN(c.speed)) sample.speed = c.speed;
+    if (c.heading != null && !isNaN(c.heading)) sample.course = c.heading;
+    traceRecording.positions.push(sample);
+    renderTracePanel();
+}
+
+/** Called by handleOrientation with the raw compass heading; throttled, the sensor fires far more often than GPS. */
+function recordTraceHeading(heading) {
+    if (!traceRecording || traceReplay) return;
+    const t = Date.now() - traceRecording.startTime;
+    const last = traceRecording.headings[traceRecording.headings.length - 1];
+    if (last) {
+        const change = Math.abs(((heading - last.heading) % 360 + 540) % 360 - 180);
+        if (change < TRACE_HEADING_MIN_CHANGE || t - last.t < TRACE_HEADING_MIN_INTERVAL) return;
+    }
+    traceRecording.headings.push({ t, heading: Math.round(heading * 10) / 10 });
+}
+
+function getTraceFileName(trace, extension) {
+    return `ettiway-trace-${trace.startedAt.slice(0, 19).replace(/[:T]/g, '-')}.${extension}`;
+}
+
+function traceToGpx(trace) {
+    const start = new Date(trace.startedAt).getTime();
+    let headingIndex = 0;
+    const points = trace.positions.map(p => {
+        // GPX has no compass stream; each point carries the latest heading seen before it.
+        while (headingIndex + 1 < trace.headings.length && trace.headings[headingIndex + 1].t <= p.t) headingIndex++;
+        const heading = trace.headings[headingIndex] && trace.headings[headingIndex].t <= p.t ? trace.headings[headingIndex].heading : null;
+        return `      <trkpt lat="${p.lat}" lon="${p.lng}">
+${p.altitude != null ? `        <ele>${p.altitude}</ele>\n` : ''}        <time>${new Date(start + p.t).toISOString()}</time>
+        <extensions>
+          <ettiway:accuracy>${p.accuracy}</ettiway:accuracy>${heading != null ? `
+          <ettiway:heading>${heading}</ettiway:heading>` : ''}${p.speed != null ? `
+          <ettiway:speed>${p.speed}</ettiway:speed>` : ''}
+        </extensions>
+      </trkpt>`;
+    });
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="ETTIway" xmlns="http://www.topografix.com/GPX/1/1" xmlns:ettiway="${TRACE_GPX_NS}">
+  <trk>
+    <name>${escapeHtml(trace.name)}</name>
+    <trkseg>
+${points.join('\n')}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+}
+
+function gpxToTrace(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) throw new Error('Fișier GPX invalid.');
+    const points = Array.from(doc.getElementsByTagName('trkpt'));
+    if (points.length === 0) throw new Error('Fișierul GPX nu conține puncte de traseu.');
+    const child = (el, name) => {
+        const found = el.getElementsByTagNameNS('*', name)[0];
+        return found ? found.textContent.trim() : null;
+    };
+    const times = points.map(pt => Date.parse(child(pt, 'time')));
+    const start = isNaN(times[0]) ? 0 : times[0];
+    const nameEl = doc.getElementsByTagName('name')[0];
+    const trace = {
+        version: 1,
+        name: nameEl ? nameEl.textContent.trim() : 'GPX',
+        startedAt: new Date(start).toISOString(),
+        positions: [],
+        headings: []
+    };
+    points.forEach((pt, i) => {
+        // Without timestamps, replay at one fix per second.
+        const t = isNaN(times[i]) ? i * 1000 : times[i] - start;
+        const sample = {
+            t,
+            lat: parseFloat(pt.getAttribute('lat')),
+            lng: parseFloat(pt.getAttribute('lon')),
+            accuracy: parseFloat(child(pt, 'accuracy')) || TRACE_DEFAULT_ACCURACY
+        };
+        const ele = parseFloat(child(pt, 'ele'));
+        if (!isNaN(ele)) sample.altitude = ele;
+        const speed = parseFloat(child(pt, 'speed'));
+        if (!isNaN(speed)) sample.speed = speed;
+        trace.positions.push(sample);
+        const heading = parseFloat(child(pt, 'heading'));
+        if (!isNaN(heading)) trace.headings.push({ t, heading });
+    });
+    return trace;
+}
+
+/**
+ * Reads a trace exported as JSON or GPX.
+ * @param {string} text
+ * @returns {Object} trace
+ */
+function parseTrace(text) {
+    const trimmed = text.replace(/^\uFEFF/, '').trim();
+    if (trimmed.startsWith('<')) return gpxToTrace(trimmed);
+    const trace = JSON.parse(trimmed);
+    if (!trace || !Array.isArray(trace.positions) || trace.positions.length === 0) {
+        throw new Error('Fișierul nu conține poziții înregistrate.');
+    }
+    trace.headings = Array.isArray(trace.headings) ? trace.headings : [];
+    trace.startedAt = trace.startedAt || new Date(0).toISOString();
+    return trace;
+}
+
+function exportTrace(format) {
+    if (!lastTrace) return;
+    if (format === 'gpx') {
+        const blob = new Blob([traceToGpx(lastTrace)], { type: 'application/gpx+xml' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = getTraceFileName(lastTrace, 'gpx');
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    } else {
+        downloadJSON(lastTrace, getTraceFileName(lastTrace, 'json'));
+    }
+}
+
+async function importTraceFile(file) {
+    try {
+        lastTrace = parseTrace(await file.text());
+        showToast(`Traseu încărcat: ${lastTrace.positions.length} poziții.`, 'success');
+    } catch (error) {
+        console.error('Trace import failed:', error);
+        showToast(error.message || 'Fișier de traseu invalid.', 'error');
+    }
+    renderTracePanel();
+}
+
+function getTraceTimeline(trace) {
+    const events = trace.positions.map(p => ({ t: p.t, position: p }))
+        .concat(trace.headings.map(h => ({ t: h.t, heading: h.heading })));
+    return events.sort((a, b) => a.t - b.t);
+}
+
+function playTraceEvent(event, start) {
+    if (event.position) {
+        const p = event.position;
+        handlePositionUpdate({
+            coords: {
+                latitude: p.lat,
+                longitude: p.lng,
+                accuracy: p.accuracy,
+                altitude: p.altitude != null ? p.altitude : null,
+                speed: p.speed != null ? p.speed : null,
+                heading: p.course != null ? p.course : null
+            },
+            // Trace time, not wall-clock time, so filtering is the same at any replay speed.
+            timestamp: start + p.t
+        });
+    } else {
+        handleOrientation({ webkitCompassHeading: event.heading, alpha: (360 - event.heading) % 360 });
+    }
+}
+
+function scheduleTraceReplay() {
+    const replay = traceReplay;
+    if (!replay) return;
+    if (replay.index >= replay.events.length) {
+        traceReplay = null;
+        showToast('Redarea traseului s-a încheiat.', 'info');
+        renderTracePanel();
+        return;
+    }
+    const event = replay.events[replay.index];
+    const previousT = replay.index > 0 ? replay.events[replay.index - 1].t : event.t;
+    replay.timer = setTimeout(() => {
+        if (traceReplay !== replay) return;
+        replay.index++;
+        playTraceEvent(event, replay.start);
+        renderTracePanel();
+        scheduleTraceReplay();
+    }, Math.max(0, event.t - previousT) / traceReplaySpeed);
+}
+
+/**
+ * Replays a trace through handlePositionUpdate/handleOrientation, like a live "Find Me" session.
+ * @param {Object} trace
+ */
+function startTraceReplay(trace = lastTrace) {
+    if (!trace || trace.positions.length === 0) return;
+    if (traceRecording) stopTraceRecording();
+    if (watchId !== null) toggleLocation();
+    startLocationSession(`Redare ${traceReplaySpeed}×`);
+    watchId = TRACE_REPLAY_WATCH_ID;
+    traceReplay = {
+        events: getTraceTimeline(trace),
+        index: 0,
+        start: new Date(trace.startedAt).getTime(),
+        timer: null
+    };
+    renderTracePanel();
+    scheduleTraceReplay();
+}
+
+/** Stops the timer only; toggleLocation calls this when the replayed session is turned off. */
+function stopTraceReplay() {
+    if (traceReplay) clearTimeout(traceReplay.timer);
+    traceReplay = null;
+    renderTracePanel();
+}
+
+function setTraceReplaySpeed(speed) {
+    traceReplaySpeed = TRACE_REPLAY_SPEEDS.includes(speed) ? speed : 1;
+    const btn = document.getElementById('find-me-btn');
+    if (btn && watchId === TRACE_REPLAY_WATCH_ID) btn.innerText = `Redare ${traceReplaySpeed}×`;
+}
+
+function renderTracePanel() {
+    const recordBtn = document.getElementById('trace-record-btn');
+    if (!recordBtn) return;
+    recordBtn.textContent = traceRecording ? `⏹ Oprește (${traceRecording.positions.length})` : '⏺ Înregistrează';
+    recordBtn.classList.toggle('recording', !!traceRecording);
+    const hasTrace = !!lastTrace;
+    document.getElementById('trace-export-json').disabled = !hasTrace;
+    document.getElementById('trace-export-gpx').disabled = !hasTrace;
+    const replayBtn = document.getElementById('trace-replay-btn');
+    replayBtn.disabled = !hasTrace && !traceReplay;
+    replayBtn.textContent = traceReplay
+        ? `⏹ Redare ${traceReplay.index}/${traceReplay.events.length}`
+        : '▶ Redă';
+}
+
+function initTracePanel() {
+    const recordBtn = document.getElementById('trace-record-btn');
+    if (!recordBtn) return;
+    recordBtn.addEventListener('click', () => {
+        if (traceRecording) stopTraceRecording();
+        else startTraceRecording();
+    });
+    document.getElementById('trace-export-json').addEventListener('click', () => exportTrace('json'));
+    document.getElementById('trace-export-gpx').addEventListener('click', () => exportTrace('gpx'));
+    const fileInput = document.getElementById('trace-file-input');
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (file) await importTraceFile(file);
+    });
+    document.getElementById('trace-replay-btn').addEventListener('click', () => {
+        if (traceReplay) toggleLocation();
+        else startTraceReplay();
+    });
+    const speedSelect = document.getElementById('trace-replay-speed');
+    speedSelect.innerHTML = TRACE_REPLAY_SPEEDS.map(s => `<option value="${s}">${s}×</option>`).join('');
+    speedSelect.addEventListener('change', () => setTraceReplaySpeed(Number(speedSelect.value)));
+    renderTracePanel();
+}
+
+document.addEventListener('DOMContentLoaded', initTracePanel);
+
+window.parseTrace = parseTrace;
+window.traceToGpx = traceToGpx;
+window.startTraceReplay = startTraceReplay;
@@ -6,6 +6,10 @@ const MAP_BOUNDS = [
     [44.432102, 26.054500], 
     [44.434329, 26.059028]  
 ];
+const MAP_TILE_URL = 'https://{s}.basemaps.cartocdn.com/light_nolabels/{z}/{x}/{y}{r}.png';
+const MAP_TILE_SUBDOMAINS = 'abcd';
+const MAP_TILE_MIN_ZOOM = 16;
+const MAP_TILE_MAX_ZOOM = 20;
 function escapeHtml(text) {
     if (text == null) return '';
     const div = document.createElement('div');
@@ -19,29 +23,28 @@ function isValidCoordinate(lat, lon) {
            !isNaN(lat) && !isNaN(lon);
 }
 function createRoomDetailsHtml(room, compact = false) {
+    const row = (label, value) => value === undefined || value === null || value === '' ? '' : `
+            <div class="${compact ? 'popup-info' : 'room-info'}">
+                <span class="${compact ? 'popup-label' : 'room-info-label'}">${label}:</span>
+                ${compact ? '' : '<span class="room-info-value">'}${escapeHtml(value)}${compact ? '' : '</span>'}
+            </div>`;
+    const access = room.accessibility || {};
+    const accessLabels = [access.wheelchair ? 'Wheelchair accessible' : '', access.hearingLoop ? 'Hearing loop' : ''].filter(Boolean);
+    const photos = (room.photos || []).filter(url => /^(https?:\/\/|\/)/.test(url));
     const details = `
         <div class="${compact ? 'popup-content' : ''}">
             ${compact ? `<div class="popup-title">${escapeHtml(room.name)}</div>` : ''}
-            <div class="${compact ? 'popup-info' : 'room-info'}">
-                <span class="${compact ? 'popup-label' : 'room-info-label'}">Building:</span>
-                ${compact ? '' : '<span class="room-info-value">'}${escapeHtml(room.building)}${compact ? '' : '</span>'}
-            </div>
-            <div class="${compact ? 'popup-info' : 'room-info'}">
-                <span class="${compact ? 'popup-label' : 'room-info-label'}">Floor:</span>
-                ${compact ? '' : '<span class="room-info-value">'}${escapeHtml(room.floor)}${compact ? '' : '</span>'}
-            </div>
-            <div class="${compact ? 'popup-info' : 'room-info'}">
-                <span class="${compact ? 'popup-label' : 'room-info-label'}">Capacity:</span>
-                ${compact ? '' : '<span class="room-info-value">'}${escapeHtml(String(room.capacity))} people${compact ? '' : '</span>'}
-            </div>
-            <div class="${compact ? 'popup-info' : 'room-info'}">
-                <span class="${compact ? 'popup-label' : 'room-info-label'}">Type:</span>
-                ${compact ? '' : '<span class="room-info-value">'}${escapeHtml(room.type)}${compact ? '' : '</span>'}
-            </div>
-            ${!compact && room.description ? `
-            <div class="room-info">
-                <span class="room-info-label">Description:</span>
-                <span class="room-info-value">${escapeHtml(room.description)}</span>
+            ${row('Building', room.building)}
+            ${row('Floor', room.floor)}
+            ${row('Capacity', room.capacity ? `${room.capacity} people` : '')}
+            ${row('Type', room.type)}
+            ${row('Department', room.department)}
+            ${row('Equipment', (room.equipment || []).join(', '))}
+            ${row('Accessibility', accessLabels.join(', '))}
+            ${!compact ? row('Description', room.description) : ''}
+            ${photos.length > 0 ? `
+            <div class="room-photos">
+                ${photos.map(url => `<a href="${escapeHtml(url)}" target="_blank" rel="noopener"><img src="${escapeHtml(url)}" alt="${escapeHtml(room.name)}" loading="lazy"></a>`).join('')}
             </div>
             ` : ''}
         </div>
@@ -0,0 +1,219 @@
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `ettiway-shell-${CACHE_VERSION}`;
+const DATA_CACHE = 'ettiway-data';
+const TILE_CACHE = 'ettiway-tiles';
+const META_URL = '/api/meta';
+const DATA_URLS = ['/api/graph/load', '/api/indoor/load'];
+const TILE_HOST = 'basemaps.cartocdn.com';
+const TILE_PRECACHE_BATCH = 6;
+// Besides DATA_URLS, the only API reads kept for offline use: map data shared by every user. Anything per-user (auth, drafts,
+// history) always goes to the network, so a shared phone never shows the previous user's session.
+const CACHED_API_PREFIXES = ['/api/campuses', '/api/indoor/underlay'];
+
+// Scripts and stylesheets are read from index.html at install time (see getPageAssets), so this lists only the rest.
+const APP_SHELL = [
+    '/',
+    '/Icons/ETTIway_logo.svg',
+    '/Icons/logo.svg',
+    '/Icons/logo-light.svg',
+    '/Icons/tab-logo.svg',
+    '/data/campus.sample.json',
+    '/data/indoor-data.json',
+    '/manifest.webmanifest'
+];
+
+const CDN_ASSETS = [
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+    'https://unpkg.com/leaflet@1.9.4/dist/images/marker-icon.png',
+    'https://unpkg.com/leaflet@1.9.4/dist/images/marker-icon-2x.png',
+    'https://unpkg.com/leaflet@1.9.4/dist/images/marker-shadow.png',
+    'https://unpkg.com/leaflet@1.9.4/dist/images/layers.png',
+    'https://unpkg.com/@geoman-io/leaflet-geoman-free@latest/dist/leaflet-geoman.css',
+    'https://unpkg.com/@geoman-io/leaflet-geoman-free@latest/dist/leaflet-geoman.min.js',
+    'https://unpkg.com/jszip@3.10.1/dist/jszip.min.js',
+    'https://unpkg.com/qrcode-generator@1.4.4/qrcode.js'
+];
+
+/** A redirected same-origin response is the login page, never the resource that was asked for. */
+function isCacheable(response) {
+    return !!response && response.ok && !response.redirected;
+}
+
+async function cacheUrl(cache, url, options) {
+    const response = await fetch(url, options);
+    if (!isCacheable(response)) throw new Error(`${url}: ${response.status}`);
+    await cache.put(url, response);
+}
+
+/** Same-origin scripts and stylesheets index.html loads, so the precache cannot drift from the page. */
+async function getPageAssets() {
+    try {
+        const response = await fetch('/', { cache: 'reload' });
+        // Not logged in yet: the page is the login redirect; the assets get cached at runtime instead.
+        if (!isCacheable(response)) return [];
+        const html = await response.text();
+        const pattern = /<(?:script[^>]*\ssrc|link[^>]*rel="stylesheet"[^>]*\shref)="(?!https?:)\/?([^"]+)"/g;
+        return Array.from(html.matchAll(pattern), match => '/' + match[1]);
+    } catch (e) {
+        return [];
+    }
+}
+
+async function precacheAll() {
+    const shell = await caches.open(SHELL_CACHE);
+    const pageAssets = await getPageAssets();
+    // Missing pieces (CDN down, user not logged in yet) get filled in at runtime instead of failing the install.
+    // Graph and floor data are per campus, so they are cached by checkForDataUpdates once a page says which campus it shows.
+    await Promise.allSettled([
+        ...APP_SHELL.concat(pageAssets).map(url => cacheUrl(shell, url, { cache: 'reload' })),
+        ...CDN_ASSETS.map(url => cacheUrl(shell, url, { mode: 'cors' }))
+    ]);
+}
+
+async function cacheFirst(cacheName, request, fetchRequest = request) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(fetchRequest);
+    if (isCacheable(response)) await cache.put(request, response.clone());
+    return response;
+}
+
+async function networkFirst(cacheName, request, cacheKey = request) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (isCacheable(response)) await cache.put(cacheKey, response.clone());
+        return response;
+    } catch (e) {
+        const cached = await cache.match(cacheKey);
+        if (cached) return cached;
+        throw e;
+    }
+}
+
+async function isLiveEditingClient(clientId) {
+    if (!clientId) return false;
+    const client = await self.clients.get(clientId);
+    if (!client) return false;
+    const params = new URL(client.url).searchParams;
+    return params.get('edit') === '1' || params.has('draft');
+}
+
+async function handleDataRequest(event) {
+    // Editors must always see what is on the server; everyone else gets the cached copy, refreshed by checkForDataUpdates.
+    if (await isLiveEditingClient(event.clientId)) return networkFirst(DATA_CACHE, event.request);
+    return cacheFirst(DATA_CACHE, event.request);
+}
+
+function handleTileRequest(request) {
+    // Leaflet loads tiles as no-cors images; refetch with CORS so the cache stores a readable, unpadded response.
+    return cacheFirst(TILE_CACHE, request.url, new Request(request.url, { mode: 'cors', credentials: 'omit' }))
+        .catch(() => fetch(request));
+}
+
+async function precacheTiles(urls) {
+    const cache = await caches.open(TILE_CACHE);
+    const missing = [];
+    for (const url of urls || []) {
+        if (!(await cache.match(url))) missing.push(url);
+    }
+    for (let i = 0; i < missing.length; i += TILE_PRECACHE_BATCH) {
+        await Promise.allSettled(missing.slice(i, i + TILE_PRECACHE_BATCH)
+            .map(url => cacheUrl(cache, url, { mode: 'cors', credentials: 'omit' })));
+    }
+}
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
+
+/** Cache key of a per-campus API url; the same string the page requests through withCampus(). */
+function campusUrl(url, campus) {
+    return `${url}?campus=${encodeURIComponent(campus)}`;
+}
+
+/**
+ * Compares the server's updatedAt for a campus with the cached one and, when it changed, refreshes
+ * that campus's graph and floor data in the background. Open pages are told so they can offer a reload.
+ * @param {string} campus
+ */
+async function checkForDataUpdates(campus) {
+    if (!campus) return;
+    const metaUrl = campusUrl(META_URL, campus);
+    const dataUrls = DATA_URLS.map(url => campusUrl(url, campus));
+    let response;
+    try {
+        response = await fetch(metaUrl, { cache: 'no-store' });
+    } catch (e) {
+        return;
+    }
+    if (!isCacheable(response)) return;
+    const meta = await response.clone().json();
+    const cache = await caches.open(DATA_CACHE);
+    const stored = await cache.match(metaUrl);
+    const storedMeta = stored ? await stored.json() : null;
+    if (storedMeta && storedMeta.updatedAt === meta.updatedAt) return;
+
+    let responses;
+    try {
+        responses = await Promise.all(dataUrls.map(url => fetch(url, { cache: 'no-store' })));
+    } catch (e) {
+        return;
+    }
+    if (!responses.every(isCacheable)) return;
+    await Promise.all(responses.map((r, i) => cache.put(dataUrls[i], r)));
+    // Stored last, so an interrupted refresh is retried on the next check.
+    await cache.put(metaUrl, response);
+    if (storedMeta) notifyClients({ type: 'data-updated', campus, updatedAt: meta.updatedAt });
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil(precacheAll().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith('ettiway-shell-') && key !== SHELL_CACHE)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (url.hostname.endsWith(TILE_HOST)) {
+        event.respondWith(handleTileRequest(request));
+        return;
+    }
+    if (url.origin !== self.location.origin) {
+        if (CDN_ASSETS.includes(request.url)) event.respondWith(cacheFirst(SHELL_CACHE, request));
+        return;
+    }
+    if (request.mode === 'navigate') {
+        // Deep links (?b=, ?to=, ...) all render the same page, so they share the cached '/'.
+        if (url.pathname === '/' || url.pathname === '/index.html') event.respondWith(networkFirst(SHELL_CACHE, request, '/'));
+        return;
+    }
+    if (DATA_URLS.includes(url.pathname)) {
+        event.respondWith(handleDataRequest(event));
+        return;
+    }
+    if (url.pathname.startsWith('/api/')) {
+        if (CACHED_API_PREFIXES.some(prefix => url.pathname.startsWith(prefix))) event.respondWith(networkFirst(DATA_CACHE, request));
+        return;
+    }
+    // Network-first like the page itself: a cached script from the previous release would run against the new index.html.
+    event.respondWith(networkFirst(SHELL_CACHE, request));
+});
+
+self.addEventListener('message', event => {
+    const data = event.data || {};
+    if (data.type === 'precache-tiles') event.waitUntil(precacheTiles(data.urls));
+    else if (data.type === 'check-updates') event.waitUntil(checkForDataUpdates(data.campus));
+});
@@ -0,0 +1,22 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const STATIC_JS = path.join(__dirname, '../../main/resources/static/js');
+
+/**
+ * Runs browser scripts from static/js in one shared global scope, the way index.html loads them,
+ * and returns that scope. `globals` fills in what the scripts expect from the page (window, L, ...).
+ */
+function loadStaticScripts(files, globals = {}) {
+    const context = vm.createContext(Object.assign({ console, performance }, globals));
+    context.window = context;
+    const source = files
+        .map(file => fs.readFileSync(path.join(STATIC_JS, file), 'utf8').replace(/^\uFEFF/, ''))
+        .join('\n;\n');
+    // Top-level const/let stay out of the context object, so expose them explicitly.
+    vm.runInContext(`${source}\n;this.__get = (name) => eval(name);`, context);
+    return context;
+}
+
+module.exports = { loadStaticScripts };
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadStaticScripts } = require('./load-static');
+
+const CAMPUS_LAT = 44.433215;
+const CAMPUS_LON = 26.056764;
+
+const scope = loadStaticScripts(['pathfinding.js']);
+const haversineDistance = scope.__get('haversineDistance');
+const findShortestPath = scope.__get('findShortestPath');
+const createSpatialGrid = scope.__get('createSpatialGrid');
+const METERS_PER_DEGREE_LAT = scope.__get('METERS_PER_DEGREE_LAT');
+
+/** Square grid of ~2 m cells with randomly (but reproducibly) inflated edge weights. */
+function buildSyntheticGraph(nodeCount) {
+    const side = Math.ceil(Math.sqrt(nodeCount));
+    const step = 2 / METERS_PER_DEGREE_LAT;
+    const graph = {}, nodesMap = {};
+    let seed = 42;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+
+    for (let i = 0; i < side; i++) {
+        for (let j = 0; j < side; j++) {
+            const key = `${i},${j}`;
+            graph[key] = [];
+            nodesMap[key] = { lat: CAMPUS_LAT + i * step, lng: CAMPUS_LON + j * step * 1.4 };
+        }
+    }
+    const link = (a, b) => {
+        const w = haversineDistance(nodesMap[a], nodesMap[b]) * (1 + random());
+        graph[a].push({ node: b, weight: w });
+        graph[b].push({ node: a, weight: w });
+    };
+    for (let i = 0; i < side; i++) {
+        for (let j = 0; j < side; j++) {
+            if (i + 1 < side) link(`${i},${j}`, `${i + 1},${j}`);
+            if (j + 1 < side) link(`${i},${j}`, `${i},${j + 1}`);
+        }
+    }
+    return { side, graph, nodesMap };
+}
+
+function timed(fn) {
+    const t0 = performance.now();
+    const result = fn();
+    return { result, ms: performance.now() - t0 };
+}
+
+const { side, graph, nodesMap } = buildSyntheticGraph(10000);
+
+test('A* and Dijkstra find equally short paths on a 10k-node graph', () => {
+    const pairs = [['0,0', `${side - 1},${side - 1}`], [`0,${side - 1}`, `${side - 1},0`], ['10,3', '87,64']];
+    pairs.forEach(([startKey, endKey]) => {
+        const dijkstra = timed(() => findShortestPath(graph, nodesMap, startKey, endKey));
+        const aStar = timed(() => findShortestPath(graph, nodesMap, startKey, endKey, { heuristic: haversineDistance }));
+        assert.ok(Number.isFinite(dijkstra.result.distance), `no path ${startKey} → ${endKey}`);
+        assert.ok(Math.abs(dijkstra.result.distance - aStar.result.distance) < 1e-6,
+            `${startKey} → ${endKey}: Dijkstra ${dijkstra.result.distance}, A* ${aStar.result.distance}`);
+        console.log(`${startKey} → ${endKey}: Dijkstra ${Math.round(dijkstra.ms)} ms, A* ${Math.round(aStar.ms)} ms`);
+    });
+});
+
+test('spatial grid snaps every node of the synthetic graph to itself', () => {
+    const grid = createSpatialGrid(0.5);
+    const keys = Object.keys(nodesMap);
+    keys.forEach(key => grid.insert(key, nodesMap[key]));
+    const { ms } = timed(() => keys.forEach(key => assert.equal(grid.nearest(nodesMap[key], 0.5).key, key)));
+    console.log(`snapping ${keys.length} nodes: ${Math.round(ms)} ms`);
+});
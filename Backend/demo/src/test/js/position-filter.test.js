@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadStaticScripts } = require('./load-static');
+
+// The fixture walks due east along this latitude at 1.3 m/s, one fix per second, with ~4 m of GPS
+// jitter and three wild fixes (accuracy > 100 m) at t = 15 s, 31 s and 47 s.
+const TRUE_LAT = 44.4339;
+const WALK_SPEED = 1.3;
+
+const scope = loadStaticScripts(['pathfinding.js', 'position-filter.js'], {
+    localStorage: { getItem: () => null, setItem: () => {} },
+    document: { addEventListener: () => {} }
+});
+const filterTrace = scope.__get('filterTrace');
+const haversineDistance = scope.__get('haversineDistance');
+const POSITION_MAX_ACCURACY = scope.__get('POSITION_MAX_ACCURACY');
+
+const trace = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures/walk-east.trace.json'), 'utf8'));
+const fixes = trace.positions.map(p => ({ lat: p.lat, lng: p.lng, accuracy: p.accuracy, timestamp: p.t }));
+
+function crossTrackError(point) {
+    return haversineDistance(point, { lat: TRUE_LAT, lng: point.lng });
+}
+
+function mean(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function pathLength(points) {
+    let total = 0;
+    for (let i = 1; i < points.length; i++) total += haversineDistance(points[i - 1], points[i]);
+    return total;
+}
+
+test('filterTrace drops fixes less accurate than POSITION_MAX_ACCURACY', () => {
+    const filtered = filterTrace(fixes);
+    const wild = fixes.filter(f => f.accuracy > POSITION_MAX_ACCURACY);
+    assert.equal(wild.length, 3);
+    assert.equal(filtered.length, fixes.length - wild.length);
+    wild.forEach(fix => assert.ok(!filtered.some(f => f.raw === fix), `fix at t=${fix.timestamp} was kept`));
+});
+
+test('filterTrace keeps the first fix even when it is inaccurate', () => {
+    const first = Object.assign({}, fixes[0], { accuracy: POSITION_MAX_ACCURACY * 3 });
+    const filtered = filterTrace([first].concat(fixes.slice(1, 5)));
+    assert.equal(filtered[0].raw, first);
+});
+
+test('filterTrace reduces jitter around the walked line', () => {
+    const good = fixes.filter(f => f.accuracy <= POSITION_MAX_ACCURACY);
+    const filtered = filterTrace(fixes);
+    const walked = WALK_SPEED * (fixes[fixes.length - 1].timestamp - fixes[0].timestamp) / 1000;
+
+    const rawError = mean(good.map(crossTrackError));
+    const filteredError = mean(filtered.map(crossTrackError));
+    assert.ok(filteredError < rawError * 0.7, `cross-track error ${filteredError.toFixed(2)} m vs raw ${rawError.toFixed(2)} m`);
+
+    // Jitter shows up as zig-zag: the raw path is much longer than the walk, the filtered one close to it.
+    const rawLength = pathLength(good);
+    const filteredLength = pathLength(filtered);
+    assert.ok(filteredLength < rawLength / 2, `filtered path ${filteredLength.toFixed(1)} m vs raw ${rawLength.toFixed(1)} m`);
+    assert.ok(Math.abs(filteredLength - walked) < Math.abs(rawLength - walked));
+});
+
+test('filterTrace reports a shrinking accuracy while fixes keep agreeing', () => {
+    const filtered = filterTrace(fixes);
+    const last = filtered[filtered.length - 1];
+    assert.ok(last.accuracy < last.raw.accuracy, `estimate ±${last.accuracy.toFixed(1)} m vs fix ±${last.raw.accuracy} m`);
+});